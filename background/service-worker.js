@@ -7,18 +7,71 @@
 importScripts(
   '../utils/storage-sw.js',
   '../utils/config-manager-sw.js',
-  '../utils/cookie-manager-sw.js'
+  '../utils/crypto-sw.js',
+  '../utils/cookie-manager-sw.js',
+  '../utils/profile-bundle-sw.js',
+  '../utils/netscape-cookies-sw.js',
+  '../utils/migrations-sw.js',
+  '../utils/snapshots-sw.js',
+  '../utils/switch-journal-sw.js',
+  '../utils/tab-actions-sw.js',
+  '../utils/cookie-cleanup-sw.js',
+  '../utils/context-menus-sw.js',
+  '../utils/auto-switch-sw.js',
+  '../utils/action-badge-sw.js',
+  '../utils/bulk-cookies-sw.js'
 );
 
 // 标记是否正在切换配置，避免在切换过程中触发Cookie保存
 let isSwitchingProfile = false;
 
+// 登录时会在短时间内连续设置大量Cookie，先把变化放入队列再合并为一次写入
+const COOKIE_BATCH_DELAY = 200;
+let pendingCookieChanges = [];
+let cookieFlushTimer = null;
+let cookieFlushPromise = Promise.resolve();
+
+// 切换后刷新的标签页加载完成前，旧页面可能写回上一个账号的Cookie，此期间暂停记录
+let settlingTabReloads = 0;
+
+// 快捷键命令（名称与manifest.json中的commands一致），固定位置的命令名以位置编号结尾
+const COMMAND_NEXT_PROFILE = 'next-profile';
+const COMMAND_PREVIOUS_PROFILE = 'previous-profile';
+const COMMAND_DEACTIVATE_PROFILE = 'deactivate-profile';
+const COMMAND_PINNED_PROFILE_PREFIX = 'switch-to-pinned-';
+
 /**
  * 初始化Service Worker
  */
 async function init() {
   console.log('Cookie管理器 Service Worker 已启动');
   
+  // 升级后先将存储数据迁移到当前版本
+  try {
+    await Migrations.ensureMigrated();
+  } catch (error) {
+    console.error('迁移存储数据失败:', error);
+  }
+  
+  // 上次切换被中断时回滚到切换前的状态
+  await recoverInterruptedSwitch();
+  
+  // 隐身窗口已全部关闭时，其中激活的配置不再有效
+  await pruneClosedStores();
+  
+  // 定期清理配置中已过期的Cookie
+  try {
+    await CookieCleanup.scheduleCleanup();
+  } catch (error) {
+    console.error('创建过期Cookie清理任务失败:', error);
+  }
+  
+  // 按配置列表创建右键菜单
+  await ContextMenus.rebuildMenus();
+  
+  // 浏览器重启后插件图标恢复为默认状态，按存储的状态重新显示
+  await ActionBadge.updateActionBadge();
+  
   // 恢复拦截状态
   await setupCookieInterceptor();
 }
@@ -28,9 +81,9 @@ async function init() {
  */
 async function setupCookieInterceptor() {
   const enabled = await ConfigManager.isPluginEnabled();
-  const activeProfile = await ConfigManager.getActiveProfile();
+  const activeProfiles = await ConfigManager.getActiveProfiles();
   
-  if (enabled && activeProfile) {
+  if (enabled && Object.keys(activeProfiles).length > 0) {
     // 监听Cookie变化
     chrome.cookies.onChanged.addListener(handleCookieChange);
     console.log('Cookie拦截器已启用');
@@ -45,8 +98,8 @@ async function setupCookieInterceptor() {
  * @param {object} changeInfo - Cookie变化信息
  */
 async function handleCookieChange(changeInfo) {
-  // 如果正在切换配置，不处理Cookie变化
-  if (isSwitchingProfile) {
+  // 如果正在切换配置或等待切换后刷新的标签页加载，不处理Cookie变化
+  if (isSwitchingProfile || settlingTabReloads > 0) {
     return;
   }
   
@@ -55,95 +108,796 @@ async function handleCookieChange(changeInfo) {
     return;
   }
   
-  const activeProfile = await ConfigManager.getActiveProfile();
+  // 只记录Cookie所在存储（普通窗口或隐身窗口）中激活的配置
+  const activeProfile = await ConfigManager.getActiveProfile(changeInfo.cookie.storeId);
   if (!activeProfile) {
     return;
   }
   
-  // 只保存被设置或更改的Cookie（不保存被删除的）
-  if (changeInfo.removed) {
+  // 已启用加密但未解锁时无法写入，跳过记录
+  if (await CryptoUtils.isLocked()) {
     return;
   }
   
-  // 保存Cookie到当前激活配置
-  try {
-    await CookieManager.saveCookieToActiveProfile(changeInfo.cookie);
-  } catch (error) {
-    console.error('保存Cookie失败:', error);
+  // 覆盖Cookie时会先以overwrite原因触发删除事件，随后的设置事件会更新配置中的Cookie
+  // 其他删除原因（explicit、expired、expired_overwrite、evicted）都从配置中移除
+  if (changeInfo.removed && changeInfo.cause === 'overwrite') {
+    return;
   }
+  
+  // 保存变化到当前激活配置
+  queueCookieChange({
+    cookie: changeInfo.cookie,
+    removed: changeInfo.removed,
+    cause: changeInfo.cause
+  });
+}
+
+/**
+ * 将Cookie变化放入待保存队列，稍后批量写入
+ * @param {{cookie: object, removed: boolean, cause: string}} change - Cookie变化
+ */
+function queueCookieChange(change) {
+  pendingCookieChanges.push(change);
+  if (!cookieFlushTimer) {
+    cookieFlushTimer = setTimeout(flushPendingCookies, COOKIE_BATCH_DELAY);
+  }
+}
+
+/**
+ * 立即保存队列中的Cookie变化
+ * @returns {Promise<void>}
+ */
+function flushPendingCookies() {
+  clearTimeout(cookieFlushTimer);
+  cookieFlushTimer = null;
+  
+  const changes = pendingCookieChanges;
+  pendingCookieChanges = [];
+  
+  // 前一批写入完成后再写入下一批，保证同一Cookie的多次变化按顺序保存
+  cookieFlushPromise = cookieFlushPromise.then(async () => {
+    if (changes.length === 0) {
+      return;
+    }
+    try {
+      await CookieManager.applyCookieChangesToActiveProfile(changes);
+    } catch (error) {
+      console.error('保存Cookie失败:', error);
+    }
+  });
+  return cookieFlushPromise;
 }
 
 /**
- * 切换配置
+ * 获取切换配置时需要从Cookie存储删除的Cookie（由切入配置的切换方式决定）
+ * @param {object|null} outgoingProfile - 当前激活的配置
+ * @param {object} incomingProfile - 要切换到的配置
+ * @param {string} storeId - Cookie存储ID
+ * @returns {Promise<Array>} 浏览器Cookie列表
+ */
+async function getCookiesToRemoveOnSwitch(outgoingProfile, incomingProfile, storeId) {
+  const incomingDomains = incomingProfile.domains || [];
+  
+  if (ConfigManager.getSwitchMode(incomingProfile) === ConfigManager.SWITCH_MODE_CLEAR_ALL) {
+    // 保留新配置域名下的Cookie，清除其余所有Cookie
+    return CookieManager.getCookiesToClear(incomingDomains, storeId);
+  }
+  
+  // 只清除两个配置域名下的Cookie；未配置域名的配置对所有域名生效，此时需要清除全部Cookie
+  const outgoingDomains = outgoingProfile ? (outgoingProfile.domains || []) : null;
+  if (incomingDomains.length === 0 || (outgoingDomains && outgoingDomains.length === 0)) {
+    return CookieManager.getCookiesToClear([], storeId);
+  }
+  return CookieManager.getCookiesInDomains([...(outgoingDomains || []), ...incomingDomains], storeId);
+}
+
+/**
+ * 切换Cookie存储中激活的配置
  * @param {string} profileId - 要切换到的配置ID
  * @param {boolean} clearCookies - 是否清空Cookie（默认true）
- * @returns {Promise<void>}
+ * @param {string} [storeId] - Cookie存储ID，默认为普通窗口的存储
+ * @returns {Promise<object|null>} 切换报告（每个域名清除、恢复、跳过和失败的数量及失败原因），正在切换时返回null
  */
-async function switchProfile(profileId, clearCookies = true) {
+async function switchProfile(profileId, clearCookies = true, storeId = ConfigManager.DEFAULT_STORE_ID) {
   if (isSwitchingProfile) {
     console.warn('正在切换配置，请稍候...');
-    return;
+    return null;
   }
   
   isSwitchingProfile = true;
+  let journal = null;
+  const report = CookieManager.createSwitchReport();
   
   try {
-    // 1. 保存当前配置的Cookie
-    const currentProfile = await ConfigManager.getActiveProfile();
+    // 切换前先把队列中的Cookie保存到当前配置
+    await flushPendingCookies();
+    
+    const profiles = await ConfigManager.getProfiles();
+    const newProfile = profiles.find(p => p.id === profileId);
+    if (!newProfile) {
+      throw new Error('配置不存在');
+    }
+    const otherStoreId = await ConfigManager.getProfileStoreId(profileId);
+    if (otherStoreId && otherStoreId !== storeId) {
+      throw new Error('该配置已在其他Cookie存储中激活');
+    }
+    
+    // 1. 为当前配置创建快照后保存当前配置的Cookie
+    const currentProfile = await ConfigManager.getActiveProfile(storeId);
     if (currentProfile) {
-      await CookieManager.saveCurrentProfileCookies();
+      await Snapshots.createSnapshot(currentProfile.id, { auto: true, reason: 'switch' });
+      await CookieManager.saveCurrentProfileCookies(storeId);
     }
     
-    // 2. 切换配置
-    await ConfigManager.switchProfile(profileId);
+    // 2. 记录切换日志：将被删除或覆盖的浏览器Cookie，以及切换前的激活配置
+    const removedCookies = clearCookies ? await getCookiesToRemoveOnSwitch(currentProfile, newProfile, storeId) : [];
+    journal = await SwitchJournal.beginSwitch({
+      storeId,
+      fromProfileId: currentProfile ? currentProfile.id : null,
+      toProfileId: profileId,
+      removedCookies
+    });
     
-    // 3. 清空所有Cookie（如果需要）
-    if (clearCookies) {
-      const newProfile = await ConfigManager.getActiveProfile();
-      const excludeDomains = newProfile?.domains || [];
-      await CookieManager.clearAllCookies(excludeDomains);
-    }
+    // 3. 切换配置
+    await ConfigManager.switchProfile(profileId, storeId);
+    
+    // 4. 按新配置的切换方式清空Cookie（如果需要）
+    await CookieManager.removeBrowserCookies(removedCookies, storeId, report);
+    
+    // 5. 加载新配置的Cookie
+    await CookieManager.loadCookies(profileId, storeId, report);
+    
+    await SwitchJournal.finishSwitch();
+    console.log(`已切换到配置: ${profileId}（Cookie存储 ${storeId}）`);
     
-    // 4. 加载新配置的Cookie
-    await CookieManager.loadCookies(profileId);
+    // 6. 按新配置的设置处理仍显示旧账号的标签页
+    await handleTabsAfterSwitch(currentProfile, newProfile, storeId);
     
-    console.log(`已切换到配置: ${profileId}`);
+    return report;
   } catch (error) {
     console.error('切换配置失败:', error);
+    if (journal) {
+      try {
+        await SwitchJournal.rollback(journal);
+        console.log('已回滚到切换前的状态');
+      } catch (rollbackError) {
+        console.error('回滚切换失败:', rollbackError);
+        throw error;
+      }
+      throw new Error(`${error.message}（已恢复到切换前的状态）`);
+    }
     throw error;
   } finally {
     isSwitchingProfile = false;
   }
 }
 
+/**
+ * 切换完成后按新配置的设置刷新、丢弃或标记受影响的标签页
+ * 刷新的标签页加载完成（或超时）前暂停记录Cookie变化
+ * @param {object|null} outgoingProfile - 切换前的配置
+ * @param {object} incomingProfile - 切换后的配置
+ * @param {string} storeId - Cookie存储ID，只处理使用该存储的标签页
+ * @returns {Promise<void>}
+ */
+async function handleTabsAfterSwitch(outgoingProfile, incomingProfile, storeId) {
+  const action = ConfigManager.getTabAction(incomingProfile);
+  if (action === ConfigManager.TAB_ACTION_NONE) {
+    return;
+  }
+  
+  try {
+    const domains = TabActions.getAffectedDomains(outgoingProfile, incomingProfile);
+    const tabs = await TabActions.findAffectedTabs(domains, storeId);
+    settlingTabReloads++;
+    // 不等待标签页加载完成，切换结果立即返回给弹窗
+    TabActions.applyTabAction(tabs, action)
+      .catch(error => console.error('处理标签页失败:', error))
+      .finally(() => {
+        settlingTabReloads--;
+      });
+  } catch (error) {
+    console.error('查找受影响的标签页失败:', error);
+  }
+}
+
+/**
+ * 恢复上次被中断的切换（Service Worker在切换过程中被终止时）
+ * @returns {Promise<void>}
+ */
+async function recoverInterruptedSwitch() {
+  let journal;
+  try {
+    journal = await SwitchJournal.getJournal();
+  } catch (error) {
+    // 加密数据未解锁时无法读取日志，解锁后再恢复
+    console.warn('暂时无法读取切换日志:', error);
+    return;
+  }
+  if (!journal || isSwitchingProfile) {
+    return;
+  }
+  
+  isSwitchingProfile = true;
+  try {
+    await SwitchJournal.rollback(journal);
+    console.log(`已回滚被中断的切换: ${journal.toProfileId}`);
+  } catch (error) {
+    console.error('回滚被中断的切换失败:', error);
+  } finally {
+    isSwitchingProfile = false;
+  }
+}
+
+/**
+ * 检查已关闭的Cookie存储（如所有隐身窗口都已关闭），取消其中激活的配置
+ * @returns {Promise<void>}
+ */
+async function pruneClosedStores() {
+  try {
+    const stores = await chrome.cookies.getAllCookieStores();
+    const openStoreIds = new Set(stores.map(store => store.id));
+    const activeProfiles = await ConfigManager.getActiveProfiles();
+    for (const storeId of Object.keys(activeProfiles)) {
+      if (storeId !== ConfigManager.DEFAULT_STORE_ID && !openStoreIds.has(storeId)) {
+        await ConfigManager.clearActiveProfile(storeId);
+        console.log(`Cookie存储 ${storeId} 已关闭，取消其中激活的配置`);
+      }
+    }
+  } catch (error) {
+    console.error('检查Cookie存储失败:', error);
+  }
+}
+
+/**
+ * 获取当前打开的Cookie存储及其中激活的配置
+ * @returns {Promise<Array<{id: string, incognito: boolean, activeProfileId: string|null}>>} Cookie存储列表
+ */
+async function getCookieStores() {
+  await pruneClosedStores();
+  const stores = await chrome.cookies.getAllCookieStores();
+  const activeProfiles = await ConfigManager.getActiveProfiles();
+  // Chrome中普通窗口使用默认存储，所有隐身窗口共用另一个存储
+  return stores.map(store => ({
+    id: store.id,
+    incognito: store.id !== ConfigManager.DEFAULT_STORE_ID,
+    activeProfileId: activeProfiles[store.id] || null
+  }));
+}
+
+/**
+ * 获取标签页使用的Cookie存储ID
+ * @param {object} [tab] - 标签页，不传时使用最近聚焦窗口的当前标签页
+ * @returns {Promise<string>} 存储ID，无法确定时返回普通窗口的存储
+ */
+async function getStoreIdForTab(tab) {
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  }
+  if (!tab) {
+    return ConfigManager.DEFAULT_STORE_ID;
+  }
+  const stores = await chrome.cookies.getAllCookieStores();
+  const store = stores.find(s => s.tabIds.includes(tab.id));
+  return store ? store.id : ConfigManager.DEFAULT_STORE_ID;
+}
+
+/**
+ * 按配置列表的顺序获取Cookie存储中激活配置的下一个或上一个配置（跳过在其他存储中激活的配置）
+ * @param {string} storeId - Cookie存储ID
+ * @param {number} step - 1为下一个，-1为上一个
+ * @returns {Promise<object|null>} 配置对象，没有可切换的配置时返回null
+ */
+async function getAdjacentProfile(storeId, step) {
+  const profiles = await ConfigManager.getProfiles();
+  const activeProfiles = await ConfigManager.getActiveProfiles();
+  const currentId = activeProfiles[storeId] || null;
+  const activeElsewhere = new Set(Object.entries(activeProfiles)
+    .filter(([id]) => id !== storeId)
+    .map(([, profileId]) => profileId));
+  const candidates = profiles.filter(p => !activeElsewhere.has(p.id));
+  if (candidates.length === 0) {
+    return null;
+  }
+  
+  const index = candidates.findIndex(p => p.id === currentId);
+  if (index === -1) {
+    return step > 0 ? candidates[0] : candidates[candidates.length - 1];
+  }
+  return candidates[(index + step + candidates.length) % candidates.length];
+}
+
+/**
+ * 在Cookie存储中切换到配置（已激活时不重复切换），并在插件图标上显示结果
+ * @param {object} profile - 配置对象
+ * @param {string} storeId - Cookie存储ID
+ * @returns {Promise<void>}
+ */
+async function switchProfileWithBadge(profile, storeId) {
+  let failed = 0;
+  if (await ConfigManager.getActiveProfileId(storeId) !== profile.id) {
+    // 与弹窗使用同一个切换流程
+    const report = await switchProfile(profile.id, true, storeId);
+    if (!report) {
+      throw new Error('正在切换配置，请稍候');
+    }
+    failed = report.failures.length;
+  }
+  // 显示配置的图标标记，有Cookie恢复失败时使用警告颜色
+  await ActionBadge.showFeedback(ConfigManager.getBadgeLabel(profile), failed > 0 ? 'warning' : 'success');
+}
+
+/**
+ * 处理快捷键命令，在触发快捷键的窗口所用的Cookie存储中切换配置
+ * @param {string} command - 命令名称
+ * @param {object} [tab] - 触发快捷键时的当前标签页
+ * @returns {Promise<void>}
+ */
+async function handleCommand(command, tab) {
+  try {
+    await pruneClosedStores();
+    const storeId = await getStoreIdForTab(tab);
+    
+    if (command === COMMAND_DEACTIVATE_PROFILE) {
+      // 没有激活的配置时不清空Cookie，避免误按快捷键退出所有网站
+      if (!(await ConfigManager.getActiveProfileId(storeId))) {
+        throw new Error('当前没有激活的配置');
+      }
+      await deactivateProfile(storeId);
+      await ActionBadge.showFeedback('清空');
+      return;
+    }
+    
+    let profile;
+    if (command === COMMAND_NEXT_PROFILE || command === COMMAND_PREVIOUS_PROFILE) {
+      profile = await getAdjacentProfile(storeId, command === COMMAND_NEXT_PROFILE ? 1 : -1);
+      if (!profile) {
+        throw new Error('没有可以切换的配置');
+      }
+    } else if (command.startsWith(COMMAND_PINNED_PROFILE_PREFIX)) {
+      const slot = Number(command.substring(COMMAND_PINNED_PROFILE_PREFIX.length));
+      profile = ConfigManager.getPinnedProfile(await ConfigManager.getProfiles(), slot);
+      if (!profile) {
+        throw new Error(`没有固定在位置 ${slot} 的配置`);
+      }
+    } else {
+      throw new Error(`未知的快捷键命令: ${command}`);
+    }
+    
+    await switchProfileWithBadge(profile, storeId);
+  } catch (error) {
+    console.error(`执行快捷键 ${command} 失败:`, error);
+    await ActionBadge.showFeedback('ERR', 'error').catch(badgeError => {
+      console.error('显示快捷键标记失败:', badgeError);
+    });
+  }
+}
+
+/**
+ * 处理右键菜单的点击
+ * @param {object} info - 点击的菜单及网页、链接地址
+ * @param {object} [tab] - 点击菜单的标签页
+ * @returns {Promise<void>}
+ */
+async function handleContextMenuClick(info, tab) {
+  const item = ContextMenus.parseMenuItemId(info.menuItemId);
+  if (!item) {
+    return;
+  }
+  
+  try {
+    const profile = (await ConfigManager.getProfiles()).find(p => p.id === item.profileId);
+    if (!profile) {
+      throw new Error('配置不存在');
+    }
+    const storeId = await getStoreIdForTab(tab);
+    
+    switch (item.menu) {
+      case ContextMenus.MENU_ADD_DOMAIN:
+        await ConfigManager.addDomainToProfile(profile.id, new URL(info.pageUrl).hostname);
+        await ActionBadge.showFeedback('+1');
+        break;
+      case ContextMenus.MENU_CAPTURE_COOKIES: {
+        await flushPendingCookies();
+        const count = await CookieManager.captureSiteCookies(profile, info.pageUrl, storeId);
+        await ActionBadge.showFeedback(String(count));
+        break;
+      }
+      case ContextMenus.MENU_SWITCH_PROFILE:
+        await pruneClosedStores();
+        await switchProfileWithBadge(profile, storeId);
+        break;
+      case ContextMenus.MENU_OPEN_LINK:
+        await pruneClosedStores();
+        await switchProfileWithBadge(profile, storeId);
+        // 在当前标签页右侧打开，隐身窗口中的链接仍在该窗口打开
+        await chrome.tabs.create({
+          url: info.linkUrl,
+          windowId: tab ? tab.windowId : undefined,
+          index: tab ? tab.index + 1 : undefined,
+          openerTabId: tab ? tab.id : undefined
+        });
+        break;
+    }
+  } catch (error) {
+    console.error('执行右键菜单操作失败:', error);
+    await ActionBadge.showFeedback('ERR', 'error').catch(badgeError => {
+      console.error('显示操作结果标记失败:', badgeError);
+    });
+  }
+}
+
+/**
+ * 打开网页前按配置的URL规则自动切换配置，切换后重新打开该网页，使其使用新配置的Cookie
+ * @param {object} details - webNavigation.onBeforeNavigate的事件详情
+ * @returns {Promise<void>}
+ */
+async function handleBeforeNavigate(details) {
+  // 只处理标签页中的主框架
+  if (details.frameId !== 0 || details.tabId < 0) {
+    return;
+  }
+  
+  try {
+    if (await AutoSwitch.isPaused()) {
+      return;
+    }
+    const match = AutoSwitch.findProfileForUrl(await ConfigManager.getProfiles(), details.url);
+    if (!match) {
+      return;
+    }
+    const storeId = await getStoreIdForTab({ id: details.tabId });
+    const fromProfileId = await ConfigManager.getActiveProfileId(storeId);
+    // 已经是规则对应的配置（包括切换后重新打开网页时）不再切换
+    if (fromProfileId === match.profile.id) {
+      return;
+    }
+    
+    const entry = {
+      url: details.url,
+      rule: match.rule,
+      profileId: match.profile.id,
+      profileName: match.profile.name,
+      fromProfileId,
+      storeId
+    };
+    if (AutoSwitch.enterCooldown(storeId)) {
+      await AutoSwitch.appendLog({
+        ...entry,
+        result: AutoSwitch.RESULT_SKIPPED,
+        reason: `距离上次自动切换不足${AutoSwitch.COOLDOWN / 1000}秒`
+      });
+      return;
+    }
+    
+    try {
+      await pruneClosedStores();
+      await switchProfileWithBadge(match.profile, storeId);
+    } catch (error) {
+      console.error('自动切换配置失败:', error);
+      await AutoSwitch.appendLog({ ...entry, result: AutoSwitch.RESULT_FAILED, reason: error.message });
+      return;
+    }
+    await AutoSwitch.appendLog({ ...entry, result: AutoSwitch.RESULT_SWITCHED });
+    
+    // 网页请求在切换完成前已经发出，使用新配置的Cookie重新打开
+    await chrome.tabs.update(details.tabId, { url: details.url });
+  } catch (error) {
+    console.error('处理自动切换失败:', error);
+  }
+}
+
+/**
+ * 预览切换配置的结果（不修改浏览器和存储）
+ * @param {string} profileId - 要切换到的配置ID
+ * @param {boolean} clearCookies - 是否清空Cookie（默认true）
+ * @param {string} [storeId] - Cookie存储ID
+ * @returns {Promise<object>} 将被删除、恢复、已过期和预计被拒绝的Cookie
+ */
+async function previewSwitch(profileId, clearCookies = true, storeId = ConfigManager.DEFAULT_STORE_ID) {
+  const profiles = await ConfigManager.getProfiles();
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) {
+    throw new Error('配置不存在');
+  }
+  
+  const currentProfile = await ConfigManager.getActiveProfile(storeId);
+  const liveCookies = clearCookies ? await getCookiesToRemoveOnSwitch(currentProfile, profile, storeId) : [];
+  const profileCookies = await CookieManager.getProfileCookies(profileId);
+  
+  return {
+    profileId,
+    profileName: profile.name,
+    switchMode: ConfigManager.getSwitchMode(profile),
+    removed: liveCookies.map(CookieManager.toCookieSummary),
+    ...CookieManager.previewSetBrowserCookies(profileCookies)
+  };
+}
+
+/**
+ * 取消Cookie存储中激活的配置并清空该存储中的所有Cookie
+ * @param {string} [storeId] - Cookie存储ID
+ * @returns {Promise<void>}
+ */
+async function deactivateProfile(storeId = ConfigManager.DEFAULT_STORE_ID) {
+  if (isSwitchingProfile) {
+    throw new Error('正在切换配置，请稍候');
+  }
+  
+  isSwitchingProfile = true;
+  
+  try {
+    await flushPendingCookies();
+    
+    const currentProfile = await ConfigManager.getActiveProfile(storeId);
+    if (currentProfile) {
+      await Snapshots.createSnapshot(currentProfile.id, { auto: true, reason: 'clear' });
+    }
+    
+    // 清空期间产生的删除事件会被忽略，配置中保存的Cookie不受影响
+    await CookieManager.clearAllCookies([], storeId);
+    await ConfigManager.clearActiveProfile(storeId);
+  } finally {
+    isSwitchingProfile = false;
+  }
+}
+
+/**
+ * 清空配置保存的Cookie（清空前自动创建快照）
+ * @param {string} profileId - 配置ID
+ * @returns {Promise<void>}
+ */
+async function clearProfileCookies(profileId) {
+  await flushPendingCookies();
+  await Snapshots.createSnapshot(profileId, { auto: true, reason: 'clear' });
+  await CookieManager.clearProfileCookies(profileId);
+}
+
+/**
+ * 将快照中的Cookie直接写入浏览器（不记录到当前配置）
+ * 配置已在某个Cookie存储中激活时写入该存储，否则写入普通窗口的存储
+ * @param {string} profileId - 配置ID
+ * @param {string} snapshotId - 快照ID
+ * @returns {Promise<void>}
+ */
+async function restoreSnapshotToBrowser(profileId, snapshotId) {
+  if (isSwitchingProfile) {
+    throw new Error('正在切换配置，请稍候');
+  }
+  
+  const cookies = await Snapshots.getSnapshotCookies(profileId, snapshotId);
+  const storeId = (await ConfigManager.getProfileStoreId(profileId)) || ConfigManager.DEFAULT_STORE_ID;
+  isSwitchingProfile = true;
+  
+  try {
+    await flushPendingCookies();
+    await CookieManager.setBrowserCookies(cookies, storeId);
+  } finally {
+    isSwitchingProfile = false;
+  }
+}
+
+/**
+ * 将配置中选中的Cookie写入浏览器（不记录到当前配置），可撤销
+ * 配置已在某个Cookie存储中激活时写入该存储，否则写入普通窗口的存储
+ * @param {string} profileId - 配置ID
+ * @param {Array} selection - 选中的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}
+ * @returns {Promise<{undo: object, report: object}>} 撤销记录的摘要和写入结果
+ */
+async function applyCookiesToBrowser(profileId, selection) {
+  if (isSwitchingProfile) {
+    throw new Error('正在切换配置，请稍候');
+  }
+  
+  const storeId = (await ConfigManager.getProfileStoreId(profileId)) || ConfigManager.DEFAULT_STORE_ID;
+  isSwitchingProfile = true;
+  
+  try {
+    await flushPendingCookies();
+    return await BulkCookies.applyToBrowser(profileId, selection, storeId);
+  } finally {
+    isSwitchingProfile = false;
+  }
+}
+
+/**
+ * 撤销最近一次批量操作（撤销写入浏览器时同样不记录Cookie变化）
+ * @returns {Promise<object>} 被撤销的操作摘要
+ */
+async function undoBulkOperation() {
+  const last = await BulkCookies.getUndoSummary();
+  if (!last || last.target !== BulkCookies.TARGET_BROWSER) {
+    await flushPendingCookies();
+    return BulkCookies.undoLastOperation();
+  }
+  if (isSwitchingProfile) {
+    throw new Error('正在切换配置，请稍候');
+  }
+  
+  isSwitchingProfile = true;
+  
+  try {
+    await flushPendingCookies();
+    return await BulkCookies.undoLastOperation();
+  } finally {
+    isSwitchingProfile = false;
+  }
+}
+
+/**
+ * 弹窗与Service Worker之间的消息协议
+ * 弹窗只通过这些消息读写配置和Cookie（见popup/api.js），所有写入都由Service Worker完成
+ * 每个处理函数接收消息对象，返回的字段会与 {success: true} 合并后作为响应；
+ * 抛出的错误以 {success: false, error} 返回
+ */
+const MESSAGE_HANDLERS = {
+  // 配置
+  getProfiles: async () => ({ profiles: await ConfigManager.getProfiles() }),
+  getActiveProfileId: async ({ storeId }) => ({ profileId: await ConfigManager.getActiveProfileId(storeId) }),
+  getActiveProfile: async ({ storeId }) => ({ profile: await ConfigManager.getActiveProfile(storeId) }),
+  getCookieStores: async () => ({ stores: await getCookieStores() }),
+  createProfile: async ({ name, domains }) => ({ profile: await ConfigManager.createProfile(name, domains || []) }),
+  updateProfile: async ({ profileId, updates }) => ({
+    profile: await ConfigManager.updateProfile(profileId, ConfigManager.pickProfileUpdates(updates))
+  }),
+  deleteProfile: async ({ profileId }) => {
+    await ConfigManager.deleteProfile(profileId, CookieManager.getProfileStorageKeys(profileId));
+  },
+  previewSwitch: async ({ profileId, clearCookies, storeId }) => ({
+    preview: await previewSwitch(profileId, clearCookies !== false, storeId)
+  }),
+  switchProfile: async ({ profileId, clearCookies, storeId }) => ({
+    report: await switchProfile(profileId, clearCookies !== false, storeId)
+  }),
+  deactivateProfile: async ({ storeId }) => {
+    await deactivateProfile(storeId);
+  },
+  
+  // 域名
+  addDomain: async ({ profileId, domain }) => ({ profile: await ConfigManager.addDomainToProfile(profileId, domain) }),
+  removeDomain: async ({ profileId, domain }) => ({ profile: await ConfigManager.removeDomainFromProfile(profileId, domain) }),
+  
+  // 自动切换
+  addUrlRule: async ({ profileId, rule }) => ({ profile: await ConfigManager.addUrlRuleToProfile(profileId, rule) }),
+  removeUrlRule: async ({ profileId, rule }) => ({ profile: await ConfigManager.removeUrlRuleFromProfile(profileId, rule) }),
+  getAutoSwitchStatus: async () => ({
+    paused: await AutoSwitch.isPaused(),
+    log: await AutoSwitch.getLog()
+  }),
+  setAutoSwitchPaused: async ({ paused }) => {
+    await AutoSwitch.setPaused(paused === true);
+  },
+  clearAutoSwitchLog: async () => {
+    await AutoSwitch.clearLog();
+  },
+  
+  // Cookie
+  getProfileCookies: async ({ profileId }) => ({ cookies: await CookieManager.getProfileCookies(profileId) }),
+  addCookie: async ({ profileId, domain, cookie }) => {
+    await CookieManager.addCookie(profileId, domain, cookie);
+  },
+  updateCookie: async ({ profileId, cookie, updates }) => {
+    await CookieManager.updateCookie(profileId, cookie, updates);
+  },
+  deleteCookie: async ({ profileId, cookie }) => {
+    await CookieManager.deleteCookie(profileId, cookie);
+  },
+  clearProfileCookies: async ({ profileId }) => {
+    await clearProfileCookies(profileId);
+  },
+  saveCurrentCookies: async () => {
+    await flushPendingCookies();
+    for (const storeId of Object.keys(await ConfigManager.getActiveProfiles())) {
+      await CookieManager.saveCurrentProfileCookies(storeId);
+    }
+  },
+  getRemovalHistory: async ({ profileId }) => ({ history: await CookieManager.getRemovalHistory(profileId) }),
+  clearRemovalHistory: async ({ profileId }) => {
+    await CookieManager.clearRemovalHistory(profileId);
+  },
+  getCleanupStatus: async () => ({ status: await CookieCleanup.getCleanupStatus() }),
+  cleanupExpiredCookies: async () => {
+    if (!(await CookieCleanup.cleanupAllProfiles())) {
+      throw new Error('请先解锁加密数据');
+    }
+    return { status: await CookieCleanup.getCleanupStatus() };
+  },
+  
+  // 批量操作
+  bulkDeleteCookies: async ({ profileId, selection }) => ({
+    undo: await BulkCookies.deleteCookies(profileId, selection)
+  }),
+  bulkCopyCookies: async ({ profileId, selection, targetProfileId, move }) => ({
+    undo: await BulkCookies.copyCookies(profileId, selection, targetProfileId, move === true)
+  }),
+  bulkSetCookieAttributes: async ({ profileId, selection, attributes }) => ({
+    undo: await BulkCookies.setAttributes(profileId, selection, attributes)
+  }),
+  bulkApplyCookiesToBrowser: async ({ profileId, selection }) => applyCookiesToBrowser(profileId, selection),
+  exportSelectedCookies: async ({ profileId, selection }) => ({
+    content: await BulkCookies.exportSelection(profileId, selection)
+  }),
+  getBulkUndo: async () => ({ undo: await BulkCookies.getUndoSummary() }),
+  undoBulkOperation: async () => ({ undo: await undoBulkOperation() }),
+  
+  // 设置
+  isPluginEnabled: async () => ({ enabled: await ConfigManager.isPluginEnabled() }),
+  setPluginEnabled: async ({ enabled }) => {
+    await ConfigManager.setPluginEnabled(enabled === true);
+  },
+  
+  // 导入导出
+  exportProfiles: async ({ profileIds }) => ({ bundle: await ProfileBundle.exportProfiles(profileIds) }),
+  previewImport: async ({ bundle }) => ({ preview: await ProfileBundle.previewImport(bundle) }),
+  importProfiles: async ({ bundle, resolutions }) => ({ result: await ProfileBundle.importProfiles(bundle, resolutions) }),
+  exportNetscape: async ({ profileId }) => ({ content: await NetscapeCookies.exportProfile(profileId) }),
+  importNetscape: async ({ content, profileId, newProfileName }) => ({
+    result: await NetscapeCookies.importToProfile(content, { profileId, newProfileName })
+  }),
+  
+  // 加密
+  getEncryptionStatus: async () => ({ status: await CryptoUtils.getStatus() }),
+  unlock: async ({ passphrase }) => {
+    await CryptoUtils.unlock(passphrase);
+    // 启动时因未解锁而无法处理的中断切换在解锁后回滚
+    await recoverInterruptedSwitch();
+  },
+  lock: async () => {
+    await CryptoUtils.lock();
+  },
+  enableEncryption: async ({ passphrase }) => {
+    await CookieManager.enableEncryption(passphrase);
+  },
+  changePassphrase: async ({ oldPassphrase, newPassphrase }) => {
+    await CookieManager.changePassphrase(oldPassphrase, newPassphrase);
+  },
+  disableEncryption: async ({ passphrase }) => {
+    await CookieManager.disableEncryption(passphrase);
+  },
+  
+  // 数据迁移
+  getMigrationStatus: async () => ({ status: await Migrations.getMigrationStatus() }),
+  retryMigration: async () => ({ status: await Migrations.ensureMigrated() }),
+  restoreMigrationBackup: async () => {
+    await Migrations.restoreBackup();
+  },
+  
+  // 快照
+  listSnapshots: async ({ profileId }) => ({ snapshots: await Snapshots.listSnapshots(profileId) }),
+  createSnapshot: async ({ profileId, name }) => ({ snapshot: await Snapshots.createSnapshot(profileId, { name }) }),
+  deleteSnapshot: async ({ profileId, snapshotId }) => {
+    await Snapshots.deleteSnapshot(profileId, snapshotId);
+  },
+  diffSnapshots: async ({ profileId, fromId, toId }) => ({ diff: await Snapshots.diffSnapshots(profileId, fromId, toId) }),
+  restoreSnapshot: async ({ profileId, snapshotId, target }) => {
+    if (target === 'browser') {
+      await restoreSnapshotToBrowser(profileId, snapshotId);
+    } else {
+      await Snapshots.restoreToProfile(profileId, snapshotId);
+    }
+  }
+};
+
 // 监听来自popup的消息
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // 只接受本插件页面发来的消息
+  if (sender.id !== chrome.runtime.id) {
+    return false;
+  }
+  
+  const handler = Object.prototype.hasOwnProperty.call(MESSAGE_HANDLERS, message?.action)
+    ? MESSAGE_HANDLERS[message.action]
+    : null;
+  if (!handler) {
+    sendResponse({ success: false, error: '未知操作' });
+    return false;
+  }
+  
   (async () => {
     try {
-      switch (message.action) {
-        case 'switchProfile':
-          await switchProfile(message.profileId, message.clearCookies !== false);
-          sendResponse({ success: true });
-          break;
-          
-        case 'saveCurrentCookies':
-          await CookieManager.saveCurrentProfileCookies();
-          sendResponse({ success: true });
-          break;
-          
-        case 'getActiveProfile':
-          const profile = await ConfigManager.getActiveProfile();
-          sendResponse({ success: true, profile });
-          break;
-          
-        case 'isPluginEnabled':
-          const enabled = await ConfigManager.isPluginEnabled();
-          sendResponse({ success: true, enabled });
-          break;
-          
-        default:
-          sendResponse({ success: false, error: '未知操作' });
-      }
+      const result = await handler(message);
+      sendResponse({ success: true, ...result });
     } catch (error) {
       sendResponse({ success: false, error: error.message });
     }
@@ -153,12 +907,68 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// 安装或更新插件后执行数据迁移
+chrome.runtime.onInstalled.addListener((details) => {
+  if (details.reason === 'update') {
+    console.log(`插件已从 ${details.previousVersion} 更新`);
+  }
+  Migrations.ensureMigrated().catch(error => {
+    console.error('迁移存储数据失败:', error);
+  });
+});
+
+// 被标记的标签页刷新或跳转后清除标记
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') {
+    TabActions.clearTabBadge(tabId).catch(error => {
+      console.error('清除标签页标记失败:', error);
+    });
+  }
+});
+
+// 定期清理配置中已过期的Cookie
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CookieCleanup.ALARM_NAME) {
+    CookieCleanup.cleanupAllProfiles().catch(error => {
+      console.error('清理过期Cookie失败:', error);
+    });
+  }
+});
+
+// 快捷键切换配置
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleCommand(command, tab);
+});
+
+// 右键菜单
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab);
+});
+
+// 按URL规则自动切换配置
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+  handleBeforeNavigate(details);
+});
+
+// 关闭最后一个隐身窗口后，隐身存储中激活的配置随之失效
+chrome.windows.onRemoved.addListener(() => {
+  pruneClosedStores();
+});
+
 // 监听插件启用/禁用状态变化
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName === 'local') {
-    if (changes.pluginEnabled || changes.activeProfileId) {
+    if (changes.pluginEnabled || changes.activeProfiles) {
       setupCookieInterceptor();
     }
+    // 激活的配置、启用状态或配置的标记变化后更新插件图标
+    if (changes.pluginEnabled || changes.activeProfiles || changes.profiles) {
+      ActionBadge.updateActionBadge();
+    }
+    // 配置新建、删除或改名后重建右键菜单
+    if (changes.profiles) {
+      ContextMenus.rebuildMenus();
+    }
   }
 });
 
@@ -0,0 +1,674 @@
+/**
+ * Service Worker消息接口
+ * 弹窗通过chrome.runtime消息读写配置和Cookie，所有写入都由Service Worker完成
+ * 消息处理见background/service-worker.js中的MESSAGE_HANDLERS
+ */
+
+/**
+ * @typedef {object} Profile
+ * @property {string} id - 配置ID
+ * @property {string} name - 配置名称
+ * @property {string[]} domains - 域名列表，为空时对所有域名生效
+ * @property {boolean} enabled - 是否启用
+ * @property {number} createdAt - 创建时间
+ * @property {number} schemaVersion - 数据结构版本号
+ * @property {string} [switchMode] - 切换到该配置时的清除方式（scoped 只清除两个配置域名下的Cookie，clearAll 清除其余所有Cookie），缺省为clearAll
+ * @property {string} [tabAction] - 切换到该配置后对受影响标签页的处理方式（reload、discard、badge、none），缺省为none
+ * @property {boolean} [skipSwitchPreview] - 切换到该配置时是否跳过预览
+ * @property {string} [sessionCookiePolicy] - 会话Cookie的处理方式（session 恢复为会话Cookie，ttl 恢复时设置有效期，skip 不记录），缺省为session
+ * @property {number} [sessionCookieTtlHours] - 会话Cookie的有效期（小时），缺省为24
+ * @property {number|null} [pinnedSlot] - 快捷键固定位置（1到4）
+ * @property {string[]} [urlRules] - 自动切换到该配置的URL规则，如 admin.example.com 或 *.example.com/admin/*
+ * @property {string} [badgeLabel] - 插件图标上显示的标记（最多4个字符），缺省为名称的前两个字符
+ * @property {string} [badgeColor] - 插件图标标记的颜色（#rrggbb），缺省为#1976d2
+ * @property {string} [notes] - 备注（最多1000个字符），可在配置列表中搜索
+ */
+
+/**
+ * @typedef {object} StoredCookie
+ * @property {string} name - 名称
+ * @property {string} value - 值
+ * @property {string} domain - 域名
+ * @property {boolean} hostOnly - 是否仅限当前主机
+ * @property {string} path - 路径
+ * @property {boolean} secure - 是否仅HTTPS
+ * @property {boolean} httpOnly - 是否禁止脚本访问
+ * @property {string} sameSite - SameSite策略
+ * @property {number} [expirationDate] - 过期时间（秒），会话Cookie没有该字段
+ * @property {string} storeId - Cookie存储ID
+ * @property {{topLevelSite: string}} [partitionKey] - 分区Cookie（CHIPS）的分区键
+ * @property {number} [capturedAt] - 会话Cookie的记录时间
+ */
+
+/**
+ * @typedef {Object<string, StoredCookie[]>} ProfileCookies 按域名（不含前导点）组织的Cookie
+ */
+
+/**
+ * @typedef {object} RemovalEntry
+ * @property {string} name - Cookie名称
+ * @property {string} domain - 域名
+ * @property {string} path - 路径
+ * @property {string} [topLevelSite] - 分区Cookie的顶级站点
+ * @property {string} cause - 删除原因（explicit、expired、expired_overwrite、evicted，定期清理移除的为cleanup）
+ * @property {number} removedAt - 删除时间
+ */
+
+/**
+ * @typedef {object} SnapshotSummary
+ * @property {string} id - 快照ID
+ * @property {string} name - 快照名称（自动快照为空）
+ * @property {boolean} auto - 是否为自动快照
+ * @property {string} reason - 创建原因（manual、switch、clear、restore）
+ * @property {number} createdAt - 创建时间
+ * @property {number} cookieCount - Cookie数量
+ */
+
+/**
+ * @typedef {object} CookieSummary
+ * @property {string} domain - 域名
+ * @property {string} name - 名称
+ * @property {string} path - 路径
+ * @property {string} [topLevelSite] - 分区Cookie的顶级站点
+ */
+
+/**
+ * @typedef {object} CleanupStatus
+ * @property {number} cleanedAt - 最近一次清理的时间
+ * @property {number} removedCount - 最近一次清理移除的过期Cookie数量
+ */
+
+/**
+ * @typedef {object} CookieStore
+ * @property {string} id - Cookie存储ID
+ * @property {boolean} incognito - 是否为隐身窗口的存储
+ * @property {string|null} activeProfileId - 该存储中激活的配置ID
+ */
+
+/**
+ * @typedef {object} SwitchPreview
+ * @property {string} profileId - 配置ID
+ * @property {string} profileName - 配置名称
+ * @property {string} switchMode - 使用的切换方式
+ * @property {CookieSummary[]} removed - 将从浏览器删除的Cookie
+ * @property {CookieSummary[]} restored - 将恢复到浏览器的Cookie
+ * @property {Array<CookieSummary & {expirationDate: number}>} expired - 已过期、恢复后不会生效的Cookie
+ * @property {Array<CookieSummary & {reason: string}>} rejected - 预计会被浏览器拒绝的Cookie
+ */
+
+/**
+ * @typedef {object} AutoSwitchLogEntry
+ * @property {number} at - 时间
+ * @property {string} url - 触发切换的网址
+ * @property {string} rule - 匹配的URL规则
+ * @property {string} profileId - 切换到的配置ID
+ * @property {string} profileName - 切换到的配置名称
+ * @property {string|null} fromProfileId - 切换前激活的配置ID
+ * @property {string} storeId - Cookie存储ID
+ * @property {string} result - 结果（switched、skipped、failed）
+ * @property {string} [reason] - 跳过或失败的原因
+ */
+
+/**
+ * @typedef {object} SwitchDomainResult
+ * @property {number} cleared - 从浏览器清除的Cookie数量
+ * @property {number} restored - 恢复到浏览器的Cookie数量
+ * @property {number} expired - 已过期而跳过的Cookie数量
+ * @property {number} failed - 清除或恢复失败的Cookie数量
+ */
+
+/**
+ * @typedef {object} SwitchReport
+ * @property {Object<string, SwitchDomainResult>} domains - 按域名（不含前导点）统计的结果
+ * @property {Array<CookieSummary & {operation: string, reason: string}>} failures - 失败的Cookie，operation为clear或restore
+ */
+
+/**
+ * @typedef {object} CookieSelection
+ * @property {string} domain - 分组域名
+ * @property {string} cookieDomain - Cookie的域名
+ * @property {boolean} hostOnly - 是否仅限当前主机
+ * @property {string} name - 名称
+ * @property {string} path - 路径
+ * @property {string} [topLevelSite] - 分区Cookie的顶级站点
+ */
+
+/**
+ * @typedef {object} BulkUndoSummary
+ * @property {string} action - 操作类型（delete、copy、move、setAttributes、applyToBrowser）
+ * @property {string} target - 撤销时恢复的对象（profiles 配置保存的Cookie，browser 浏览器中的Cookie）
+ * @property {number} count - 操作的Cookie数量
+ * @property {string[]} profileIds - 受影响的配置ID
+ * @property {number} createdAt - 操作时间
+ */
+
+/**
+ * 发送消息，失败时抛出错误
+ * @param {string} action - 消息类型
+ * @param {object} [payload] - 消息参数
+ * @returns {Promise<object>} 响应（不含success字段）
+ */
+async function request(action, payload = {}) {
+  const response = await chrome.runtime.sendMessage({ action, ...payload });
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || '未知错误');
+  }
+  const { success, ...result } = response;
+  return result;
+}
+
+// ---------- 配置 ----------
+
+/**
+ * 获取所有配置
+ * @returns {Promise<Profile[]>} 配置列表
+ */
+export async function getProfiles() {
+  return (await request('getProfiles')).profiles;
+}
+
+/**
+ * 获取Cookie存储中激活的配置ID
+ * @param {string} [storeId] - Cookie存储ID，默认为普通窗口的存储
+ * @returns {Promise<string|null>} 配置ID
+ */
+export async function getActiveProfileId(storeId) {
+  return (await request('getActiveProfileId', { storeId })).profileId;
+}
+
+/**
+ * 获取当前打开的Cookie存储（普通窗口和隐身窗口）及其中激活的配置
+ * @returns {Promise<CookieStore[]>} Cookie存储列表
+ */
+export async function getCookieStores() {
+  return (await request('getCookieStores')).stores;
+}
+
+/**
+ * 创建配置
+ * @param {string} name - 配置名称
+ * @param {string[]} [domains] - 域名列表
+ * @returns {Promise<Profile>} 创建的配置
+ */
+export async function createProfile(name, domains = []) {
+  return (await request('createProfile', { name, domains })).profile;
+}
+
+/**
+ * 更新配置
+ * @param {string} profileId - 配置ID
+ * @param {Partial<Profile>} updates - 要更新的字段
+ * @returns {Promise<Profile>} 更新后的配置
+ */
+export async function updateProfile(profileId, updates) {
+  return (await request('updateProfile', { profileId, updates })).profile;
+}
+
+/**
+ * 删除配置
+ * @param {string} profileId - 配置ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProfile(profileId) {
+  await request('deleteProfile', { profileId });
+}
+
+/**
+ * 预览切换到指定配置的结果（不修改浏览器和存储）
+ * @param {string} profileId - 配置ID
+ * @param {boolean} [clearCookies] - 是否先清空浏览器Cookie
+ * @param {string} [storeId] - Cookie存储ID，默认为普通窗口的存储
+ * @returns {Promise<SwitchPreview>} 预览结果
+ */
+export async function previewSwitch(profileId, clearCookies = true, storeId) {
+  return (await request('previewSwitch', { profileId, clearCookies, storeId })).preview;
+}
+
+/**
+ * 在Cookie存储中切换到指定配置
+ * @param {string} profileId - 配置ID
+ * @param {boolean} [clearCookies] - 是否先清空浏览器Cookie
+ * @param {string} [storeId] - Cookie存储ID，默认为普通窗口的存储
+ * @returns {Promise<SwitchReport|null>} 切换报告，已有切换在进行时为null
+ */
+export async function switchProfile(profileId, clearCookies = true, storeId) {
+  return (await request('switchProfile', { profileId, clearCookies, storeId })).report;
+}
+
+/**
+ * 取消Cookie存储中激活的配置并清空该存储中的所有Cookie
+ * @param {string} [storeId] - Cookie存储ID，默认为普通窗口的存储
+ * @returns {Promise<void>}
+ */
+export async function deactivateProfile(storeId) {
+  await request('deactivateProfile', { storeId });
+}
+
+// ---------- 域名 ----------
+
+/**
+ * 添加域名到配置
+ * @param {string} profileId - 配置ID
+ * @param {string} domain - 域名（支持通配符，如 *.example.com）
+ * @returns {Promise<Profile>} 更新后的配置
+ */
+export async function addDomain(profileId, domain) {
+  return (await request('addDomain', { profileId, domain })).profile;
+}
+
+/**
+ * 从配置中删除域名
+ * @param {string} profileId - 配置ID
+ * @param {string} domain - 域名
+ * @returns {Promise<Profile>} 更新后的配置
+ */
+export async function removeDomain(profileId, domain) {
+  return (await request('removeDomain', { profileId, domain })).profile;
+}
+
+// ---------- 自动切换 ----------
+
+/**
+ * 添加自动切换的URL规则到配置
+ * @param {string} profileId - 配置ID
+ * @param {string} rule - URL规则
+ * @returns {Promise<Profile>} 更新后的配置
+ */
+export async function addUrlRule(profileId, rule) {
+  return (await request('addUrlRule', { profileId, rule })).profile;
+}
+
+/**
+ * 从配置中删除自动切换的URL规则
+ * @param {string} profileId - 配置ID
+ * @param {string} rule - URL规则
+ * @returns {Promise<Profile>} 更新后的配置
+ */
+export async function removeUrlRule(profileId, rule) {
+  return (await request('removeUrlRule', { profileId, rule })).profile;
+}
+
+/**
+ * 获取自动切换是否暂停以及自动切换记录
+ * @returns {Promise<{paused: boolean, log: AutoSwitchLogEntry[]}>} 自动切换状态
+ */
+export async function getAutoSwitchStatus() {
+  const { paused, log } = await request('getAutoSwitchStatus');
+  return { paused, log };
+}
+
+/**
+ * 暂停或恢复自动切换
+ * @param {boolean} paused - 是否暂停
+ * @returns {Promise<void>}
+ */
+export async function setAutoSwitchPaused(paused) {
+  await request('setAutoSwitchPaused', { paused });
+}
+
+/**
+ * 清空自动切换记录
+ * @returns {Promise<void>}
+ */
+export async function clearAutoSwitchLog() {
+  await request('clearAutoSwitchLog');
+}
+
+// ---------- Cookie ----------
+
+/**
+ * 获取配置保存的Cookie
+ * @param {string} profileId - 配置ID
+ * @returns {Promise<ProfileCookies>} Cookie数据
+ */
+export async function getProfileCookies(profileId) {
+  return (await request('getProfileCookies', { profileId })).cookies;
+}
+
+/**
+ * 添加Cookie到配置
+ * @param {string} profileId - 配置ID
+ * @param {string} domain - 分组域名
+ * @param {Partial<StoredCookie>} cookie - Cookie
+ * @returns {Promise<void>}
+ */
+export async function addCookie(profileId, domain, cookie) {
+  await request('addCookie', { profileId, domain, cookie });
+}
+
+/**
+ * 更新配置中的Cookie（可以修改名称、域名和路径）
+ * @param {string} profileId - 配置ID
+ * @param {CookieSelection} cookie - 要更新的Cookie
+ * @param {Partial<StoredCookie>} updates - 要更新的字段
+ * @returns {Promise<void>}
+ */
+export async function updateCookie(profileId, cookie, updates) {
+  await request('updateCookie', { profileId, cookie, updates });
+}
+
+/**
+ * 删除配置中的Cookie
+ * @param {string} profileId - 配置ID
+ * @param {CookieSelection} cookie - 要删除的Cookie
+ * @returns {Promise<void>}
+ */
+export async function deleteCookie(profileId, cookie) {
+  await request('deleteCookie', { profileId, cookie });
+}
+
+/**
+ * 清空配置保存的Cookie（清空前自动创建快照）
+ * @param {string} profileId - 配置ID
+ * @returns {Promise<void>}
+ */
+export async function clearProfileCookies(profileId) {
+  await request('clearProfileCookies', { profileId });
+}
+
+/**
+ * 获取配置的Cookie删除记录
+ * @param {string} profileId - 配置ID
+ * @returns {Promise<RemovalEntry[]>} 删除记录（最新的在前）
+ */
+export async function getRemovalHistory(profileId) {
+  return (await request('getRemovalHistory', { profileId })).history;
+}
+
+/**
+ * 清空配置的Cookie删除记录
+ * @param {string} profileId - 配置ID
+ * @returns {Promise<void>}
+ */
+export async function clearRemovalHistory(profileId) {
+  await request('clearRemovalHistory', { profileId });
+}
+
+/**
+ * 获取每个配置最近一次清理过期Cookie的结果
+ * @returns {Promise<Object<string, CleanupStatus>>} 以配置ID为键的清理结果
+ */
+export async function getCleanupStatus() {
+  return (await request('getCleanupStatus')).status;
+}
+
+/**
+ * 立即清理所有配置中已过期的Cookie
+ * @returns {Promise<Object<string, CleanupStatus>>} 以配置ID为键的清理结果
+ */
+export async function cleanupExpiredCookies() {
+  return (await request('cleanupExpiredCookies')).status;
+}
+
+// ---------- 批量操作 ----------
+
+/**
+ * 从配置中删除选中的Cookie
+ * @param {string} profileId - 配置ID
+ * @param {CookieSelection[]} selection - 选中的Cookie
+ * @returns {Promise<BulkUndoSummary>} 可撤销的操作
+ */
+export async function bulkDeleteCookies(profileId, selection) {
+  return (await request('bulkDeleteCookies', { profileId, selection })).undo;
+}
+
+/**
+ * 将选中的Cookie复制或移动到另一个配置
+ * @param {string} profileId - 配置ID
+ * @param {CookieSelection[]} selection - 选中的Cookie
+ * @param {string} targetProfileId - 目标配置ID
+ * @param {boolean} move - 是否从原配置中删除
+ * @returns {Promise<BulkUndoSummary>} 可撤销的操作
+ */
+export async function bulkCopyCookies(profileId, selection, targetProfileId, move) {
+  return (await request('bulkCopyCookies', { profileId, selection, targetProfileId, move })).undo;
+}
+
+/**
+ * 批量设置选中Cookie的属性
+ * @param {string} profileId - 配置ID
+ * @param {CookieSelection[]} selection - 选中的Cookie
+ * @param {{path?: string, secure?: boolean, httpOnly?: boolean, sameSite?: string, expirationDate?: number|null}} attributes - 要设置的属性，expirationDate为null时改为会话Cookie
+ * @returns {Promise<BulkUndoSummary>} 可撤销的操作
+ */
+export async function bulkSetCookieAttributes(profileId, selection, attributes) {
+  return (await request('bulkSetCookieAttributes', { profileId, selection, attributes })).undo;
+}
+
+/**
+ * 将选中的Cookie写入浏览器
+ * @param {string} profileId - 配置ID
+ * @param {CookieSelection[]} selection - 选中的Cookie
+ * @returns {Promise<{undo: BulkUndoSummary, report: SwitchReport}>} 可撤销的操作和写入结果
+ */
+export async function bulkApplyCookiesToBrowser(profileId, selection) {
+  return request('bulkApplyCookiesToBrowser', { profileId, selection });
+}
+
+/**
+ * 将选中的Cookie导出为cookies.txt
+ * @param {string} profileId - 配置ID
+ * @param {CookieSelection[]} selection - 选中的Cookie
+ * @returns {Promise<string>} cookies.txt内容
+ */
+export async function exportSelectedCookies(profileId, selection) {
+  return (await request('exportSelectedCookies', { profileId, selection })).content;
+}
+
+/**
+ * 获取最近一次可撤销的批量操作
+ * @returns {Promise<BulkUndoSummary|null>} 可撤销的操作，没有时为null
+ */
+export async function getBulkUndo() {
+  return (await request('getBulkUndo')).undo;
+}
+
+/**
+ * 撤销最近一次批量操作
+ * @returns {Promise<BulkUndoSummary>} 被撤销的操作
+ */
+export async function undoBulkOperation() {
+  return (await request('undoBulkOperation')).undo;
+}
+
+// ---------- 设置 ----------
+
+/**
+ * 插件是否启用
+ * @returns {Promise<boolean>} 是否启用
+ */
+export async function isPluginEnabled() {
+  return (await request('isPluginEnabled')).enabled;
+}
+
+/**
+ * 设置插件启用状态
+ * @param {boolean} enabled - 是否启用
+ * @returns {Promise<void>}
+ */
+export async function setPluginEnabled(enabled) {
+  await request('setPluginEnabled', { enabled });
+}
+
+// ---------- 导入导出 ----------
+
+/**
+ * 导出配置
+ * @param {string[]} profileIds - 配置ID列表
+ * @returns {Promise<object>} 配置包
+ */
+export async function exportProfiles(profileIds) {
+  return (await request('exportProfiles', { profileIds })).bundle;
+}
+
+/**
+ * 预览导入
+ * @param {object} bundle - 配置包
+ * @returns {Promise<object>} 预览结果
+ */
+export async function previewImport(bundle) {
+  return (await request('previewImport', { bundle })).preview;
+}
+
+/**
+ * 导入配置
+ * @param {object} bundle - 配置包
+ * @param {Object<number, string>} resolutions - 冲突处理方式（merge、replace、new、skip）
+ * @returns {Promise<object>} 导入结果统计
+ */
+export async function importProfiles(bundle, resolutions) {
+  return (await request('importProfiles', { bundle, resolutions })).result;
+}
+
+/**
+ * 导出配置的Cookie为cookies.txt
+ * @param {string} profileId - 配置ID
+ * @returns {Promise<string>} cookies.txt内容
+ */
+export async function exportNetscape(profileId) {
+  return (await request('exportNetscape', { profileId })).content;
+}
+
+/**
+ * 导入cookies.txt
+ * @param {string} content - cookies.txt内容
+ * @param {{profileId?: string, newProfileName?: string}} target - 导入到现有配置或新建配置
+ * @returns {Promise<object>} 导入结果
+ */
+export async function importNetscape(content, target) {
+  return (await request('importNetscape', { content, ...target })).result;
+}
+
+// ---------- 加密 ----------
+
+/**
+ * 获取加密状态
+ * @returns {Promise<{enabled: boolean, unlocked: boolean}>} 加密状态
+ */
+export async function getEncryptionStatus() {
+  return (await request('getEncryptionStatus')).status;
+}
+
+/**
+ * 使用口令解锁
+ * @param {string} passphrase - 口令
+ * @returns {Promise<void>}
+ */
+export async function unlock(passphrase) {
+  await request('unlock', { passphrase });
+}
+
+/**
+ * 立即锁定
+ * @returns {Promise<void>}
+ */
+export async function lock() {
+  await request('lock');
+}
+
+/**
+ * 启用加密
+ * @param {string} passphrase - 口令
+ * @returns {Promise<void>}
+ */
+export async function enableEncryption(passphrase) {
+  await request('enableEncryption', { passphrase });
+}
+
+/**
+ * 更换口令
+ * @param {string} oldPassphrase - 当前口令
+ * @param {string} newPassphrase - 新口令
+ * @returns {Promise<void>}
+ */
+export async function changePassphrase(oldPassphrase, newPassphrase) {
+  await request('changePassphrase', { oldPassphrase, newPassphrase });
+}
+
+/**
+ * 关闭加密
+ * @param {string} passphrase - 当前口令
+ * @returns {Promise<void>}
+ */
+export async function disableEncryption(passphrase) {
+  await request('disableEncryption', { passphrase });
+}
+
+// ---------- 数据迁移 ----------
+
+/**
+ * 获取最近一次数据迁移的状态
+ * @returns {Promise<object|null>} 迁移状态
+ */
+export async function getMigrationStatus() {
+  return (await request('getMigrationStatus')).status;
+}
+
+/**
+ * 重试数据迁移
+ * @returns {Promise<object|null>} 迁移状态
+ */
+export async function retryMigration() {
+  return (await request('retryMigration')).status;
+}
+
+/**
+ * 从迁移前的备份恢复数据
+ * @returns {Promise<void>}
+ */
+export async function restoreMigrationBackup() {
+  await request('restoreMigrationBackup');
+}
+
+// ---------- 快照 ----------
+
+/**
+ * 列出配置的快照
+ * @param {string} profileId - 配置ID
+ * @returns {Promise<SnapshotSummary[]>} 快照列表（最新的在前）
+ */
+export async function listSnapshots(profileId) {
+  return (await request('listSnapshots', { profileId })).snapshots;
+}
+
+/**
+ * 创建命名快照
+ * @param {string} profileId - 配置ID
+ * @param {string} name - 快照名称
+ * @returns {Promise<SnapshotSummary>} 快照
+ */
+export async function createSnapshot(profileId, name) {
+  return (await request('createSnapshot', { profileId, name })).snapshot;
+}
+
+/**
+ * 删除快照
+ * @param {string} profileId - 配置ID
+ * @param {string} snapshotId - 快照ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSnapshot(profileId, snapshotId) {
+  await request('deleteSnapshot', { profileId, snapshotId });
+}
+
+/**
+ * 对比两个快照
+ * @param {string} profileId - 配置ID
+ * @param {string} fromId - 较早的快照ID（'current'表示当前保存的数据）
+ * @param {string} toId - 较新的快照ID（'current'表示当前保存的数据）
+ * @returns {Promise<{added: StoredCookie[], removed: StoredCookie[], changed: Array<{before: StoredCookie, after: StoredCookie}>}>} 差异
+ */
+export async function diffSnapshots(profileId, fromId, toId) {
+  return (await request('diffSnapshots', { profileId, fromId, toId })).diff;
+}
+
+/**
+ * 恢复快照
+ * @param {string} profileId - 配置ID
+ * @param {string} snapshotId - 快照ID
+ * @param {'profile'|'browser'} target - 恢复到配置保存的数据或直接写入浏览器
+ * @returns {Promise<void>}
+ */
+export async function restoreSnapshot(profileId, snapshotId, target) {
+  await request('restoreSnapshot', { profileId, snapshotId, target });
+}
@@ -2,28 +2,84 @@
  * Popup主逻辑
  */
 
-import { 
-  getProfiles, 
-  getActiveProfileId, 
-  createProfile, 
-  deleteProfile, 
-  switchProfile,
-  isPluginEnabled,
-  setPluginEnabled,
-  updateProfile
-} from '../utils/config-manager.js';
-import { getProfileCookies, updateCookie, deleteCookie, addCookie, clearProfileCookies, clearAllCookies } from '../utils/cookie-manager.js';
-import { setStorage } from '../utils/storage.js';
+import * as api from './api.js';
+
+// 普通窗口使用的Cookie存储ID
+const DEFAULT_STORE_ID = '0';
 
 let currentProfileId = null;
+let currentStoreId = DEFAULT_STORE_ID;
+let cookieStores = [];
 let profiles = [];
+let pendingImportBundle = null;
+let pendingNetscapeContent = null;
+let encryptionStatus = { enabled: false, unlocked: true };
+// Cookie详情对话框中的Cookie（按域名分组）和被折叠的域名分组
+let cookieDialogCookies = {};
+const collapsedCookieDomains = new Set();
+// Cookie详情对话框中选中的Cookie（见getCookieSelectionKey）
+const selectedCookieKeys = new Set();
+
+// 自动快照原因的显示名称
+const SNAPSHOT_REASON_LABELS = {
+  switch: '切换前',
+  clear: '清除前',
+  restore: '恢复前'
+};
+
+// 配置图标标记的默认颜色（与Service Worker一致）
+const DEFAULT_BADGE_COLOR = '#1976d2';
+
+// 会话Cookie的默认有效期（小时），超过该时间的会话Cookie提示可能已失效
+const DEFAULT_SESSION_COOKIE_TTL_HOURS = 24;
+
+// Cookie删除原因的显示名称
+const REMOVAL_CAUSE_LABELS = {
+  explicit: '被删除',
+  expired: '已过期',
+  expired_overwrite: '以过期时间覆盖',
+  evicted: '被浏览器清理',
+  cleanup: '过期清理'
+};
+
+// 自动切换结果的显示名称
+const AUTO_SWITCH_RESULT_LABELS = {
+  switched: '已切换',
+  skipped: '已跳过',
+  failed: '失败'
+};
+
+// 批量操作的显示名称
+const BULK_ACTION_LABELS = {
+  delete: '删除',
+  copy: '复制',
+  move: '移动',
+  setAttributes: '修改属性',
+  applyToBrowser: '写入浏览器'
+};
+
+// 固定位置快捷键的命令名前缀（与manifest.json中的commands一致）
+const PINNED_COMMAND_PREFIX = 'switch-to-pinned-';
 
 /**
  * 初始化
  */
 async function init() {
+  // 从隐身窗口打开弹窗时默认管理隐身窗口的配置
+  const currentWindow = await chrome.windows.getCurrent();
+  if (currentWindow.incognito) {
+    const stores = await api.getCookieStores();
+    const incognitoStore = stores.find(store => store.incognito);
+    if (incognitoStore) {
+      currentStoreId = incognitoStore.id;
+    }
+  }
+  
   await loadProfiles();
   await updatePluginToggle();
+  await updateAutoSwitchToggle();
+  await updateEncryptionStatus();
+  await updateMigrationStatus();
   setupEventListeners();
 }
 
@@ -31,11 +87,47 @@ async function init() {
  * 加载配置列表
  */
 async function loadProfiles() {
-  profiles = await getProfiles();
-  currentProfileId = await getActiveProfileId();
+  profiles = await api.getProfiles();
+  cookieStores = await api.getCookieStores();
+  // 隐身窗口全部关闭后回到普通窗口
+  if (!cookieStores.some(store => store.id === currentStoreId)) {
+    currentStoreId = DEFAULT_STORE_ID;
+  }
+  const currentStore = cookieStores.find(store => store.id === currentStoreId);
+  currentProfileId = currentStore ? currentStore.activeProfileId : null;
+  renderCookieStoreSelect();
   renderProfiles();
 }
 
+/**
+ * 获取Cookie存储的显示名称
+ * @param {object} store - Cookie存储
+ * @returns {string} 显示名称
+ */
+function getStoreLabel(store) {
+  return store.incognito ? '隐身窗口' : '普通窗口';
+}
+
+/**
+ * 渲染Cookie存储选择框（只有打开了隐身窗口时显示）
+ */
+function renderCookieStoreSelect() {
+  const select = document.getElementById('cookieStoreSelect');
+  select.innerHTML = cookieStores.map(store =>
+    `<option value="${escapeHtml(store.id)}">${getStoreLabel(store)}</option>`
+  ).join('');
+  select.value = currentStoreId;
+  select.style.display = cookieStores.length > 1 ? '' : 'none';
+}
+
+/**
+ * 处理切换要管理的Cookie存储
+ */
+async function handleCookieStoreChange(e) {
+  currentStoreId = e.target.value;
+  await loadProfiles();
+}
+
 /**
  * 渲染配置列表
  */
@@ -52,22 +144,44 @@ function renderProfiles() {
     return;
   }
   
-  profilesList.innerHTML = profiles.map(profile => {
+  const query = document.getElementById('profileSearch').value.trim().toLowerCase();
+  const visibleProfiles = query ? profiles.filter(profile => matchesProfileSearch(profile, query)) : profiles;
+  if (visibleProfiles.length === 0) {
+    profilesList.innerHTML = `
+      <div class="empty-state">
+        <p>没有匹配的配置</p>
+      </div>
+    `;
+    return;
+  }
+  
+  profilesList.innerHTML = visibleProfiles.map(profile => {
     const isActive = profile.id === currentProfileId;
     const domainCount = profile.domains ? profile.domains.length : 0;
+    // 一个配置同时只能在一个Cookie存储中激活
+    const activeStore = cookieStores.find(store => store.activeProfileId === profile.id);
+    const activeElsewhere = activeStore && activeStore.id !== currentStoreId;
+    const storeTag = activeStore && cookieStores.length > 1
+      ? `<span class="profile-store-tag">${getStoreLabel(activeStore)}</span>`
+      : '';
+    const badge = `<span class="profile-badge" style="background: ${escapeHtml(getBadgeColor(profile))};">${escapeHtml(getBadgeLabel(profile))}</span>`;
+    const pinTag = profile.pinnedSlot
+      ? `<span class="profile-pin-tag" title="可通过快捷键切换">固定${profile.pinnedSlot}</span>`
+      : '';
     
     return `
       <div class="profile-item ${isActive ? 'active' : ''}" data-profile-id="${profile.id}">
         <label class="profile-checkbox-label">
-          <input type="checkbox" class="profile-checkbox" data-profile-id="${profile.id}" ${isActive ? 'checked' : ''}>
-          <div class="profile-info">
-            <div class="profile-name">${escapeHtml(profile.name)}</div>
+          <input type="checkbox" class="profile-checkbox" data-profile-id="${profile.id}" ${isActive ? 'checked' : ''} ${activeElsewhere ? 'disabled' : ''}>
+          <div class="profile-info" ${profile.notes ? `title="${escapeHtml(profile.notes)}"` : ''}>
+            <div class="profile-name">${badge}${escapeHtml(profile.name)}${pinTag}${storeTag}</div>
             <div class="profile-meta">${domainCount > 0 ? domainCount + ' 个域名' : '所有域名'}</div>
           </div>
         </label>
         <div class="profile-actions">
           <button class="btn btn-icon btn-secondary domain-detail-btn" data-profile-id="${profile.id}">域名配置</button>
           <button class="btn btn-icon btn-secondary cookie-detail-btn" data-profile-id="${profile.id}">Cookie清单</button>
+          <button class="btn btn-icon btn-secondary snapshot-btn" data-profile-id="${profile.id}">快照</button>
           <button class="btn btn-icon btn-warning clear-cookies-btn" data-profile-id="${profile.id}">清除Cookie</button>
           <button class="btn btn-icon btn-danger delete-btn" data-profile-id="${profile.id}">删除</button>
         </div>
@@ -123,12 +237,51 @@ function renderProfiles() {
       handleClearProfileCookies(profileId);
     });
   });
+  
+  document.querySelectorAll('.snapshot-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const profileId = btn.dataset.profileId;
+      showSnapshotDialog(profileId);
+    });
+  });
+}
+
+/**
+ * 判断配置的名称、域名或备注是否包含搜索的文字
+ * @param {object} profile - 配置对象
+ * @param {string} query - 小写的搜索文字
+ * @returns {boolean} 是否匹配
+ */
+function matchesProfileSearch(profile, query) {
+  return [profile.name, ...(profile.domains || []), profile.notes || '']
+    .some(text => text.toLowerCase().includes(query));
 }
 
 /**
  * 处理checkbox选中（切换配置）
  */
 async function handleCheckboxSelect(profileId) {
+  const profile = profiles.find(p => p.id === profileId);
+  if (profile && profile.skipSwitchPreview) {
+    await activateProfile(profileId);
+    return;
+  }
+  
+  try {
+    const preview = await api.previewSwitch(profileId, true, currentStoreId);
+    showSwitchPreviewDialog(preview);
+  } catch (error) {
+    console.error('预览切换失败:', error);
+    restoreProfileCheckboxes();
+    showMessage('预览失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 激活配置
+ */
+async function activateProfile(profileId) {
   try {
     // 先取消其他所有checkbox
     document.querySelectorAll('.profile-checkbox').forEach(cb => {
@@ -137,41 +290,169 @@ async function handleCheckboxSelect(profileId) {
       }
     });
     
-    // 发送消息给Service Worker执行切换
-    const response = await chrome.runtime.sendMessage({
-      action: 'switchProfile',
-      profileId: profileId,
-      clearCookies: true
-    });
+    // 由Service Worker执行切换
+    const report = await api.switchProfile(profileId, true, currentStoreId);
+    // 已有切换在进行时Service Worker不执行本次切换，返回null
+    if (!report) {
+      throw new Error('正在切换配置，请稍候再试');
+    }
     
-    if (response.success) {
-      currentProfileId = profileId;
-      await loadProfiles();
-      showMessage('配置已激活');
+    currentProfileId = profileId;
+    await loadProfiles();
+    renderSwitchReport(report);
+    if (report.failures.length > 0) {
+      showMessage(`配置已激活，${report.failures.length} 个Cookie处理失败`, 'error');
     } else {
-      // 如果切换失败，取消选中
-      const checkbox = document.querySelector(`.profile-checkbox[data-profile-id="${profileId}"]`);
-      if (checkbox) {
-        checkbox.checked = false;
-      }
-      showMessage('切换失败: ' + (response.error || '未知错误'), 'error');
+      showMessage('配置已激活');
     }
   } catch (error) {
     console.error('切换配置失败:', error);
-    // 如果切换失败，取消选中
-    const checkbox = document.querySelector(`.profile-checkbox[data-profile-id="${profileId}"]`);
-    if (checkbox) {
-      checkbox.checked = false;
-    }
+    // 如果切换失败，恢复为之前的选中状态
+    restoreProfileCheckboxes();
     showMessage('切换失败: ' + error.message, 'error');
   }
 }
 
+/**
+ * 显示最近一次切换的报告（每个域名清除、恢复、跳过和失败的数量及失败原因）
+ * @param {object|null} report - 切换报告
+ */
+function renderSwitchReport(report) {
+  const panel = document.getElementById('switchReportPanel');
+  if (!report) {
+    panel.style.display = 'none';
+    return;
+  }
+  
+  const domains = Object.entries(report.domains).sort(([a], [b]) => a.localeCompare(b));
+  const totals = { cleared: 0, restored: 0, expired: 0, failed: 0 };
+  domains.forEach(([, result]) => {
+    Object.keys(totals).forEach(key => {
+      totals[key] += result[key];
+    });
+  });
+  
+  document.getElementById('switchReportSummary').textContent =
+    `切换结果：清除 ${totals.cleared}，恢复 ${totals.restored}，跳过已过期 ${totals.expired}，失败 ${totals.failed}`;
+  panel.classList.toggle('warning', totals.failed > 0);
+  panel.open = totals.failed > 0;
+  
+  const rows = domains.map(([domain, result]) => `
+    <tr class="${result.failed > 0 ? 'failed' : ''}">
+      <td>${escapeHtml(domain)}</td>
+      <td>${result.cleared}</td>
+      <td>${result.restored}</td>
+      <td>${result.expired}</td>
+      <td>${result.failed}</td>
+    </tr>
+  `).join('');
+  const operationLabel = { clear: '清除', restore: '恢复' };
+  const failures = report.failures.map(failure => {
+    const partition = failure.topLevelSite ? ` [分区: ${failure.topLevelSite}]` : '';
+    const text = `${operationLabel[failure.operation] || failure.operation}失败 ${failure.domain} ${failure.name}（${failure.path}）${partition} - ${failure.reason}`;
+    return `<li>${escapeHtml(text)}</li>`;
+  }).join('');
+  
+  document.getElementById('switchReportDetails').innerHTML = domains.length === 0
+    ? '<p style="color: #999; text-align: center; padding: 8px;">没有Cookie发生变化</p>'
+    : `
+      <table class="switch-report-table">
+        <thead>
+          <tr><th>域名</th><th>清除</th><th>恢复</th><th>过期</th><th>失败</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${failures ? `<ul class="switch-report-failures">${failures}</ul>` : ''}
+    `;
+  panel.style.display = 'block';
+}
+
+/**
+ * 将checkbox恢复为当前激活配置的选中状态
+ */
+function restoreProfileCheckboxes() {
+  document.querySelectorAll('.profile-checkbox').forEach(cb => {
+    cb.checked = cb.dataset.profileId === currentProfileId;
+  });
+}
+
+/**
+ * 显示切换预览对话框
+ * @param {object} preview - 切换预览结果
+ */
+function showSwitchPreviewDialog(preview) {
+  const dialog = document.getElementById('switchPreviewDialog');
+  dialog.dataset.profileId = preview.profileId;
+  document.getElementById('switchPreviewTitle').textContent = `切换到 - ${preview.profileName}`;
+  const scope = preview.switchMode === 'scoped' ? '两个配置域名下的' : '浏览器中的';
+  document.getElementById('switchPreviewSummary').textContent =
+    `将删除${scope} ${preview.removed.length} 个Cookie，恢复 ${preview.restored.length} 个Cookie`;
+  document.getElementById('switchPreviewSkip').checked = false;
+  
+  const label = cookie => `${cookie.domain} ${cookie.name}（${cookie.path}）${cookie.topLevelSite ? ` [分区: ${cookie.topLevelSite}]` : ''}`;
+  const groups = [
+    { title: '将删除', items: preview.removed.map(label) },
+    { title: '将恢复', items: preview.restored.map(label) },
+    {
+      title: '已过期（恢复后不会生效）',
+      items: preview.expired.map(cookie => `${label(cookie)} - ${new Date(cookie.expirationDate * 1000).toLocaleString()}`),
+      warning: true
+    },
+    {
+      title: '可能被浏览器拒绝',
+      items: preview.rejected.map(cookie => `${label(cookie)} - ${cookie.reason}`),
+      warning: true
+    }
+  ];
+  
+  document.getElementById('switchPreviewDetails').innerHTML = groups
+    .filter(group => group.items.length > 0)
+    .map(group => `
+      <details class="switch-preview-group ${group.warning ? 'warning' : ''}" ${group.warning ? 'open' : ''}>
+        <summary>${escapeHtml(group.title)}（${group.items.length}）</summary>
+        <ul>
+          ${group.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+        </ul>
+      </details>
+    `).join('') || '<p style="color: #999; text-align: center; padding: 20px;">没有Cookie会发生变化</p>';
+  
+  dialog.style.display = 'flex';
+}
+
+/**
+ * 隐藏切换预览对话框（未确认时恢复checkbox状态）
+ */
+function hideSwitchPreviewDialog() {
+  document.getElementById('switchPreviewDialog').style.display = 'none';
+  restoreProfileCheckboxes();
+}
+
+/**
+ * 处理确认切换
+ */
+async function handleConfirmSwitch() {
+  const dialog = document.getElementById('switchPreviewDialog');
+  const profileId = dialog.dataset.profileId;
+  const skipPreview = document.getElementById('switchPreviewSkip').checked;
+  dialog.style.display = 'none';
+  
+  if (skipPreview) {
+    try {
+      await api.updateProfile(profileId, { skipSwitchPreview: true });
+    } catch (error) {
+      console.error('保存预览设置失败:', error);
+    }
+  }
+  
+  await activateProfile(profileId);
+}
+
 /**
  * 处理checkbox取消选中（清空所有cookie）
  */
 async function handleCheckboxDeselect() {
-  if (!confirm('确定要清空所有Cookie吗？\n此操作将删除浏览器中的所有Cookie。')) {
+  const scope = currentStoreId === DEFAULT_STORE_ID ? '浏览器' : '隐身窗口';
+  if (!confirm(`确定要清空所有Cookie吗？\n此操作将删除${scope}中的所有Cookie。`)) {
     // 如果用户取消，恢复checkbox状态
     const checkbox = document.querySelector(`.profile-checkbox[data-profile-id="${currentProfileId}"]`);
     if (checkbox) {
@@ -181,15 +462,12 @@ async function handleCheckboxDeselect() {
   }
   
   try {
-    // 清空所有cookie
-    await clearAllCookies();
+    // 由Service Worker清空所有cookie并清除激活状态（清空前会为当前配置创建快照）
+    await api.deactivateProfile(currentStoreId);
     
     // 清除当前激活的配置
     currentProfileId = null;
     
-    // 清除激活状态（直接设置storage，使用正确的key）
-    await setStorage({ activeProfileId: null }); // 注意：这里应该使用 'activeProfileId' 作为key
-    
     await loadProfiles();
     showMessage('已清空所有Cookie');
   } catch (error) {
@@ -216,7 +494,7 @@ async function handleDeleteProfile(profileId) {
   }
   
   try {
-    await deleteProfile(profileId);
+    await api.deleteProfile(profileId);
     await loadProfiles();
     showMessage('配置已删除');
   } catch (error) {
@@ -233,7 +511,7 @@ async function handleClearProfileCookies(profileId) {
   if (!profile) return;
   
   // 检查是否有Cookie数据
-  const cookiesData = await getProfileCookies(profileId);
+  const cookiesData = await api.getProfileCookies(profileId);
   const hasCookies = Object.keys(cookiesData).length > 0;
   
   if (!hasCookies) {
@@ -249,12 +527,12 @@ async function handleClearProfileCookies(profileId) {
     }
   }
   
-  if (!confirm(`确定要清除配置"${profile.name}"下的所有Cookie吗？\n将删除 ${cookieCount} 个Cookie，此操作不可恢复。`)) {
+  if (!confirm(`确定要清除配置"${profile.name}"下的所有Cookie吗？\n将删除 ${cookieCount} 个Cookie，清除前会自动创建快照，可以在"快照"中恢复。`)) {
     return;
   }
   
   try {
-    await clearProfileCookies(profileId);
+    await api.clearProfileCookies(profileId);
     showMessage(`已清除 ${cookieCount} 个Cookie`);
     
     // 如果当前正在查看该配置的Cookie详情，刷新列表
@@ -268,6 +546,280 @@ async function handleClearProfileCookies(profileId) {
   }
 }
 
+/**
+ * 显示导出配置对话框
+ */
+function showExportDialog() {
+  if (profiles.length === 0) {
+    showMessage('没有可导出的配置', 'error');
+    return;
+  }
+  
+  const list = document.getElementById('exportProfilesList');
+  list.innerHTML = profiles.map(profile => `
+    <label class="export-profile-item">
+      <input type="checkbox" class="export-profile-checkbox" value="${escapeHtml(profile.id)}" checked>
+      <span>${escapeHtml(profile.name)}</span>
+      <span class="profile-meta">${profile.domains && profile.domains.length > 0 ? profile.domains.length + ' 个域名' : '所有域名'}</span>
+    </label>
+  `).join('');
+  
+  document.getElementById('exportSelectAll').checked = true;
+  document.querySelectorAll('.export-profile-checkbox').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const all = document.querySelectorAll('.export-profile-checkbox');
+      const checked = document.querySelectorAll('.export-profile-checkbox:checked');
+      document.getElementById('exportSelectAll').checked = all.length === checked.length;
+    });
+  });
+  
+  document.getElementById('exportDialog').style.display = 'flex';
+}
+
+/**
+ * 隐藏导出配置对话框
+ */
+function hideExportDialog() {
+  document.getElementById('exportDialog').style.display = 'none';
+}
+
+/**
+ * 处理导出配置
+ */
+async function handleExportProfiles() {
+  const profileIds = Array.from(document.querySelectorAll('.export-profile-checkbox:checked'))
+    .map(checkbox => checkbox.value);
+  
+  if (profileIds.length === 0) {
+    showMessage('请至少选择一个配置', 'error');
+    return;
+  }
+  
+  try {
+    const bundle = await api.exportProfiles(profileIds);
+    
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    downloadFile(`cookie-profiles-${date}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+    hideExportDialog();
+    showMessage(`已导出 ${profileIds.length} 个配置`);
+  } catch (error) {
+    console.error('导出配置失败:', error);
+    showMessage('导出失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理选择导入文件
+ */
+async function handleImportFileSelected(e) {
+  const file = e.target.files[0];
+  // 重置以便再次选择同一文件时仍能触发change事件
+  e.target.value = '';
+  if (!file) return;
+  
+  // cookies.txt 走单独的导入流程
+  if (file.name.toLowerCase().endsWith('.txt')) {
+    showNetscapeImportDialog(await file.text());
+    return;
+  }
+  
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch (error) {
+    showMessage('文件不是有效的JSON', 'error');
+    return;
+  }
+  
+  try {
+    const preview = await api.previewImport(bundle);
+    
+    pendingImportBundle = bundle;
+    showImportDialog(preview);
+  } catch (error) {
+    console.error('读取导入文件失败:', error);
+    showMessage('无法导入: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 显示导入预览对话框
+ */
+function showImportDialog(preview) {
+  const summary = document.getElementById('importSummary');
+  const exportedAt = preview.exportedAt ? new Date(preview.exportedAt).toLocaleString() : '未知';
+  summary.textContent = `文件版本 ${preview.version}，导出时间 ${exportedAt}，共 ${preview.profiles.length} 个配置`;
+  
+  const container = document.getElementById('importPreview');
+  if (preview.profiles.length === 0) {
+    container.innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">文件中没有配置</p>';
+  } else {
+    container.innerHTML = `
+      <table class="import-table">
+        <thead>
+          <tr>
+            <th>配置</th>
+            <th>域名</th>
+            <th>Cookie</th>
+            <th>处理方式</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${preview.profiles.map(item => `
+            <tr>
+              <td>
+                ${escapeHtml(item.name)}
+                ${item.conflict ? `<div class="import-conflict">与现有配置"${escapeHtml(item.conflict.profileName)}"${item.conflict.type === 'id' ? 'ID' : '名称'}相同</div>` : ''}
+              </td>
+              <td>${item.domainCount || '所有域名'}</td>
+              <td>${item.cookieCount}</td>
+              <td>
+                ${item.conflict ? `
+                  <select class="import-resolution" data-index="${item.index}">
+                    <option value="merge">合并</option>
+                    <option value="replace">替换</option>
+                    <option value="new">作为新配置导入</option>
+                    <option value="skip">跳过</option>
+                  </select>
+                ` : '新建'}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+  
+  document.getElementById('importDialog').style.display = 'flex';
+}
+
+/**
+ * 隐藏导入预览对话框
+ */
+function hideImportDialog() {
+  document.getElementById('importDialog').style.display = 'none';
+  pendingImportBundle = null;
+}
+
+/**
+ * 处理确认导入
+ */
+async function handleConfirmImport() {
+  if (!pendingImportBundle) return;
+  
+  const resolutions = {};
+  document.querySelectorAll('.import-resolution').forEach(select => {
+    resolutions[select.dataset.index] = select.value;
+  });
+  
+  try {
+    const { created, merged, replaced, skipped } = await api.importProfiles(pendingImportBundle, resolutions);
+    hideImportDialog();
+    await loadProfiles();
+    showMessage(`导入完成：新建 ${created}，合并 ${merged}，替换 ${replaced}，跳过 ${skipped}`);
+  } catch (error) {
+    console.error('导入配置失败:', error);
+    showMessage('导入失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 显示cookies.txt导入对话框
+ */
+function showNetscapeImportDialog(content) {
+  pendingNetscapeContent = content;
+  
+  const lineCount = content.split(/\r?\n/)
+    .filter(line => line.trim() && (!line.startsWith('#') || line.startsWith('#HttpOnly_')))
+    .length;
+  document.getElementById('netscapeImportSummary').textContent = `文件中约有 ${lineCount} 条Cookie记录`;
+  
+  const select = document.getElementById('netscapeTarget');
+  select.innerHTML = profiles.map(profile => `
+    <option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>
+  `).join('') + '<option value="">新建配置...</option>';
+  select.value = currentProfileId || (profiles[0] ? profiles[0].id : '');
+  
+  document.getElementById('netscapeNewProfileName').value = '';
+  document.getElementById('netscapeNewProfileGroup').style.display = select.value ? 'none' : 'block';
+  document.getElementById('netscapeImportResult').innerHTML = '';
+  document.getElementById('confirmNetscapeImportBtn').style.display = '';
+  document.getElementById('cancelNetscapeImportBtn').textContent = '取消';
+  
+  document.getElementById('netscapeImportDialog').style.display = 'flex';
+}
+
+/**
+ * 隐藏cookies.txt导入对话框
+ */
+function hideNetscapeImportDialog() {
+  document.getElementById('netscapeImportDialog').style.display = 'none';
+  pendingNetscapeContent = null;
+}
+
+/**
+ * 处理确认导入cookies.txt
+ */
+async function handleConfirmNetscapeImport() {
+  if (pendingNetscapeContent === null) return;
+  
+  const profileId = document.getElementById('netscapeTarget').value;
+  const newProfileName = document.getElementById('netscapeNewProfileName').value.trim();
+  
+  if (!profileId && !newProfileName) {
+    showMessage('请输入配置名称', 'error');
+    return;
+  }
+  
+  try {
+    const { imported, errors } = await api.importNetscape(pendingNetscapeContent, {
+      profileId: profileId || null,
+      newProfileName
+    });
+    await loadProfiles();
+    
+    if (errors.length === 0) {
+      hideNetscapeImportDialog();
+      showMessage(`已导入 ${imported} 个Cookie`);
+      return;
+    }
+    
+    // 有无法解析的行时保留对话框，列出这些行
+    document.getElementById('netscapeImportResult').innerHTML = `
+      <p>已导入 ${imported} 个Cookie，以下 ${errors.length} 行无法解析：</p>
+      <ul class="import-errors">
+        ${errors.map(error => `<li>第 ${error.line} 行：${escapeHtml(error.reason)}<br><code>${escapeHtml(error.text)}</code></li>`).join('')}
+      </ul>
+    `;
+    document.getElementById('confirmNetscapeImportBtn').style.display = 'none';
+    document.getElementById('cancelNetscapeImportBtn').textContent = '关闭';
+    pendingNetscapeContent = null;
+  } catch (error) {
+    console.error('导入cookies.txt失败:', error);
+    showMessage('导入失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理导出cookies.txt
+ */
+async function handleExportNetscape() {
+  const profileId = document.getElementById('cookieDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) return;
+  
+  try {
+    const content = await api.exportNetscape(profileId);
+    
+    const safeName = profile.name.replace(/[\\/:*?"<>|\s]+/g, '_');
+    downloadFile(`cookies-${safeName}.txt`, content, 'text/plain');
+    showMessage('已导出cookies.txt');
+  } catch (error) {
+    console.error('导出cookies.txt失败:', error);
+    showMessage('导出失败: ' + error.message, 'error');
+  }
+}
+
 /**
  * 显示新建配置对话框
  */
@@ -299,7 +851,7 @@ async function handleCreateProfile() {
   }
   
   try {
-    const newProfile = await createProfile(name, []);
+    const newProfile = await api.createProfile(name, []);
     await loadProfiles();
     hideNewProfileDialog();
     showMessage('配置创建成功');
@@ -329,6 +881,17 @@ async function showDomainDialog(profileId) {
   dialog.dataset.profileId = profileId;
   
   renderDomainsList(profileId, profile.domains || []);
+  renderUrlRulesList(profileId, profile.urlRules || []);
+  document.getElementById('profileSwitchMode').value = profile.switchMode || 'clearAll';
+  document.getElementById('profileTabAction').value = profile.tabAction || 'none';
+  document.getElementById('profileSwitchPreview').checked = !profile.skipSwitchPreview;
+  document.getElementById('profileSessionCookiePolicy').value = profile.sessionCookiePolicy || 'session';
+  document.getElementById('profileSessionCookieTtl').value = getSessionCookieTtlHours(profile);
+  document.getElementById('profilePinnedSlot').value = profile.pinnedSlot || '';
+  document.getElementById('profileBadgeLabel').value = profile.badgeLabel || '';
+  document.getElementById('profileBadgeLabel').placeholder = getBadgeLabel({ name: profile.name });
+  document.getElementById('profileBadgeColor').value = getBadgeColor(profile);
+  document.getElementById('profileNotes').value = profile.notes || '';
   
   dialog.style.display = 'flex';
 }
@@ -361,44 +924,100 @@ function renderDomainsList(profileId, domains) {
 }
 
 /**
- * 处理添加域名
+ * 渲染自动切换的URL规则列表
  */
-async function handleAddDomain() {
-  const dialog = document.getElementById('domainDialog');
-  const profileId = dialog.dataset.profileId;
-  const input = document.getElementById('newDomain');
-  const domain = input.value.trim();
+function renderUrlRulesList(profileId, urlRules) {
+  const list = document.getElementById('urlRulesList');
   
-  if (!domain) {
-    showMessage('请输入域名', 'error');
+  if (urlRules.length === 0) {
+    list.innerHTML = '<p style="color: #999; text-align: center; padding: 8px;">未设置规则，不会自动切换到此配置</p>';
     return;
   }
   
-  // 域名验证（支持通配符，如 *.example.com）
-  const domainPattern = /^(\*\.)?([a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]{2,}$/;
-  if (!domainPattern.test(domain)) {
-    showMessage('请输入有效的域名（支持通配符，如 *.example.com）', 'error');
+  list.innerHTML = urlRules.map(rule => `
+    <div class="domain-item">
+      <span>${escapeHtml(rule)}</span>
+      <button class="btn btn-icon btn-danger remove-url-rule-btn" data-rule="${escapeHtml(rule)}">删除</button>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.remove-url-rule-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await handleRemoveUrlRule(profileId, btn.dataset.rule);
+    });
+  });
+}
+
+/**
+ * 处理添加URL规则
+ */
+async function handleAddUrlRule() {
+  const profileId = document.getElementById('domainDialog').dataset.profileId;
+  const input = document.getElementById('newUrlRule');
+  const rule = input.value.trim();
+  
+  if (!rule) {
+    showMessage('请输入URL规则', 'error');
     return;
   }
   
   try {
-    const profile = profiles.find(p => p.id === profileId);
-    if (!profile) return;
-    
-    const domains = profile.domains || [];
-    if (domains.includes(domain)) {
-      showMessage('域名已存在', 'error');
-      return;
-    }
-    
-    domains.push(domain);
-    await updateProfile(profileId, { domains });
+    // 格式和重复校验由Service Worker完成
+    const updatedProfile = await api.addUrlRule(profileId, rule);
     await loadProfiles();
-    
-    // 更新对话框中的域名列表
-    const updatedProfile = profiles.find(p => p.id === profileId);
-    renderDomainsList(profileId, updatedProfile.domains || []);
-    
+    renderUrlRulesList(profileId, updatedProfile.urlRules || []);
+    input.value = '';
+    showMessage('URL规则已添加');
+  } catch (error) {
+    console.error('添加URL规则失败:', error);
+    showMessage('添加失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理删除URL规则
+ */
+async function handleRemoveUrlRule(profileId, rule) {
+  try {
+    const updatedProfile = await api.removeUrlRule(profileId, rule);
+    await loadProfiles();
+    renderUrlRulesList(profileId, updatedProfile.urlRules || []);
+    showMessage('URL规则已删除');
+  } catch (error) {
+    console.error('删除URL规则失败:', error);
+    showMessage('删除失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理添加域名
+ */
+async function handleAddDomain() {
+  const dialog = document.getElementById('domainDialog');
+  const profileId = dialog.dataset.profileId;
+  const input = document.getElementById('newDomain');
+  const domain = input.value.trim();
+  
+  if (!domain) {
+    showMessage('请输入域名', 'error');
+    return;
+  }
+  
+  // 域名验证（支持通配符，如 *.example.com）
+  const domainPattern = /^(\*\.)?([a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]{2,}$/;
+  if (!domainPattern.test(domain)) {
+    showMessage('请输入有效的域名（支持通配符，如 *.example.com）', 'error');
+    return;
+  }
+  
+  try {
+    // 格式和重复校验由Service Worker完成
+    const updatedProfile = await api.addDomain(profileId, domain);
+    await loadProfiles();
+    
+    // 更新对话框中的域名列表
+    renderDomainsList(profileId, updatedProfile.domains || []);
+    
     input.value = '';
     showMessage('域名已添加');
   } catch (error) {
@@ -407,16 +1026,206 @@ async function handleAddDomain() {
   }
 }
 
+/**
+ * 处理切换方式设置
+ */
+async function handleSwitchModeSetting(e) {
+  const profileId = document.getElementById('domainDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  const switchMode = e.target.value;
+  
+  try {
+    await api.updateProfile(profileId, { switchMode });
+    await loadProfiles();
+    showMessage('切换方式已保存');
+  } catch (error) {
+    console.error('保存切换方式失败:', error);
+    e.target.value = (profile && profile.switchMode) || 'clearAll';
+    showMessage('保存失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理切换后标签页处理方式设置
+ */
+async function handleTabActionSetting(e) {
+  const profileId = document.getElementById('domainDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  const tabAction = e.target.value;
+  
+  try {
+    await api.updateProfile(profileId, { tabAction });
+    await loadProfiles();
+    showMessage('标签页处理方式已保存');
+  } catch (error) {
+    console.error('保存标签页处理方式失败:', error);
+    e.target.value = (profile && profile.tabAction) || 'none';
+    showMessage('保存失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 获取配置的会话Cookie有效期（小时）
+ */
+function getSessionCookieTtlHours(profile) {
+  return (profile && profile.sessionCookieTtlHours) || DEFAULT_SESSION_COOKIE_TTL_HOURS;
+}
+
+/**
+ * 处理会话Cookie处理方式设置
+ */
+async function handleSessionCookiePolicySetting(e) {
+  const profileId = document.getElementById('domainDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  const sessionCookiePolicy = e.target.value;
+  
+  try {
+    await api.updateProfile(profileId, { sessionCookiePolicy });
+    await loadProfiles();
+    showMessage('会话Cookie处理方式已保存');
+  } catch (error) {
+    console.error('保存会话Cookie处理方式失败:', error);
+    e.target.value = (profile && profile.sessionCookiePolicy) || 'session';
+    showMessage('保存失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理会话Cookie有效期设置
+ */
+async function handleSessionCookieTtlSetting(e) {
+  const profileId = document.getElementById('domainDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  const sessionCookieTtlHours = Number(e.target.value);
+  
+  try {
+    // 取值范围由Service Worker校验
+    await api.updateProfile(profileId, { sessionCookieTtlHours });
+    await loadProfiles();
+    showMessage('会话Cookie有效期已保存');
+  } catch (error) {
+    console.error('保存会话Cookie有效期失败:', error);
+    e.target.value = getSessionCookieTtlHours(profile);
+    showMessage('保存失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理切换前预览设置
+ */
+async function handleSwitchPreviewSetting(e) {
+  const profileId = document.getElementById('domainDialog').dataset.profileId;
+  const enabled = e.target.checked;
+  
+  try {
+    await api.updateProfile(profileId, { skipSwitchPreview: !enabled });
+    await loadProfiles();
+    showMessage(enabled ? '切换前将显示预览' : '切换时将不再预览');
+  } catch (error) {
+    console.error('保存预览设置失败:', error);
+    e.target.checked = !enabled;
+    showMessage('保存失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 获取配置在插件图标上显示的标记（未设置时取名称的前两个字符）
+ */
+function getBadgeLabel(profile) {
+  return profile.badgeLabel || Array.from(profile.name).slice(0, 2).join('');
+}
+
+/**
+ * 获取配置在插件图标上显示的标记颜色
+ */
+function getBadgeColor(profile) {
+  return /^#[0-9a-fA-F]{6}$/.test(profile.badgeColor || '') ? profile.badgeColor : DEFAULT_BADGE_COLOR;
+}
+
+/**
+ * 处理插件图标标记设置
+ */
+async function handleBadgeLabelSetting(e) {
+  const profileId = document.getElementById('domainDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  const badgeLabel = e.target.value.trim();
+  
+  try {
+    // 长度由Service Worker校验
+    await api.updateProfile(profileId, { badgeLabel });
+    await loadProfiles();
+    showMessage('图标标记已保存');
+  } catch (error) {
+    console.error('保存图标标记失败:', error);
+    e.target.value = (profile && profile.badgeLabel) || '';
+    showMessage('保存失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理插件图标标记颜色设置
+ */
+async function handleBadgeColorSetting(e) {
+  const profileId = document.getElementById('domainDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  const badgeColor = e.target.value;
+  
+  try {
+    await api.updateProfile(profileId, { badgeColor });
+    await loadProfiles();
+    showMessage('标记颜色已保存');
+  } catch (error) {
+    console.error('保存标记颜色失败:', error);
+    e.target.value = profile ? getBadgeColor(profile) : DEFAULT_BADGE_COLOR;
+    showMessage('保存失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理配置备注设置
+ */
+async function handleNotesSetting(e) {
+  const profileId = document.getElementById('domainDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  const notes = e.target.value.trim();
+  
+  try {
+    await api.updateProfile(profileId, { notes });
+    await loadProfiles();
+    showMessage('备注已保存');
+  } catch (error) {
+    console.error('保存备注失败:', error);
+    e.target.value = (profile && profile.notes) || '';
+    showMessage('保存失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理快捷键固定位置设置
+ */
+async function handlePinnedSlotSetting(e) {
+  const profileId = document.getElementById('domainDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  const pinnedSlot = e.target.value ? Number(e.target.value) : null;
+  
+  try {
+    // 该位置原来固定的配置由Service Worker取消固定
+    await api.updateProfile(profileId, { pinnedSlot });
+    await loadProfiles();
+    showMessage(pinnedSlot ? `已固定到位置${pinnedSlot}` : '已取消固定');
+  } catch (error) {
+    console.error('保存固定位置失败:', error);
+    e.target.value = (profile && profile.pinnedSlot) || '';
+    showMessage('保存失败: ' + error.message, 'error');
+  }
+}
+
 /**
  * 处理删除域名
  */
 async function handleRemoveDomain(profileId, domain) {
   try {
-    const profile = profiles.find(p => p.id === profileId);
-    if (!profile) return;
-    
-    const domains = (profile.domains || []).filter(d => d !== domain);
-    await updateProfile(profileId, { domains });
+    await api.removeDomain(profileId, domain);
     await loadProfiles();
     
     // 更新对话框中的域名列表
@@ -436,6 +1245,7 @@ async function handleRemoveDomain(profileId, domain) {
 function hideDomainDialog() {
   document.getElementById('domainDialog').style.display = 'none';
   document.getElementById('newDomain').value = '';
+  document.getElementById('newUrlRule').value = '';
 }
 
 /**
@@ -451,276 +1261,1456 @@ async function showCookieDialog(profileId) {
   title.textContent = `Cookie详情 - ${profile.name}`;
   dialog.dataset.profileId = profileId;
   
+  resetCookieFilters();
+  selectedCookieKeys.clear();
   await renderCookiesList(profileId);
+  await renderCleanupStatus(profileId);
+  await renderBulkUndo();
+  
+  dialog.style.display = 'flex';
+}
+
+/**
+ * 读取Cookie列表并按当前的筛选和排序条件渲染
+ */
+async function renderCookiesList(profileId) {
+  cookieDialogCookies = await api.getProfileCookies(profileId);
+  renderFilteredCookies(profileId);
+}
+
+/**
+ * 重置Cookie列表的筛选、排序和折叠状态
+ */
+function resetCookieFilters() {
+  document.getElementById('cookieFilterText').value = '';
+  document.getElementById('cookieFilterText').classList.remove('invalid');
+  document.getElementById('cookieFilterRegex').checked = false;
+  document.querySelectorAll('.cookie-filter-flag').forEach(checkbox => {
+    checkbox.checked = false;
+  });
+  document.getElementById('cookieFilterSameSite').value = '';
+  document.getElementById('cookieSortBy').value = 'name';
+  collapsedCookieDomains.clear();
+}
+
+/**
+ * 根据筛选框的内容生成匹配函数
+ * @returns {Function|null} 匹配文字的函数，正则表达式无效时返回null
+ */
+function getCookieTextMatcher() {
+  const input = document.getElementById('cookieFilterText');
+  const text = input.value.trim();
+  input.classList.remove('invalid');
+  input.title = '';
+  
+  if (!text) {
+    return () => true;
+  }
+  if (document.getElementById('cookieFilterRegex').checked) {
+    try {
+      const pattern = new RegExp(text, 'i');
+      return value => pattern.test(value);
+    } catch (error) {
+      input.classList.add('invalid');
+      input.title = error.message;
+      return null;
+    }
+  }
+  const lowerText = text.toLowerCase();
+  return value => value.toLowerCase().includes(lowerText);
+}
+
+/**
+ * 计算Cookie的大小（名称和值的字符数）
+ */
+function getCookieSize(cookie) {
+  return (cookie.name || '').length + (cookie.value || '').length;
+}
+
+/**
+ * 判断Cookie是否已过期
+ */
+function isCookieExpired(cookie, now) {
+  return Boolean(cookie.expirationDate) && cookie.expirationDate * 1000 <= now;
+}
+
+/**
+ * 按排序方式比较两个Cookie（过期时间相同时按名称，会话Cookie排在最后）
+ */
+function compareCookies(a, b, sortBy) {
+  if (sortBy === 'size') {
+    const diff = getCookieSize(b) - getCookieSize(a);
+    if (diff !== 0) return diff;
+  } else if (sortBy === 'expiry') {
+    const diff = (a.expirationDate || Infinity) - (b.expirationDate || Infinity);
+    if (diff !== 0 && !Number.isNaN(diff)) return diff;
+  }
+  return (a.name || '').localeCompare(b.name || '');
+}
+
+/**
+ * 清空显示的Cookie列表，并取消选择所有Cookie
+ * @param {string} html - 列表位置显示的提示
+ */
+function clearRenderedCookies(html) {
+  document.getElementById('cookiesList').innerHTML = html;
+  selectedCookieKeys.clear();
+  updateCookieSelectionState();
+  updateToggleCookieGroupsButton();
+}
+
+/**
+ * 按筛选和排序条件渲染已读取的Cookie列表
+ */
+function renderFilteredCookies(profileId) {
+  const cookiesList = document.getElementById('cookiesList');
+  const summary = document.getElementById('cookieFilterSummary');
+  const cookiesData = cookieDialogCookies;
+  const now = Date.now();
+  const staleBefore = now - getSessionCookieTtlHours(profiles.find(p => p.id === profileId)) * 3600 * 1000;
+  
+  if (Object.keys(cookiesData).length === 0) {
+    clearRenderedCookies('<p style="color: #999; text-align: center; padding: 20px;">暂无Cookie数据</p>');
+    summary.textContent = '';
+    return;
+  }
+  
+  const matchText = getCookieTextMatcher();
+  if (!matchText) {
+    // 不保留上一次筛选的结果，以免对看不到的Cookie执行批量操作
+    clearRenderedCookies('<p style="color: #999; text-align: center; padding: 20px;">请修改筛选条件</p>');
+    summary.textContent = '正则表达式无效';
+    return;
+  }
+  const requiredFlags = Array.from(document.querySelectorAll('.cookie-filter-flag:checked')).map(checkbox => checkbox.value);
+  const sameSite = document.getElementById('cookieFilterSameSite').value;
+  const sortBy = document.getElementById('cookieSortBy').value;
+  
+  const matchesFilters = (domain, cookie) => {
+    if (!matchText(cookie.name || '') && !matchText(cookie.value || '') &&
+        !matchText(cookie.domain || '') && !matchText(domain)) {
+      return false;
+    }
+    if (requiredFlags.includes('secure') && !cookie.secure) return false;
+    if (requiredFlags.includes('httpOnly') && !cookie.httpOnly) return false;
+    if (requiredFlags.includes('session') && cookie.expirationDate) return false;
+    if (requiredFlags.includes('expired') && !isCookieExpired(cookie, now)) return false;
+    if (sameSite && (cookie.sameSite || 'unspecified') !== sameSite) return false;
+    return true;
+  };
+  
+  let totalCount = 0;
+  let matchedCount = 0;
+  const visibleKeys = new Set();
+  let html = '';
+  for (const [domain, allCookies] of Object.entries(cookiesData)) {
+    if (!Array.isArray(allCookies) || allCookies.length === 0) continue;
+    
+    totalCount += allCookies.length;
+    const cookies = allCookies.filter(cookie => matchesFilters(domain, cookie))
+      .sort((a, b) => compareCookies(a, b, sortBy));
+    if (cookies.length === 0) continue;
+    matchedCount += cookies.length;
+    
+    html += `<details class="cookie-domain-group" data-domain="${escapeHtml(domain)}" ${collapsedCookieDomains.has(domain) ? '' : 'open'}>
+      <summary class="cookie-domain-header">
+        <strong>${escapeHtml(domain)}</strong>
+        <span class="cookie-domain-count">${cookies.length === allCookies.length ? cookies.length : `${cookies.length} / ${allCookies.length}`} 个</span>
+        <button class="btn btn-icon btn-primary add-cookie-btn" data-domain="${escapeHtml(domain)}">添加Cookie</button>
+      </summary>
+      <table class="cookie-table">
+        <thead>
+          <tr>
+            <th><input type="checkbox" class="cookie-group-select" title="选择该分组中显示的Cookie"></th>
+            <th>名称</th>
+            <th>值</th>
+            <th>路径</th>
+            <th>标志</th>
+            <th>操作</th>
+          </tr>
+        </thead>
+        <tbody>`;
+    
+    for (const cookie of cookies) {
+      const flags = [];
+      if (cookie.secure) flags.push('Secure');
+      if (cookie.httpOnly) flags.push('HttpOnly');
+      const topLevelSite = (cookie.partitionKey && cookie.partitionKey.topLevelSite) || '';
+      if (topLevelSite) flags.push('Partitioned');
+      let sessionFlag = '';
+      if (!cookie.expirationDate) {
+        const stale = cookie.capturedAt && cookie.capturedAt < staleBefore;
+        const capturedTitle = cookie.capturedAt ? `记录于 ${new Date(cookie.capturedAt).toLocaleString()}` : '记录时间未知';
+        sessionFlag = `<span class="cookie-flag ${stale ? 'stale' : 'session'}" title="${escapeHtml(capturedTitle)}">${stale ? '可能已失效' : '会话'}</span>`;
+      } else if (isCookieExpired(cookie, now)) {
+        sessionFlag = '<span class="cookie-flag stale">已过期</span>';
+      }
+      const expiry = cookie.expirationDate ? `过期: ${new Date(cookie.expirationDate * 1000).toLocaleString()}` : '会话Cookie';
+      const selectionKey = getCookieSelectionKey({
+        domain,
+        cookieDomain: cookie.domain || domain,
+        hostOnly: !!cookie.hostOnly,
+        name: cookie.name,
+        path: cookie.path || '/',
+        topLevelSite
+      });
+      visibleKeys.add(selectionKey);
+      
+      html += `
+        <tr class="cookie-row" data-cookie-key="${escapeHtml(selectionKey)}">
+          <td class="cookie-select-cell"><input type="checkbox" class="cookie-select" ${selectedCookieKeys.has(selectionKey) ? 'checked' : ''}></td>
+          <td class="cookie-name-cell">
+            ${escapeHtml(cookie.name)}
+            <div class="cookie-meta" title="${escapeHtml(expiry)}">${getCookieSize(cookie)} 字节</div>
+            ${topLevelSite ? `<div class="cookie-partition" title="分区Cookie只在该顶级站点下嵌入时发送">分区: ${escapeHtml(topLevelSite)}</div>` : ''}
+          </td>
+          <td class="cookie-value-cell" title="${escapeHtml(cookie.value || '')}">${escapeHtml(cookie.value || '')}</td>
+          <td class="cookie-path-cell">${escapeHtml(cookie.path || '/')}</td>
+          <td class="cookie-flags-cell" title="${escapeHtml(expiry)}">${[...flags.map(f => `<span class="cookie-flag">${f}</span>`), sessionFlag].filter(Boolean).join(' ') || '-'}</td>
+          <td class="cookie-actions-cell">
+            <button class="btn btn-icon btn-secondary edit-cookie-btn">编辑</button>
+            <button class="btn btn-icon btn-danger remove-cookie-btn">删除</button>
+          </td>
+        </tr>
+      `;
+    }
+    
+    html += `</tbody></table></details>`;
+  }
+  
+  summary.textContent = matchedCount === totalCount
+    ? `共 ${totalCount} 个Cookie`
+    : `显示 ${matchedCount} / ${totalCount} 个Cookie`;
+  if (matchedCount === 0) {
+    html = '<p style="color: #999; text-align: center; padding: 20px;">没有符合条件的Cookie</p>';
+  }
+  
+  // 批量操作只针对显示出来的Cookie，被筛选隐藏的Cookie取消选择
+  for (const key of selectedCookieKeys) {
+    if (!visibleKeys.has(key)) {
+      selectedCookieKeys.delete(key);
+    }
+  }
+  
+  cookiesList.innerHTML = html;
+  
+  // 绑定事件
+  document.querySelectorAll('.cookie-domain-group').forEach(group => {
+    group.addEventListener('toggle', () => {
+      if (group.open) {
+        collapsedCookieDomains.delete(group.dataset.domain);
+      } else {
+        collapsedCookieDomains.add(group.dataset.domain);
+      }
+      updateToggleCookieGroupsButton();
+    });
+  });
+  updateToggleCookieGroupsButton();
+  
+  document.querySelectorAll('.cookie-select').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const key = checkbox.closest('.cookie-row').dataset.cookieKey;
+      if (checkbox.checked) {
+        selectedCookieKeys.add(key);
+      } else {
+        selectedCookieKeys.delete(key);
+      }
+      updateCookieSelectionState();
+    });
+  });
+  
+  document.querySelectorAll('.cookie-group-select').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const group = checkbox.closest('.cookie-domain-group');
+      group.querySelectorAll('.cookie-select').forEach(rowCheckbox => {
+        if (rowCheckbox.checked !== checkbox.checked) {
+          rowCheckbox.checked = checkbox.checked;
+          rowCheckbox.dispatchEvent(new Event('change'));
+        }
+      });
+    });
+  });
+  updateCookieSelectionState();
+  
+  document.querySelectorAll('.add-cookie-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      // 按钮在分组标题中，不折叠分组
+      e.preventDefault();
+      const domain = btn.dataset.domain;
+      showAddCookieDialog(profileId, domain);
+    });
+  });
+  
+  document.querySelectorAll('.edit-cookie-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const row = btn.closest('.cookie-row');
+      showEditCookieDialog(profileId, parseCookieSelectionKey(row.dataset.cookieKey));
+    });
+  });
+  
+  document.querySelectorAll('.remove-cookie-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const row = btn.closest('.cookie-row');
+      await handleDeleteCookie(profileId, parseCookieSelectionKey(row.dataset.cookieKey));
+    });
+  });
+}
+
+/**
+ * 生成Cookie在选择列表中的键
+ * 同名同路径的Cookie可能分别属于主机和整个域（如 example.com 与 .example.com），键中包含域名和是否仅限当前主机
+ * @param {object} cookie - Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}
+ * @returns {string} 键
+ */
+function getCookieSelectionKey(cookie) {
+  return JSON.stringify([cookie.domain, cookie.cookieDomain, cookie.hostOnly, cookie.name, cookie.path, cookie.topLevelSite || '']);
+}
+
+/**
+ * 从选择列表中的键还原Cookie
+ * @param {string} key - 键
+ * @returns {object} Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}
+ */
+function parseCookieSelectionKey(key) {
+  const [domain, cookieDomain, hostOnly, name, path, topLevelSite] = JSON.parse(key);
+  return { domain, cookieDomain, hostOnly, name, path, topLevelSite };
+}
+
+/**
+ * 获取选中的Cookie
+ * @returns {Array} 选中的Cookie
+ */
+function getCookieSelection() {
+  return Array.from(selectedCookieKeys).map(parseCookieSelectionKey);
+}
+
+/**
+ * 根据选中的Cookie更新分组的全选框和批量操作栏
+ */
+function updateCookieSelectionState() {
+  document.querySelectorAll('.cookie-domain-group').forEach(group => {
+    const rowCheckboxes = Array.from(group.querySelectorAll('.cookie-select'));
+    const checkedCount = rowCheckboxes.filter(checkbox => checkbox.checked).length;
+    const groupCheckbox = group.querySelector('.cookie-group-select');
+    groupCheckbox.checked = checkedCount > 0 && checkedCount === rowCheckboxes.length;
+    groupCheckbox.indeterminate = checkedCount > 0 && checkedCount < rowCheckboxes.length;
+  });
+  
+  const bar = document.getElementById('cookieBulkBar');
+  if (selectedCookieKeys.size === 0) {
+    bar.style.display = 'none';
+    return;
+  }
+  
+  const profileId = document.getElementById('cookieDialog').dataset.profileId;
+  const targetSelect = document.getElementById('bulkTargetProfile');
+  const targetId = targetSelect.value;
+  targetSelect.innerHTML = profiles
+    .filter(p => p.id !== profileId)
+    .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+    .join('') || '<option value="">没有其他配置</option>';
+  if (profiles.some(p => p.id === targetId && p.id !== profileId)) {
+    targetSelect.value = targetId;
+  }
+  document.getElementById('cookieBulkCount').textContent = `已选择 ${selectedCookieKeys.size} 个`;
+  bar.style.display = '';
+}
+
+/**
+ * 显示最近一次可撤销的批量操作
+ */
+async function renderBulkUndo() {
+  const bar = document.getElementById('cookieUndoBar');
+  try {
+    const undo = await api.getBulkUndo();
+    if (!undo) {
+      bar.style.display = 'none';
+      return;
+    }
+    const profileNames = undo.profileIds
+      .map(id => profiles.find(p => p.id === id))
+      .filter(Boolean)
+      .map(p => p.name);
+    document.getElementById('cookieUndoText').textContent =
+      `上次批量操作: ${BULK_ACTION_LABELS[undo.action] || undo.action} ${undo.count} 个Cookie` +
+      `（${[...profileNames, new Date(undo.createdAt).toLocaleString()].join('，')}）`;
+    bar.style.display = '';
+  } catch (error) {
+    console.error('读取批量操作记录失败:', error);
+    bar.style.display = 'none';
+  }
+}
+
+/**
+ * 批量操作完成后清空选择并刷新列表和撤销记录
+ */
+async function finishBulkOperation(profileId, message, type) {
+  selectedCookieKeys.clear();
+  await renderCookiesList(profileId);
+  await renderBulkUndo();
+  showMessage(message, type);
+}
+
+/**
+ * 处理批量删除Cookie
+ */
+async function handleBulkDelete() {
+  const profileId = document.getElementById('cookieDialog').dataset.profileId;
+  const selection = getCookieSelection();
+  if (!confirm(`确定要删除选中的 ${selection.length} 个Cookie吗？删除后可以撤销。`)) {
+    return;
+  }
+  
+  try {
+    const undo = await api.bulkDeleteCookies(profileId, selection);
+    await finishBulkOperation(profileId, `已删除 ${undo.count} 个Cookie`);
+  } catch (error) {
+    console.error('批量删除Cookie失败:', error);
+    showMessage('删除失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理将选中的Cookie复制或移动到另一个配置
+ */
+async function handleBulkCopy(move) {
+  const profileId = document.getElementById('cookieDialog').dataset.profileId;
+  const targetProfileId = document.getElementById('bulkTargetProfile').value;
+  const target = profiles.find(p => p.id === targetProfileId);
+  if (!target) {
+    showMessage('请先创建其他配置', 'error');
+    return;
+  }
+  
+  try {
+    const undo = await api.bulkCopyCookies(profileId, getCookieSelection(), targetProfileId, move);
+    await finishBulkOperation(profileId, `已${move ? '移动' : '复制'} ${undo.count} 个Cookie到"${target.name}"`);
+  } catch (error) {
+    console.error('批量复制Cookie失败:', error);
+    showMessage(`${move ? '移动' : '复制'}失败: ` + error.message, 'error');
+  }
+}
+
+/**
+ * 处理导出选中的Cookie
+ */
+async function handleBulkExport() {
+  const profileId = document.getElementById('cookieDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) return;
+  
+  try {
+    const content = await api.exportSelectedCookies(profileId, getCookieSelection());
+    const safeName = profile.name.replace(/[\\/:*?"<>|\s]+/g, '_');
+    downloadFile(`cookies-${safeName}-selected.txt`, content, 'text/plain');
+    showMessage(`已导出 ${selectedCookieKeys.size} 个Cookie`);
+  } catch (error) {
+    console.error('导出选中的Cookie失败:', error);
+    showMessage('导出失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理将选中的Cookie写入浏览器
+ */
+async function handleBulkApply() {
+  const profileId = document.getElementById('cookieDialog').dataset.profileId;
+  const selection = getCookieSelection();
+  if (!confirm(`确定要将选中的 ${selection.length} 个Cookie写入浏览器吗？浏览器中同名的Cookie会被覆盖，可以撤销。`)) {
+    return;
+  }
+  
+  try {
+    const { report } = await api.bulkApplyCookiesToBrowser(profileId, selection);
+    const totals = Object.values(report.domains).reduce((sum, result) => ({
+      restored: sum.restored + result.restored,
+      expired: sum.expired + result.expired
+    }), { restored: 0, expired: 0 });
+    let message = `已将 ${totals.restored} 个Cookie写入浏览器`;
+    if (totals.expired > 0) {
+      message += `，跳过 ${totals.expired} 个已过期的Cookie`;
+    }
+    if (report.failures.length > 0) {
+      message += `，${report.failures.length} 个失败: ${report.failures.map(f => `${f.name}（${f.reason}）`).join('，')}`;
+    }
+    await finishBulkOperation(profileId, message, report.failures.length > 0 ? 'error' : 'success');
+  } catch (error) {
+    console.error('写入浏览器失败:', error);
+    showMessage('写入失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 显示批量修改Cookie属性对话框
+ */
+function showBulkAttributesDialog() {
+  document.getElementById('bulkAttributesTitle').textContent = `修改 ${selectedCookieKeys.size} 个Cookie的属性`;
+  document.getElementById('bulkPath').value = '';
+  document.getElementById('bulkSecure').value = '';
+  document.getElementById('bulkHttpOnly').value = '';
+  document.getElementById('bulkSameSite').value = '';
+  document.getElementById('bulkExpiryMode').value = '';
+  document.getElementById('bulkExpiry').value = '';
+  document.getElementById('bulkExpiry').style.display = 'none';
+  document.getElementById('bulkAttributesDialog').style.display = 'flex';
+}
+
+/**
+ * 隐藏批量修改Cookie属性对话框
+ */
+function hideBulkAttributesDialog() {
+  document.getElementById('bulkAttributesDialog').style.display = 'none';
+}
+
+/**
+ * 处理批量修改Cookie属性
+ */
+async function handleBulkAttributes() {
+  const profileId = document.getElementById('cookieDialog').dataset.profileId;
+  const attributes = {};
+  
+  const path = document.getElementById('bulkPath').value.trim();
+  if (path) attributes.path = path;
+  const secure = document.getElementById('bulkSecure').value;
+  if (secure) attributes.secure = secure === 'true';
+  const httpOnly = document.getElementById('bulkHttpOnly').value;
+  if (httpOnly) attributes.httpOnly = httpOnly === 'true';
+  const sameSite = document.getElementById('bulkSameSite').value;
+  if (sameSite) attributes.sameSite = sameSite;
+  
+  const expiryMode = document.getElementById('bulkExpiryMode').value;
+  if (expiryMode === 'session') {
+    attributes.expirationDate = null;
+  } else if (expiryMode === 'date') {
+    const expiry = new Date(document.getElementById('bulkExpiry').value).getTime();
+    if (Number.isNaN(expiry)) {
+      showMessage('请选择过期时间', 'error');
+      return;
+    }
+    attributes.expirationDate = Math.floor(expiry / 1000);
+  }
+  
+  // 属性由Service Worker校验
+  try {
+    const undo = await api.bulkSetCookieAttributes(profileId, getCookieSelection(), attributes);
+    hideBulkAttributesDialog();
+    await finishBulkOperation(profileId, `已修改 ${undo.count} 个Cookie的属性`);
+  } catch (error) {
+    console.error('批量修改Cookie属性失败:', error);
+    showMessage('修改失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理撤销最近一次批量操作
+ */
+async function handleUndoBulk() {
+  const profileId = document.getElementById('cookieDialog').dataset.profileId;
+  if (!confirm('撤销会把受影响的配置（或浏览器中的Cookie）恢复到操作前的状态，配置的Cookie在操作后又有变化时无法撤销。确定撤销吗？')) {
+    return;
+  }
+  
+  try {
+    const undo = await api.undoBulkOperation();
+    await finishBulkOperation(profileId, `已撤销${BULK_ACTION_LABELS[undo.action] || undo.action} ${undo.count} 个Cookie`);
+  } catch (error) {
+    console.error('撤销批量操作失败:', error);
+    // 无法撤销时撤销记录已被删除，刷新撤销栏
+    await renderBulkUndo();
+    showMessage('撤销失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 筛选或排序条件变化时重新渲染Cookie列表
+ */
+function rerenderCookieDialogList() {
+  renderFilteredCookies(document.getElementById('cookieDialog').dataset.profileId);
+}
+
+/**
+ * 根据分组的折叠状态更新"全部折叠/全部展开"按钮
+ */
+function updateToggleCookieGroupsButton() {
+  const groups = Array.from(document.querySelectorAll('.cookie-domain-group'));
+  const btn = document.getElementById('toggleCookieGroupsBtn');
+  btn.style.display = groups.length > 0 ? '' : 'none';
+  btn.textContent = groups.some(group => group.open) ? '全部折叠' : '全部展开';
+}
+
+/**
+ * 折叠或展开所有域名分组（有展开的分组时全部折叠）
+ */
+function handleToggleCookieGroups() {
+  const groups = Array.from(document.querySelectorAll('.cookie-domain-group'));
+  const open = !groups.some(group => group.open);
+  groups.forEach(group => {
+    group.open = open;
+  });
+}
+
+/**
+ * 显示配置最近一次清理过期Cookie的结果
+ */
+async function renderCleanupStatus(profileId) {
+  const element = document.getElementById('cookieCleanupStatus');
+  try {
+    const status = (await api.getCleanupStatus())[profileId];
+    element.textContent = status
+      ? `上次清理过期Cookie: ${new Date(status.cleanedAt).toLocaleString()}，移除 ${status.removedCount} 个`
+      : '尚未清理过期Cookie';
+  } catch (error) {
+    console.error('读取清理结果失败:', error);
+    element.textContent = '';
+  }
+}
+
+/**
+ * 处理立即清理过期Cookie
+ */
+async function handleCleanupExpired() {
+  const profileId = document.getElementById('cookieDialog').dataset.profileId;
+  
+  try {
+    const status = await api.cleanupExpiredCookies();
+    await renderCookiesList(profileId);
+    await renderCleanupStatus(profileId);
+    const removedCount = status[profileId] ? status[profileId].removedCount : 0;
+    showMessage(`已移除 ${removedCount} 个过期Cookie`);
+  } catch (error) {
+    console.error('清理过期Cookie失败:', error);
+    showMessage('清理失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 显示添加Cookie对话框
+ */
+function showAddCookieDialog(profileId, domain) {
+  const dialog = document.getElementById('addCookieDialog');
+  dialog.dataset.profileId = profileId;
+  dialog.dataset.domain = domain;
+  document.getElementById('cookieName').value = '';
+  document.getElementById('cookieValue').value = '';
+  document.getElementById('cookiePath').value = '/';
+  document.getElementById('cookieDomain').value = domain;
+  document.getElementById('cookieSecure').checked = false;
+  document.getElementById('cookieHttpOnly').checked = false;
+  dialog.style.display = 'flex';
+}
+
+/**
+ * 显示编辑Cookie对话框
+ */
+async function showEditCookieDialog(profileId, target) {
+  const { domain } = target;
+  const cookiesData = await api.getProfileCookies(profileId);
+  const cookies = cookiesData[domain] || [];
+  const cookie = cookies.find(c => c.name === target.name && (c.path || '/') === target.path &&
+    (c.domain || domain) === target.cookieDomain && !!c.hostOnly === target.hostOnly &&
+    ((c.partitionKey && c.partitionKey.topLevelSite) || '') === target.topLevelSite);
+  
+  if (!cookie) return;
+  
+  const dialog = document.getElementById('editCookieDialog');
+  dialog.dataset.profileId = profileId;
+  dialog.dataset.domain = domain;
+  dialog.dataset.cookieKey = getCookieSelectionKey(target);
+  
+  document.getElementById('editCookieName').value = cookie.name;
+  document.getElementById('editCookieValue').value = cookie.value || '';
+  document.getElementById('editCookiePath').value = cookie.path || '/';
+  document.getElementById('editCookieDomain').value = cookie.domain || domain;
+  document.getElementById('editCookieSecure').checked = cookie.secure || false;
+  document.getElementById('editCookieHttpOnly').checked = cookie.httpOnly || false;
+  
+  dialog.style.display = 'flex';
+}
+
+/**
+ * 处理添加Cookie
+ */
+async function handleAddCookie() {
+  const dialog = document.getElementById('addCookieDialog');
+  const profileId = dialog.dataset.profileId;
+  const domain = dialog.dataset.domain;
+  
+  const name = document.getElementById('cookieName').value.trim();
+  const value = document.getElementById('cookieValue').value;
+  const path = document.getElementById('cookiePath').value.trim() || '/';
+  const cookieDomain = document.getElementById('cookieDomain').value.trim() || domain;
+  const secure = document.getElementById('cookieSecure').checked;
+  const httpOnly = document.getElementById('cookieHttpOnly').checked;
+  
+  if (!name) {
+    showMessage('请输入Cookie名称', 'error');
+    return;
+  }
+  
+  try {
+    await api.addCookie(profileId, domain, {
+      name,
+      value,
+      path,
+      domain: cookieDomain,
+      secure,
+      httpOnly
+    });
+    
+    await renderCookiesList(profileId);
+    hideAddCookieDialog();
+    showMessage('Cookie添加成功');
+  } catch (error) {
+    console.error('添加Cookie失败:', error);
+    showMessage('添加失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理编辑Cookie
+ */
+async function handleEditCookie() {
+  const dialog = document.getElementById('editCookieDialog');
+  const profileId = dialog.dataset.profileId;
+  const domain = dialog.dataset.domain;
+  const target = parseCookieSelectionKey(dialog.dataset.cookieKey);
+  
+  const name = document.getElementById('editCookieName').value.trim();
+  const value = document.getElementById('editCookieValue').value;
+  const path = document.getElementById('editCookiePath').value.trim() || '/';
+  const cookieDomain = document.getElementById('editCookieDomain').value.trim() || domain;
+  const secure = document.getElementById('editCookieSecure').checked;
+  const httpOnly = document.getElementById('editCookieHttpOnly').checked;
+  
+  if (!name) {
+    showMessage('请输入Cookie名称', 'error');
+    return;
+  }
+  
+  try {
+    // 名称或路径改变时由Service Worker在同一次写入中完成重命名
+    await api.updateCookie(profileId, target, {
+      name,
+      value,
+      path,
+      domain: cookieDomain,
+      secure,
+      httpOnly
+    });
+    
+    await renderCookiesList(profileId);
+    hideEditCookieDialog();
+    showMessage('Cookie更新成功');
+  } catch (error) {
+    console.error('更新Cookie失败:', error);
+    showMessage('更新失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理删除Cookie
+ */
+async function handleDeleteCookie(profileId, target) {
+  if (!confirm(`确定要删除Cookie "${target.name}" 吗？`)) {
+    return;
+  }
+  
+  try {
+    await api.deleteCookie(profileId, target);
+    await renderCookiesList(profileId);
+    showMessage('Cookie已删除');
+  } catch (error) {
+    console.error('删除Cookie失败:', error);
+    showMessage('删除失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 隐藏Cookie详情对话框
+ */
+function hideCookieDialog() {
+  document.getElementById('cookieDialog').style.display = 'none';
+}
+
+/**
+ * 显示Cookie删除记录对话框
+ */
+async function showRemovalHistoryDialog() {
+  const profileId = document.getElementById('cookieDialog').dataset.profileId;
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) return;
+  
+  const dialog = document.getElementById('removalHistoryDialog');
+  document.getElementById('removalHistoryTitle').textContent = `删除记录 - ${profile.name}`;
+  dialog.dataset.profileId = profileId;
+  
+  await renderRemovalHistory(profileId);
+  
+  dialog.style.display = 'flex';
+}
+
+/**
+ * 渲染Cookie删除记录
+ */
+async function renderRemovalHistory(profileId) {
+  const list = document.getElementById('removalHistoryList');
+  const history = await api.getRemovalHistory(profileId);
+  
+  if (history.length === 0) {
+    list.innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">暂无删除记录</p>';
+    return;
+  }
+  
+  list.innerHTML = `
+    <table class="cookie-table">
+      <thead>
+        <tr>
+          <th>时间</th>
+          <th>名称</th>
+          <th>域名</th>
+          <th>路径</th>
+          <th>原因</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${history.map(entry => `
+          <tr>
+            <td>${escapeHtml(new Date(entry.removedAt).toLocaleString())}</td>
+            <td class="cookie-name-cell">${escapeHtml(entry.name)}</td>
+            <td>${escapeHtml(entry.domain)}${entry.topLevelSite ? `<div class="cookie-partition">分区: ${escapeHtml(entry.topLevelSite)}</div>` : ''}</td>
+            <td class="cookie-path-cell">${escapeHtml(entry.path || '/')}</td>
+            <td>${escapeHtml(REMOVAL_CAUSE_LABELS[entry.cause] || entry.cause || '-')}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * 处理清空删除记录
+ */
+async function handleClearRemovalHistory() {
+  const profileId = document.getElementById('removalHistoryDialog').dataset.profileId;
+  
+  try {
+    await api.clearRemovalHistory(profileId);
+    await renderRemovalHistory(profileId);
+    showMessage('删除记录已清空');
+  } catch (error) {
+    console.error('清空删除记录失败:', error);
+    showMessage('清空失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 显示快照对话框
+ */
+async function showSnapshotDialog(profileId) {
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) return;
+  
+  const dialog = document.getElementById('snapshotDialog');
+  document.getElementById('snapshotDialogTitle').textContent = `快照 - ${profile.name}`;
+  dialog.dataset.profileId = profileId;
+  document.getElementById('snapshotName').value = '';
+  document.getElementById('snapshotDiff').innerHTML = '';
+  
+  try {
+    await renderSnapshots(profileId);
+    dialog.style.display = 'flex';
+  } catch (error) {
+    console.error('加载快照失败:', error);
+    showMessage('加载快照失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 渲染快照列表和对比选项
+ */
+async function renderSnapshots(profileId) {
+  const snapshots = await api.listSnapshots(profileId);
+  const list = document.getElementById('snapshotList');
+  
+  const label = snapshot => snapshot.auto
+    ? `自动（${SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason}）`
+    : snapshot.name;
+  
+  // 对比选项：所有快照加上配置当前保存的数据
+  const options = [{ id: 'current', text: '当前保存的数据' }].concat(snapshots.map(snapshot => ({
+    id: snapshot.id,
+    text: `${label(snapshot)} - ${new Date(snapshot.createdAt).toLocaleString()}`
+  })));
+  const optionsHtml = options.map(option => `<option value="${escapeHtml(option.id)}">${escapeHtml(option.text)}</option>`).join('');
+  document.getElementById('snapshotDiffFrom').innerHTML = optionsHtml;
+  document.getElementById('snapshotDiffTo').innerHTML = optionsHtml;
+  if (snapshots.length > 0) {
+    document.getElementById('snapshotDiffFrom').value = snapshots[0].id;
+  }
+  
+  if (snapshots.length === 0) {
+    list.innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">暂无快照</p>';
+    return;
+  }
+  
+  list.innerHTML = `
+    <table class="cookie-table">
+      <thead>
+        <tr>
+          <th>名称</th>
+          <th>时间</th>
+          <th>Cookie数</th>
+          <th>操作</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${snapshots.map(snapshot => `
+          <tr class="snapshot-row" data-snapshot-id="${escapeHtml(snapshot.id)}">
+            <td>${escapeHtml(label(snapshot))}</td>
+            <td>${escapeHtml(new Date(snapshot.createdAt).toLocaleString())}</td>
+            <td>${snapshot.cookieCount}</td>
+            <td class="cookie-actions-cell">
+              <button class="btn btn-icon btn-primary restore-profile-btn">恢复到配置</button>
+              <button class="btn btn-icon btn-secondary restore-browser-btn">恢复到浏览器</button>
+              <button class="btn btn-icon btn-danger delete-snapshot-btn">删除</button>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  
+  list.querySelectorAll('.restore-profile-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      handleRestoreSnapshot(profileId, btn.closest('.snapshot-row').dataset.snapshotId, 'profile');
+    });
+  });
+  
+  list.querySelectorAll('.restore-browser-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      handleRestoreSnapshot(profileId, btn.closest('.snapshot-row').dataset.snapshotId, 'browser');
+    });
+  });
+  
+  list.querySelectorAll('.delete-snapshot-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      handleDeleteSnapshot(profileId, btn.closest('.snapshot-row').dataset.snapshotId);
+    });
+  });
+}
+
+/**
+ * 处理创建快照
+ */
+async function handleCreateSnapshot() {
+  const profileId = document.getElementById('snapshotDialog').dataset.profileId;
+  const input = document.getElementById('snapshotName');
+  const name = input.value.trim();
+  
+  if (!name) {
+    showMessage('请输入快照名称', 'error');
+    return;
+  }
+  
+  try {
+    await api.createSnapshot(profileId, name);
+    input.value = '';
+    await renderSnapshots(profileId);
+    showMessage('快照已创建');
+  } catch (error) {
+    console.error('创建快照失败:', error);
+    showMessage('创建失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理恢复快照
+ * @param {string} target - 'profile' 恢复到配置保存的数据，'browser' 直接写入浏览器
+ */
+async function handleRestoreSnapshot(profileId, snapshotId, target) {
+  const question = target === 'browser'
+    ? '确定要将该快照中的Cookie写入浏览器吗？\n浏览器中的同名Cookie会被覆盖。'
+    : '确定要将配置保存的Cookie恢复为该快照吗？\n恢复前会自动为当前数据创建快照。';
+  if (!confirm(question)) {
+    return;
+  }
+  
+  try {
+    await api.restoreSnapshot(profileId, snapshotId, target);
+    await renderSnapshots(profileId);
+    showMessage(target === 'browser' ? '已写入浏览器' : '已恢复到配置');
+  } catch (error) {
+    console.error('恢复快照失败:', error);
+    showMessage('恢复失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理删除快照
+ */
+async function handleDeleteSnapshot(profileId, snapshotId) {
+  if (!confirm('确定要删除该快照吗？')) {
+    return;
+  }
+  
+  try {
+    await api.deleteSnapshot(profileId, snapshotId);
+    await renderSnapshots(profileId);
+    showMessage('快照已删除');
+  } catch (error) {
+    console.error('删除快照失败:', error);
+    showMessage('删除失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 处理对比快照
+ */
+async function handleDiffSnapshots() {
+  const profileId = document.getElementById('snapshotDialog').dataset.profileId;
+  const fromId = document.getElementById('snapshotDiffFrom').value;
+  const toId = document.getElementById('snapshotDiffTo').value;
+  const container = document.getElementById('snapshotDiff');
+  
+  try {
+    const diff = await api.diffSnapshots(profileId, fromId, toId);
+    
+    const rows = [
+      ...diff.added.map(cookie => ({ type: '新增', cookie, detail: cookie.value })),
+      ...diff.removed.map(cookie => ({ type: '删除', cookie, detail: cookie.value })),
+      ...diff.changed.map(change => ({
+        type: '修改',
+        cookie: change.after,
+        detail: change.before.value === change.after.value
+          ? '属性变化'
+          : `${change.before.value} → ${change.after.value}`
+      }))
+    ];
+    
+    if (rows.length === 0) {
+      container.innerHTML = '<p style="color: #999; text-align: center; padding: 12px;">没有差异</p>';
+      return;
+    }
+    
+    container.innerHTML = `
+      <table class="cookie-table">
+        <thead>
+          <tr>
+            <th>变化</th>
+            <th>域名</th>
+            <th>名称</th>
+            <th>值</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td>${row.type}</td>
+              <td>${escapeHtml(row.cookie.domain)}</td>
+              <td class="cookie-name-cell">${escapeHtml(row.cookie.name)}</td>
+              <td class="cookie-value-cell" title="${escapeHtml(row.detail || '')}">${escapeHtml(row.detail || '')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error('对比快照失败:', error);
+    showMessage('对比失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 隐藏快照对话框
+ */
+function hideSnapshotDialog() {
+  document.getElementById('snapshotDialog').style.display = 'none';
+}
+
+/**
+ * 显示自动切换记录对话框
+ */
+async function showAutoSwitchLogDialog() {
+  try {
+    await renderAutoSwitchLog();
+    document.getElementById('autoSwitchLogDialog').style.display = 'flex';
+  } catch (error) {
+    console.error('加载自动切换记录失败:', error);
+    showMessage('加载失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 渲染自动切换记录
+ */
+async function renderAutoSwitchLog() {
+  const list = document.getElementById('autoSwitchLogList');
+  const { log } = await api.getAutoSwitchStatus();
+  
+  if (log.length === 0) {
+    list.innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">暂无自动切换记录</p>';
+    return;
+  }
+  
+  const profileName = profileId => {
+    const profile = profiles.find(p => p.id === profileId);
+    return profile ? profile.name : '无';
+  };
+  
+  list.innerHTML = `
+    <table class="cookie-table">
+      <thead>
+        <tr>
+          <th>时间</th>
+          <th>网址</th>
+          <th>切换</th>
+          <th>结果</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${log.map(entry => `
+          <tr>
+            <td>${escapeHtml(new Date(entry.at).toLocaleString())}</td>
+            <td class="cookie-value-cell" title="${escapeHtml(`${entry.url}（规则: ${entry.rule}）`)}">${escapeHtml(entry.url)}</td>
+            <td>${escapeHtml(`${profileName(entry.fromProfileId)} → ${entry.profileName}`)}</td>
+            <td class="auto-switch-result ${escapeHtml(entry.result)}" title="${escapeHtml(entry.reason || '')}">
+              ${escapeHtml(AUTO_SWITCH_RESULT_LABELS[entry.result] || entry.result)}${entry.reason ? `<div class="cookie-partition">${escapeHtml(entry.reason)}</div>` : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * 处理清空自动切换记录
+ */
+async function handleClearAutoSwitchLog() {
+  try {
+    await api.clearAutoSwitchLog();
+    await renderAutoSwitchLog();
+    showMessage('自动切换记录已清空');
+  } catch (error) {
+    console.error('清空自动切换记录失败:', error);
+    showMessage('清空失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 隐藏自动切换记录对话框
+ */
+function hideAutoSwitchLogDialog() {
+  document.getElementById('autoSwitchLogDialog').style.display = 'none';
+}
+
+/**
+ * 隐藏Cookie删除记录对话框
+ */
+function hideRemovalHistoryDialog() {
+  document.getElementById('removalHistoryDialog').style.display = 'none';
+}
+
+/**
+ * 隐藏添加Cookie对话框
+ */
+function hideAddCookieDialog() {
+  document.getElementById('addCookieDialog').style.display = 'none';
+}
+
+/**
+ * 隐藏编辑Cookie对话框
+ */
+function hideEditCookieDialog() {
+  document.getElementById('editCookieDialog').style.display = 'none';
+}
+
+/**
+ * 更新加密状态（锁定时显示解锁提示）
+ */
+async function updateEncryptionStatus() {
+  try {
+    encryptionStatus = await api.getEncryptionStatus();
+  } catch (error) {
+    console.error('获取加密状态失败:', error);
+  }
+  
+  const locked = encryptionStatus.enabled && !encryptionStatus.unlocked;
+  document.getElementById('lockBanner').style.display = locked ? 'block' : 'none';
+}
+
+/**
+ * 更新数据迁移状态（迁移失败时显示提示）
+ */
+async function updateMigrationStatus() {
+  let status = null;
+  try {
+    status = await api.getMigrationStatus();
+  } catch (error) {
+    console.error('获取迁移状态失败:', error);
+  }
+  
+  const banner = document.getElementById('migrationBanner');
+  if (!status || status.success) {
+    banner.style.display = 'none';
+    return;
+  }
+  
+  document.getElementById('migrationMessage').textContent =
+    `升级数据（${status.description}）失败: ${status.error}`;
+  document.getElementById('restoreBackupBtn').style.display = status.hasBackup ? '' : 'none';
+  banner.style.display = 'block';
+}
+
+/**
+ * 重试数据迁移
+ */
+async function handleRetryMigration() {
+  try {
+    const status = await api.retryMigration();
+    await updateMigrationStatus();
+    await loadProfiles();
+    if (status && status.success) {
+      showMessage('数据升级完成');
+    } else {
+      showMessage('数据升级仍然失败', 'error');
+    }
+  } catch (error) {
+    showMessage('重试失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 从迁移前的备份恢复数据
+ */
+async function handleRestoreBackup() {
+  if (!confirm('确定要恢复到升级前的数据吗？升级后产生的修改将丢失。')) {
+    return;
+  }
   
-  dialog.style.display = 'flex';
+  try {
+    await api.restoreMigrationBackup();
+    await loadProfiles();
+    await updatePluginToggle();
+    await updateEncryptionStatus();
+    await updateMigrationStatus();
+    showMessage('已从备份恢复');
+  } catch (error) {
+    showMessage('恢复失败: ' + error.message, 'error');
+  }
 }
 
 /**
- * 渲染Cookie列表
+ * 处理解锁
  */
-async function renderCookiesList(profileId) {
-  const cookiesList = document.getElementById('cookiesList');
-  const cookiesData = await getProfileCookies(profileId);
-  
-  if (Object.keys(cookiesData).length === 0) {
-    cookiesList.innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">暂无Cookie数据</p>';
+async function handleUnlock() {
+  const input = document.getElementById('unlockPassphrase');
+  if (!input.value) {
+    showMessage('请输入口令', 'error');
     return;
   }
   
-  let html = '';
-  for (const [domain, cookies] of Object.entries(cookiesData)) {
-    if (!Array.isArray(cookies) || cookies.length === 0) continue;
-    
-    html += `<div class="cookie-domain-group">
-      <div class="cookie-domain-header">
-        <strong>${escapeHtml(domain)}</strong>
-        <button class="btn btn-icon btn-primary add-cookie-btn" data-domain="${escapeHtml(domain)}">添加Cookie</button>
-      </div>
-      <table class="cookie-table">
-        <thead>
-          <tr>
-            <th>名称</th>
-            <th>值</th>
-            <th>路径</th>
-            <th>标志</th>
-            <th>操作</th>
-          </tr>
-        </thead>
-        <tbody>`;
-    
-    for (const cookie of cookies) {
-      const flags = [];
-      if (cookie.secure) flags.push('Secure');
-      if (cookie.httpOnly) flags.push('HttpOnly');
-      
-      html += `
-        <tr class="cookie-row" data-domain="${escapeHtml(domain)}" data-name="${escapeHtml(cookie.name)}" data-path="${escapeHtml(cookie.path || '/')}">
-          <td class="cookie-name-cell">${escapeHtml(cookie.name)}</td>
-          <td class="cookie-value-cell" title="${escapeHtml(cookie.value || '')}">${escapeHtml(cookie.value || '')}</td>
-          <td class="cookie-path-cell">${escapeHtml(cookie.path || '/')}</td>
-          <td class="cookie-flags-cell">${flags.map(f => `<span class="cookie-flag">${f}</span>`).join(' ') || '-'}</td>
-          <td class="cookie-actions-cell">
-            <button class="btn btn-icon btn-secondary edit-cookie-btn">编辑</button>
-            <button class="btn btn-icon btn-danger remove-cookie-btn">删除</button>
-          </td>
-        </tr>
-      `;
-    }
-    
-    html += `</tbody></table></div>`;
+  try {
+    await api.unlock(input.value);
+    await updateEncryptionStatus();
+    input.value = '';
+    showMessage('已解锁');
+  } catch (error) {
+    showMessage('解锁失败: ' + error.message, 'error');
   }
+}
+
+/**
+ * 显示快捷键对话框，列出所有命令当前的快捷键
+ */
+async function showShortcutsDialog() {
+  const list = document.getElementById('shortcutsList');
   
-  cookiesList.innerHTML = html;
-  
-  // 绑定事件
-  document.querySelectorAll('.add-cookie-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const domain = btn.dataset.domain;
-      showAddCookieDialog(profileId, domain);
-    });
-  });
-  
-  document.querySelectorAll('.edit-cookie-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const row = btn.closest('.cookie-row');
-      const domain = row.dataset.domain;
-      const name = row.dataset.name;
-      const path = row.dataset.path;
-      showEditCookieDialog(profileId, domain, name, path);
-    });
-  });
+  try {
+    const commands = await chrome.commands.getAll();
+    list.innerHTML = commands
+      .filter(command => command.description)
+      .map(command => {
+        let target = '';
+        if (command.name.startsWith(PINNED_COMMAND_PREFIX)) {
+          const slot = Number(command.name.substring(PINNED_COMMAND_PREFIX.length));
+          const profile = profiles.find(p => p.pinnedSlot === slot);
+          target = `<div class="shortcut-target">${profile ? escapeHtml(profile.name) : '未固定配置'}</div>`;
+        }
+        return `
+          <div class="shortcut-item">
+            <div>
+              <div>${escapeHtml(command.description)}</div>
+              ${target}
+            </div>
+            <kbd class="${command.shortcut ? '' : 'unset'}">${escapeHtml(command.shortcut || '未设置')}</kbd>
+          </div>
+        `;
+      }).join('');
+  } catch (error) {
+    console.error('读取快捷键失败:', error);
+    list.innerHTML = `<p style="color: #999; text-align: center; padding: 20px;">读取快捷键失败: ${escapeHtml(error.message)}</p>`;
+  }
   
-  document.querySelectorAll('.remove-cookie-btn').forEach(btn => {
-    btn.addEventListener('click', async () => {
-      const row = btn.closest('.cookie-row');
-      const domain = row.dataset.domain;
-      const name = row.dataset.name;
-      const path = row.dataset.path;
-      await handleDeleteCookie(profileId, domain, name, path);
-    });
-  });
+  document.getElementById('shortcutsDialog').style.display = 'flex';
 }
 
 /**
- * 显示添加Cookie对话框
+ * 隐藏快捷键对话框
  */
-function showAddCookieDialog(profileId, domain) {
-  const dialog = document.getElementById('addCookieDialog');
-  dialog.dataset.profileId = profileId;
-  dialog.dataset.domain = domain;
-  document.getElementById('cookieName').value = '';
-  document.getElementById('cookieValue').value = '';
-  document.getElementById('cookiePath').value = '/';
-  document.getElementById('cookieDomain').value = domain;
-  document.getElementById('cookieSecure').checked = false;
-  document.getElementById('cookieHttpOnly').checked = false;
-  dialog.style.display = 'flex';
+function hideShortcutsDialog() {
+  document.getElementById('shortcutsDialog').style.display = 'none';
 }
 
 /**
- * 显示编辑Cookie对话框
+ * 打开浏览器的快捷键设置页面
  */
-async function showEditCookieDialog(profileId, domain, cookieName, cookiePath) {
-  const cookiesData = await getProfileCookies(profileId);
-  const cookies = cookiesData[domain] || [];
-  const cookie = cookies.find(c => c.name === cookieName && (c.path || '/') === cookiePath);
-  
-  if (!cookie) return;
-  
-  const dialog = document.getElementById('editCookieDialog');
-  dialog.dataset.profileId = profileId;
-  dialog.dataset.domain = domain;
-  dialog.dataset.cookieName = cookieName;
-  dialog.dataset.cookiePath = cookiePath;
-  
-  document.getElementById('editCookieName').value = cookie.name;
-  document.getElementById('editCookieValue').value = cookie.value || '';
-  document.getElementById('editCookiePath').value = cookie.path || '/';
-  document.getElementById('editCookieDomain').value = cookie.domain || domain;
-  document.getElementById('editCookieSecure').checked = cookie.secure || false;
-  document.getElementById('editCookieHttpOnly').checked = cookie.httpOnly || false;
+async function handleEditShortcuts() {
+  try {
+    await chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  } catch (error) {
+    console.error('打开快捷键设置失败:', error);
+    showMessage('打开失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 显示加密设置对话框
+ */
+async function showEncryptionDialog() {
+  await updateEncryptionStatus();
   
+  const dialog = document.getElementById('encryptionDialog');
+  dialog.querySelectorAll('input[type="password"]').forEach(input => {
+    input.value = '';
+  });
+  document.getElementById('encryptionDisabledSection').style.display = encryptionStatus.enabled ? 'none' : 'block';
+  document.getElementById('encryptionEnabledSection').style.display = encryptionStatus.enabled ? 'block' : 'none';
+  document.getElementById('lockBtn').style.display = encryptionStatus.unlocked ? '' : 'none';
   dialog.style.display = 'flex';
 }
 
 /**
- * 处理添加Cookie
+ * 隐藏加密设置对话框
  */
-async function handleAddCookie() {
-  const dialog = document.getElementById('addCookieDialog');
-  const profileId = dialog.dataset.profileId;
-  const domain = dialog.dataset.domain;
-  
-  const name = document.getElementById('cookieName').value.trim();
-  const value = document.getElementById('cookieValue').value;
-  const path = document.getElementById('cookiePath').value.trim() || '/';
-  const cookieDomain = document.getElementById('cookieDomain').value.trim() || domain;
-  const secure = document.getElementById('cookieSecure').checked;
-  const httpOnly = document.getElementById('cookieHttpOnly').checked;
+function hideEncryptionDialog() {
+  const dialog = document.getElementById('encryptionDialog');
+  dialog.querySelectorAll('input[type="password"]').forEach(input => {
+    input.value = '';
+  });
+  dialog.style.display = 'none';
+}
+
+/**
+ * 处理启用加密
+ */
+async function handleEnableEncryption() {
+  const passphrase = document.getElementById('newPassphrase').value;
+  const confirmation = document.getElementById('confirmPassphrase').value;
   
-  if (!name) {
-    showMessage('请输入Cookie名称', 'error');
+  if (passphrase !== confirmation) {
+    showMessage('两次输入的口令不一致', 'error');
     return;
   }
   
   try {
-    await addCookie(profileId, domain, {
-      name,
-      value,
-      path,
-      domain: cookieDomain,
-      secure,
-      httpOnly
-    });
-    
-    await renderCookiesList(profileId);
-    hideAddCookieDialog();
-    showMessage('Cookie添加成功');
+    await api.enableEncryption(passphrase);
+    await updateEncryptionStatus();
+    hideEncryptionDialog();
+    showMessage('已启用加密');
   } catch (error) {
-    console.error('添加Cookie失败:', error);
-    showMessage('添加失败: ' + error.message, 'error');
+    showMessage('启用失败: ' + error.message, 'error');
   }
 }
 
 /**
- * 处理编辑Cookie
+ * 处理更换口令
  */
-async function handleEditCookie() {
-  const dialog = document.getElementById('editCookieDialog');
-  const profileId = dialog.dataset.profileId;
-  const domain = dialog.dataset.domain;
-  const oldName = dialog.dataset.cookieName;
-  const oldPath = dialog.dataset.cookiePath;
-  
-  const name = document.getElementById('editCookieName').value.trim();
-  const value = document.getElementById('editCookieValue').value;
-  const path = document.getElementById('editCookiePath').value.trim() || '/';
-  const cookieDomain = document.getElementById('editCookieDomain').value.trim() || domain;
-  const secure = document.getElementById('editCookieSecure').checked;
-  const httpOnly = document.getElementById('editCookieHttpOnly').checked;
+async function handleChangePassphrase() {
+  const oldPassphrase = document.getElementById('oldPassphrase').value;
+  const newPassphrase = document.getElementById('changedPassphrase').value;
+  const confirmation = document.getElementById('confirmChangedPassphrase').value;
   
-  if (!name) {
-    showMessage('请输入Cookie名称', 'error');
+  if (newPassphrase !== confirmation) {
+    showMessage('两次输入的口令不一致', 'error');
     return;
   }
   
   try {
-    // 如果名称或路径改变了，需要先删除旧的，再添加新的
-    if (name !== oldName || path !== oldPath) {
-      await deleteCookie(profileId, domain, oldName, oldPath);
-      await addCookie(profileId, domain, {
-        name,
-        value,
-        path,
-        domain: cookieDomain,
-        secure,
-        httpOnly
-      });
-    } else {
-      await updateCookie(profileId, domain, name, path, {
-        value,
-        domain: cookieDomain,
-        secure,
-        httpOnly
-      });
-    }
-    
-    await renderCookiesList(profileId);
-    hideEditCookieDialog();
-    showMessage('Cookie更新成功');
+    await api.changePassphrase(oldPassphrase, newPassphrase);
+    await updateEncryptionStatus();
+    hideEncryptionDialog();
+    showMessage('口令已更换');
   } catch (error) {
-    console.error('更新Cookie失败:', error);
-    showMessage('更新失败: ' + error.message, 'error');
+    showMessage('更换失败: ' + error.message, 'error');
   }
 }
 
 /**
- * 处理删除Cookie
+ * 处理关闭加密
  */
-async function handleDeleteCookie(profileId, domain, cookieName, cookiePath) {
-  if (!confirm(`确定要删除Cookie "${cookieName}" 吗？`)) {
+async function handleDisableEncryption() {
+  const passphrase = document.getElementById('disablePassphrase').value;
+  
+  if (!confirm('确定要关闭加密吗？\n已保存的Cookie将以明文存储。')) {
     return;
   }
   
   try {
-    await deleteCookie(profileId, domain, cookieName, cookiePath);
-    await renderCookiesList(profileId);
-    showMessage('Cookie已删除');
+    await api.disableEncryption(passphrase);
+    await updateEncryptionStatus();
+    hideEncryptionDialog();
+    showMessage('已关闭加密');
   } catch (error) {
-    console.error('删除Cookie失败:', error);
-    showMessage('删除失败: ' + error.message, 'error');
+    showMessage('关闭失败: ' + error.message, 'error');
   }
 }
 
 /**
- * 隐藏Cookie详情对话框
+ * 处理立即锁定
  */
-function hideCookieDialog() {
-  document.getElementById('cookieDialog').style.display = 'none';
+async function handleLock() {
+  try {
+    await api.lock();
+    await updateEncryptionStatus();
+    hideEncryptionDialog();
+    showMessage('已锁定');
+  } catch (error) {
+    showMessage('锁定失败: ' + error.message, 'error');
+  }
 }
 
 /**
- * 隐藏添加Cookie对话框
+ * 更新插件启用状态
  */
-function hideAddCookieDialog() {
-  document.getElementById('addCookieDialog').style.display = 'none';
+async function updatePluginToggle() {
+  const enabled = await api.isPluginEnabled();
+  const toggle = document.getElementById('pluginToggle');
+  toggle.checked = enabled;
 }
 
 /**
- * 隐藏编辑Cookie对话框
+ * 更新自动切换开关
  */
-function hideEditCookieDialog() {
-  document.getElementById('editCookieDialog').style.display = 'none';
+async function updateAutoSwitchToggle() {
+  const { paused } = await api.getAutoSwitchStatus();
+  document.getElementById('autoSwitchToggle').checked = !paused;
 }
 
 /**
- * 更新插件启用状态
+ * 处理暂停/恢复自动切换
  */
-async function updatePluginToggle() {
-  const enabled = await isPluginEnabled();
-  const toggle = document.getElementById('pluginToggle');
-  toggle.checked = enabled;
+async function handleAutoSwitchToggle(e) {
+  const enabled = e.target.checked;
+  
+  try {
+    await api.setAutoSwitchPaused(!enabled);
+    showMessage(enabled ? '自动切换已恢复' : '自动切换已暂停');
+  } catch (error) {
+    console.error('切换自动切换状态失败:', error);
+    e.target.checked = !enabled;
+    showMessage('操作失败: ' + error.message, 'error');
+  }
 }
 
 /**
@@ -731,7 +2721,7 @@ async function handlePluginToggle() {
   const enabled = toggle.checked;
   
   try {
-    await setPluginEnabled(enabled);
+    await api.setPluginEnabled(enabled);
     showMessage(enabled ? '插件已启用' : '插件已禁用');
   } catch (error) {
     console.error('切换插件状态失败:', error);
@@ -746,6 +2736,59 @@ async function handlePluginToggle() {
 function setupEventListeners() {
   // 新建配置按钮
   document.getElementById('newProfileBtn').addEventListener('click', showNewProfileDialog);
+  document.getElementById('profileSearch').addEventListener('input', renderProfiles);
+  
+  // Cookie存储选择
+  document.getElementById('cookieStoreSelect').addEventListener('change', handleCookieStoreChange);
+  
+  // 数据迁移
+  document.getElementById('retryMigrationBtn').addEventListener('click', handleRetryMigration);
+  document.getElementById('restoreBackupBtn').addEventListener('click', handleRestoreBackup);
+  
+  // 加密
+  document.getElementById('unlockBtn').addEventListener('click', handleUnlock);
+  document.getElementById('unlockPassphrase').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleUnlock();
+    }
+  });
+  document.getElementById('encryptionBtn').addEventListener('click', showEncryptionDialog);
+  document.getElementById('enableEncryptionBtn').addEventListener('click', handleEnableEncryption);
+  document.getElementById('changePassphraseBtn').addEventListener('click', handleChangePassphrase);
+  document.getElementById('disableEncryptionBtn').addEventListener('click', handleDisableEncryption);
+  document.getElementById('lockBtn').addEventListener('click', handleLock);
+  document.getElementById('closeEncryptionDialogBtn').addEventListener('click', hideEncryptionDialog);
+  
+  // 快捷键
+  document.getElementById('shortcutsBtn').addEventListener('click', showShortcutsDialog);
+  document.getElementById('editShortcutsBtn').addEventListener('click', handleEditShortcuts);
+  document.getElementById('closeShortcutsDialogBtn').addEventListener('click', hideShortcutsDialog);
+  
+  // 导入导出
+  document.getElementById('exportProfilesBtn').addEventListener('click', showExportDialog);
+  document.getElementById('importProfilesBtn').addEventListener('click', () => {
+    document.getElementById('importFileInput').click();
+  });
+  document.getElementById('importFileInput').addEventListener('change', handleImportFileSelected);
+  document.getElementById('exportSelectAll').addEventListener('change', (e) => {
+    document.querySelectorAll('.export-profile-checkbox').forEach(checkbox => {
+      checkbox.checked = e.target.checked;
+    });
+  });
+  document.getElementById('confirmExportBtn').addEventListener('click', handleExportProfiles);
+  document.getElementById('cancelExportBtn').addEventListener('click', hideExportDialog);
+  document.getElementById('confirmImportBtn').addEventListener('click', handleConfirmImport);
+  document.getElementById('cancelImportBtn').addEventListener('click', hideImportDialog);
+  document.getElementById('netscapeTarget').addEventListener('change', (e) => {
+    document.getElementById('netscapeNewProfileGroup').style.display = e.target.value ? 'none' : 'block';
+  });
+  document.getElementById('confirmNetscapeImportBtn').addEventListener('click', handleConfirmNetscapeImport);
+  document.getElementById('cancelNetscapeImportBtn').addEventListener('click', hideNetscapeImportDialog);
+  document.getElementById('exportNetscapeBtn').addEventListener('click', handleExportNetscape);
+  
+  // 切换预览对话框
+  document.getElementById('confirmSwitchBtn').addEventListener('click', handleConfirmSwitch);
+  document.getElementById('cancelSwitchBtn').addEventListener('click', hideSwitchPreviewDialog);
   
   // 新建配置对话框
   document.getElementById('confirmNewProfileBtn').addEventListener('click', handleCreateProfile);
@@ -759,6 +2802,15 @@ function setupEventListeners() {
   // 域名管理对话框
   document.getElementById('addDomainBtn').addEventListener('click', handleAddDomain);
   document.getElementById('closeDomainDialogBtn').addEventListener('click', hideDomainDialog);
+  document.getElementById('profileSwitchMode').addEventListener('change', handleSwitchModeSetting);
+  document.getElementById('profileTabAction').addEventListener('change', handleTabActionSetting);
+  document.getElementById('profileSwitchPreview').addEventListener('change', handleSwitchPreviewSetting);
+  document.getElementById('profileSessionCookiePolicy').addEventListener('change', handleSessionCookiePolicySetting);
+  document.getElementById('profileSessionCookieTtl').addEventListener('change', handleSessionCookieTtlSetting);
+  document.getElementById('profilePinnedSlot').addEventListener('change', handlePinnedSlotSetting);
+  document.getElementById('profileBadgeLabel').addEventListener('change', handleBadgeLabelSetting);
+  document.getElementById('profileBadgeColor').addEventListener('change', handleBadgeColorSetting);
+  document.getElementById('profileNotes').addEventListener('change', handleNotesSetting);
   document.getElementById('newDomain').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
       handleAddDomain();
@@ -767,6 +2819,48 @@ function setupEventListeners() {
   
   // Cookie详情对话框
   document.getElementById('closeCookieDialogBtn').addEventListener('click', hideCookieDialog);
+  document.getElementById('removalHistoryBtn').addEventListener('click', showRemovalHistoryDialog);
+  document.getElementById('cleanupExpiredBtn').addEventListener('click', handleCleanupExpired);
+  document.getElementById('cookieFilterText').addEventListener('input', rerenderCookieDialogList);
+  document.getElementById('cookieFilterRegex').addEventListener('change', rerenderCookieDialogList);
+  document.querySelectorAll('.cookie-filter-flag').forEach(checkbox => {
+    checkbox.addEventListener('change', rerenderCookieDialogList);
+  });
+  document.getElementById('cookieFilterSameSite').addEventListener('change', rerenderCookieDialogList);
+  document.getElementById('cookieSortBy').addEventListener('change', rerenderCookieDialogList);
+  document.getElementById('toggleCookieGroupsBtn').addEventListener('click', handleToggleCookieGroups);
+  document.getElementById('bulkDeleteBtn').addEventListener('click', handleBulkDelete);
+  document.getElementById('bulkCopyBtn').addEventListener('click', () => handleBulkCopy(false));
+  document.getElementById('bulkMoveBtn').addEventListener('click', () => handleBulkCopy(true));
+  document.getElementById('bulkAttributesBtn').addEventListener('click', showBulkAttributesDialog);
+  document.getElementById('bulkExportBtn').addEventListener('click', handleBulkExport);
+  document.getElementById('bulkApplyBtn').addEventListener('click', handleBulkApply);
+  document.getElementById('bulkClearSelectionBtn').addEventListener('click', () => {
+    selectedCookieKeys.clear();
+    rerenderCookieDialogList();
+  });
+  document.getElementById('undoBulkBtn').addEventListener('click', handleUndoBulk);
+  
+  // 批量修改Cookie属性对话框
+  document.getElementById('cancelBulkAttributesBtn').addEventListener('click', hideBulkAttributesDialog);
+  document.getElementById('confirmBulkAttributesBtn').addEventListener('click', handleBulkAttributes);
+  document.getElementById('bulkExpiryMode').addEventListener('change', (e) => {
+    document.getElementById('bulkExpiry').style.display = e.target.value === 'date' ? '' : 'none';
+  });
+  
+  // 快照对话框
+  document.getElementById('createSnapshotBtn').addEventListener('click', handleCreateSnapshot);
+  document.getElementById('snapshotName').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleCreateSnapshot();
+    }
+  });
+  document.getElementById('diffSnapshotsBtn').addEventListener('click', handleDiffSnapshots);
+  document.getElementById('closeSnapshotDialogBtn').addEventListener('click', hideSnapshotDialog);
+  
+  // Cookie删除记录对话框
+  document.getElementById('clearRemovalHistoryBtn').addEventListener('click', handleClearRemovalHistory);
+  document.getElementById('closeRemovalHistoryBtn').addEventListener('click', hideRemovalHistoryDialog);
   
   // 添加Cookie对话框
   document.getElementById('confirmAddCookieBtn').addEventListener('click', handleAddCookie);
@@ -779,6 +2873,18 @@ function setupEventListeners() {
   // 插件启用/禁用切换
   document.getElementById('pluginToggle').addEventListener('change', handlePluginToggle);
   
+  // 自动切换
+  document.getElementById('autoSwitchToggle').addEventListener('change', handleAutoSwitchToggle);
+  document.getElementById('autoSwitchLogBtn').addEventListener('click', showAutoSwitchLogDialog);
+  document.getElementById('clearAutoSwitchLogBtn').addEventListener('click', handleClearAutoSwitchLog);
+  document.getElementById('closeAutoSwitchLogBtn').addEventListener('click', hideAutoSwitchLogDialog);
+  document.getElementById('addUrlRuleBtn').addEventListener('click', handleAddUrlRule);
+  document.getElementById('newUrlRule').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleAddUrlRule();
+    }
+  });
+  
   // 点击对话框背景关闭
   document.getElementById('newProfileDialog').addEventListener('click', (e) => {
     if (e.target.id === 'newProfileDialog') {
@@ -786,6 +2892,36 @@ function setupEventListeners() {
     }
   });
   
+  document.getElementById('exportDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'exportDialog') {
+      hideExportDialog();
+    }
+  });
+  
+  document.getElementById('importDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'importDialog') {
+      hideImportDialog();
+    }
+  });
+  
+  document.getElementById('encryptionDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'encryptionDialog') {
+      hideEncryptionDialog();
+    }
+  });
+  
+  document.getElementById('shortcutsDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'shortcutsDialog') {
+      hideShortcutsDialog();
+    }
+  });
+  
+  document.getElementById('netscapeImportDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'netscapeImportDialog') {
+      hideNetscapeImportDialog();
+    }
+  });
+  
   document.getElementById('domainDialog').addEventListener('click', (e) => {
     if (e.target.id === 'domainDialog') {
       hideDomainDialog();
@@ -798,6 +2934,30 @@ function setupEventListeners() {
     }
   });
   
+  document.getElementById('switchPreviewDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'switchPreviewDialog') {
+      hideSwitchPreviewDialog();
+    }
+  });
+  
+  document.getElementById('snapshotDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'snapshotDialog') {
+      hideSnapshotDialog();
+    }
+  });
+  
+  document.getElementById('autoSwitchLogDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'autoSwitchLogDialog') {
+      hideAutoSwitchLogDialog();
+    }
+  });
+  
+  document.getElementById('removalHistoryDialog').addEventListener('click', (e) => {
+    if (e.target.id === 'removalHistoryDialog') {
+      hideRemovalHistoryDialog();
+    }
+  });
+  
   document.getElementById('addCookieDialog').addEventListener('click', (e) => {
     if (e.target.id === 'addCookieDialog') {
       hideAddCookieDialog();
@@ -839,12 +2999,27 @@ function showMessage(message, type = 'success') {
 }
 
 /**
- * HTML转义
+ * 触发文件下载
+ */
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * HTML转义（同时转义引号，结果可以用在属性值中）
  */
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // 初始化
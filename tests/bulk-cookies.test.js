@@ -0,0 +1,150 @@
+/**
+ * 批量操作测试
+ * 修改后的Cookie和撤销记录在一次写入中保存，撤销记录始终与当前数据一致
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CORE_MODULES, loadModules } = require('./helpers/sw-env.js');
+
+const MODULES = [...CORE_MODULES, 'utils/netscape-cookies-sw.js', 'utils/bulk-cookies-sw.js'];
+
+/**
+ * 生成选中example.com下指定Cookie的选择项
+ */
+function select(...names) {
+  return names.map(name => ({
+    domain: 'example.com',
+    cookieDomain: 'example.com',
+    hostOnly: true,
+    name,
+    path: '/',
+    topLevelSite: ''
+  }));
+}
+
+async function setup() {
+  const context = loadModules(MODULES);
+  const { ConfigManager, CookieManager } = context;
+  const profile = await ConfigManager.createProfile('A', ['example.com']);
+  for (const name of ['a', 'b']) {
+    await CookieManager.addCookie(profile.id, 'example.com', { name, value: name, domain: 'example.com' });
+  }
+  return { ...context, profile };
+}
+
+test('删除全部Cookie后可以撤销', async () => {
+  const { BulkCookies, CookieManager, chrome, profile } = await setup();
+
+  const summary = await BulkCookies.deleteCookies(profile.id, select('a', 'b'));
+  assert.strictEqual(summary.count, 2);
+  // 删除全部Cookie后写入空分片
+  assert.deepStrictEqual(chrome.storage.local.data[CookieManager.getCookieStorageKey(profile.id)], {});
+  assert.strictEqual(JSON.stringify(await CookieManager.getProfileCookies(profile.id)), '{}');
+
+  await BulkCookies.undoLastOperation();
+  const cookies = await CookieManager.getProfileCookies(profile.id);
+  assert.deepStrictEqual(cookies['example.com'].map(c => c.name), ['a', 'b']);
+  assert.strictEqual(await BulkCookies.getUndoSummary(), null);
+});
+
+test('批量操作在一次写入中保存修改和撤销记录', async () => {
+  const { BulkCookies, CookieManager, chrome, profile } = await setup();
+
+  const local = chrome.storage.local;
+  const originalSet = local.set;
+  const originalRemove = local.remove;
+  const writes = [];
+  local.set = (items, callback) => {
+    writes.push(Object.keys(items).sort().join());
+    return originalSet(items, callback);
+  };
+  local.remove = () => {
+    throw new Error('不应删除存储');
+  };
+  try {
+    await BulkCookies.deleteCookies(profile.id, select('a', 'b'));
+  } finally {
+    local.set = originalSet;
+    local.remove = originalRemove;
+  }
+
+  assert.deepStrictEqual(writes, [['bulkUndo', CookieManager.getCookieStorageKey(profile.id)].join()]);
+});
+
+test('写入失败时修改和撤销记录都保持原样', async () => {
+  const { BulkCookies, CookieManager, chrome, profile } = await setup();
+  await BulkCookies.deleteCookies(profile.id, select('a'));
+
+  const local = chrome.storage.local;
+  const originalSet = local.set;
+  local.set = (items, callback) => {
+    if ('bulkUndo' in items) {
+      throw new Error('写入失败');
+    }
+    return originalSet(items, callback);
+  };
+  try {
+    await assert.rejects(BulkCookies.deleteCookies(profile.id, select('b')), /写入失败/);
+  } finally {
+    local.set = originalSet;
+  }
+
+  // 修改没有保存，之前的撤销记录（删除a）仍与当前数据一致
+  const cookies = await CookieManager.getProfileCookies(profile.id);
+  assert.deepStrictEqual(cookies['example.com'].map(c => c.name), ['b']);
+  assert.strictEqual((await BulkCookies.getUndoSummary()).count, 1);
+  await BulkCookies.undoLastOperation();
+  const restored = await CookieManager.getProfileCookies(profile.id);
+  assert.deepStrictEqual(restored['example.com'].map(c => c.name), ['a', 'b']);
+});
+
+test('保存修改失败时不写入新的撤销记录', async () => {
+  const { BulkCookies, CookieManager, chrome, profile } = await setup();
+
+  const local = chrome.storage.local;
+  const originalSet = local.set;
+  local.set = () => {
+    throw new Error('写入失败');
+  };
+  try {
+    await assert.rejects(BulkCookies.deleteCookies(profile.id, select('a')), /写入失败/);
+  } finally {
+    local.set = originalSet;
+  }
+
+  const cookies = await CookieManager.getProfileCookies(profile.id);
+  assert.deepStrictEqual(cookies['example.com'].map(c => c.name), ['a', 'b']);
+  assert.strictEqual(await BulkCookies.getUndoSummary(), null);
+});
+
+test('复制、移动和修改属性后可以撤销', async () => {
+  const { BulkCookies, ConfigManager, CookieManager, profile } = await setup();
+  const target = await ConfigManager.createProfile('B', ['example.com']);
+  await CookieManager.addCookie(target.id, 'example.com', { name: 'a', value: 'old', domain: 'example.com' });
+
+  await BulkCookies.copyCookies(profile.id, select('a'), target.id, true);
+  await BulkCookies.undoLastOperation();
+  await BulkCookies.setAttributes(profile.id, select('a', 'b'), { secure: true, expirationDate: null });
+  await BulkCookies.undoLastOperation();
+
+  const source = await CookieManager.getProfileCookies(profile.id);
+  assert.deepStrictEqual(source['example.com'].map(c => `${c.name}:${c.secure}`), ['a:false', 'b:false']);
+  const copied = await CookieManager.getProfileCookies(target.id);
+  assert.deepStrictEqual(copied['example.com'].map(c => `${c.name}=${c.value}`), ['a=old']);
+});
+
+test('批量操作后配置的Cookie又被修改时拒绝撤销', async () => {
+  const { BulkCookies, CookieManager, profile } = await setup();
+  await BulkCookies.deleteCookies(profile.id, select('a'));
+  // 例如记录到了浏览器中新设置的Cookie
+  await CookieManager.addCookie(profile.id, 'example.com', { name: 'c', value: 'c', domain: 'example.com' });
+
+  await assert.rejects(BulkCookies.undoLastOperation(), /批量操作后已变化，无法撤销/);
+
+  const cookies = await CookieManager.getProfileCookies(profile.id);
+  assert.deepStrictEqual(cookies['example.com'].map(c => c.name), ['b', 'c']);
+  assert.strictEqual(await BulkCookies.getUndoSummary(), null);
+});
@@ -0,0 +1,113 @@
+/**
+ * Cookie身份判断测试
+ * 仅限主机的Cookie（example.com）与整个域的同名Cookie（.example.com）是浏览器中的两个Cookie，配置中也必须分别保存
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CORE_MODULES, loadModules } = require('./helpers/sw-env.js');
+
+const hostCookie = { name: 'sid', value: 'host', domain: 'example.com', hostOnly: true, path: '/' };
+const domainCookie = { name: 'sid', value: 'domain', domain: '.example.com', hostOnly: false, path: '/' };
+
+/**
+ * 读取配置保存的Cookie，返回“域名=值”列表便于比较
+ */
+async function listCookies(CookieManager, profileId) {
+  const cookies = await CookieManager.getProfileCookies(profileId);
+  return (cookies['example.com'] || []).map(c => `${c.domain}=${c.value}`).sort();
+}
+
+test('isSameCookie区分仅限主机的Cookie和整个域的Cookie', () => {
+  const { CookieManager } = loadModules(CORE_MODULES);
+
+  assert.strictEqual(CookieManager.isSameCookie(hostCookie, domainCookie), false);
+  assert.strictEqual(CookieManager.isSameCookie(hostCookie, { ...hostCookie, value: 'other' }), true);
+  // 旧数据没有hostOnly时按域名是否以.开头推断
+  assert.strictEqual(CookieManager.isSameCookie({ name: 'sid', domain: 'example.com' }, hostCookie), true);
+  assert.strictEqual(CookieManager.isSameCookie({ name: 'sid', domain: '.example.com' }, domainCookie), true);
+  // hostOnly与域名写法不一致时以hostOnly为准
+  assert.strictEqual(CookieManager.isSameCookie({ ...domainCookie, domain: 'example.com' }, domainCookie), true);
+});
+
+test('isSameCookie比较名称、路径和分区', () => {
+  const { CookieManager } = loadModules(CORE_MODULES);
+
+  assert.strictEqual(CookieManager.isSameCookie(hostCookie, { ...hostCookie, name: 'other' }), false);
+  assert.strictEqual(CookieManager.isSameCookie(hostCookie, { ...hostCookie, path: '/app' }), false);
+  assert.strictEqual(CookieManager.isSameCookie({ ...hostCookie, path: undefined }, hostCookie), true);
+  assert.strictEqual(
+    CookieManager.isSameCookie(hostCookie, { ...hostCookie, partitionKey: { topLevelSite: 'https://a.com' } }),
+    false
+  );
+  assert.strictEqual(CookieManager.isSameCookie(hostCookie, { ...hostCookie, domain: 'www.example.com' }), false);
+});
+
+test('记录Cookie变化时分别保存和删除两个同名Cookie', async () => {
+  const { ConfigManager, CookieManager } = loadModules(CORE_MODULES);
+  const profile = await ConfigManager.createProfile('A', ['example.com']);
+  await ConfigManager.switchProfile(profile.id);
+
+  await CookieManager.applyCookieChangesToActiveProfile([
+    { cookie: hostCookie, removed: false },
+    { cookie: domainCookie, removed: false }
+  ]);
+  assert.deepStrictEqual(await listCookies(CookieManager, profile.id), ['.example.com=domain', 'example.com=host']);
+
+  await CookieManager.applyCookieChangesToActiveProfile([
+    { cookie: { ...hostCookie, value: 'host2' }, removed: false }
+  ]);
+  assert.deepStrictEqual(await listCookies(CookieManager, profile.id), ['.example.com=domain', 'example.com=host2']);
+
+  await CookieManager.applyCookieChangesToActiveProfile([
+    { cookie: domainCookie, removed: true, cause: 'explicit' }
+  ]);
+  assert.deepStrictEqual(await listCookies(CookieManager, profile.id), ['example.com=host2']);
+});
+
+test('mergeCookieData保留两个同名Cookie，只覆盖完全相同的Cookie', () => {
+  const { CookieManager } = loadModules(CORE_MODULES);
+
+  const merged = CookieManager.mergeCookieData(
+    { 'example.com': [hostCookie] },
+    { 'example.com': [domainCookie, { ...hostCookie, value: 'imported' }] }
+  );
+  assert.deepStrictEqual(
+    merged['example.com'].map(c => `${c.domain}=${c.value}`),
+    ['example.com=imported', '.example.com=domain']
+  );
+});
+
+test('添加、修改和删除Cookie时按完整身份查找', async () => {
+  const { ConfigManager, CookieManager } = loadModules(CORE_MODULES);
+  const profile = await ConfigManager.createProfile('A', ['example.com']);
+
+  await CookieManager.addCookie(profile.id, 'example.com', hostCookie);
+  await CookieManager.addCookie(profile.id, 'example.com', domainCookie);
+  await assert.rejects(CookieManager.addCookie(profile.id, 'example.com', domainCookie), /Cookie已存在/);
+
+  const domainRef = { domain: 'example.com', cookieDomain: '.example.com', hostOnly: false, name: 'sid', path: '/' };
+  await CookieManager.updateCookie(profile.id, domainRef, { value: 'changed' });
+  assert.deepStrictEqual(await listCookies(CookieManager, profile.id), ['.example.com=changed', 'example.com=host']);
+
+  // 把整个域的Cookie改为仅限主机后与现有Cookie重复
+  await assert.rejects(CookieManager.updateCookie(profile.id, domainRef, { domain: 'example.com' }), /Cookie已存在/);
+
+  await CookieManager.deleteCookie(profile.id, { ...domainRef, cookieDomain: 'example.com', hostOnly: true });
+  assert.deepStrictEqual(await listCookies(CookieManager, profile.id), ['.example.com=changed']);
+});
+
+test('getCookieKey与isSameCookie一致，flattenCookies展开所有分组', () => {
+  const { CookieManager } = loadModules(CORE_MODULES);
+
+  assert.notStrictEqual(CookieManager.getCookieKey(hostCookie), CookieManager.getCookieKey(domainCookie));
+  assert.strictEqual(
+    CookieManager.getCookieKey({ name: 'sid', domain: '.example.com' }),
+    CookieManager.getCookieKey(domainCookie)
+  );
+
+  const flat = CookieManager.flattenCookies({ 'example.com': [hostCookie, domainCookie], 'a.com': [], broken: null });
+  assert.strictEqual(flat.length, 2);
+});
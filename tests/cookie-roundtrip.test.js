@@ -0,0 +1,140 @@
+/**
+ * Cookie作用域往返测试
+ * 浏览器中的Cookie被记录到配置后再写回浏览器，域名、hostOnly、sameSite、secure和分区键都必须保持不变；
+ * 切换时清除的Cookie必须真正从浏览器中删除
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CORE_MODULES, loadModules } = require('./helpers/sw-env.js');
+
+const EXPIRES = Math.floor(Date.now() / 1000) + 3600;
+
+// 覆盖仅限主机、带前导点的域Cookie、__Host-/__Secure-前缀、sameSite未指定和分区Cookie
+const BROWSER_COOKIES = [
+  { url: 'https://example.com/', name: 'host', value: '1', secure: true, sameSite: 'lax' },
+  { url: 'https://example.com/', domain: 'example.com', name: 'dom', value: '2' },
+  { url: 'https://example.com/', domain: '.example.com', name: 'dotted', value: '3', sameSite: 'strict' },
+  { url: 'https://example.com/', name: 'sid', value: 'host-only' },
+  { url: 'https://example.com/', domain: 'example.com', name: 'sid', value: 'domain' },
+  { url: 'https://example.com/', name: '__Host-x', value: '4', secure: true, path: '/' },
+  {
+    url: 'https://example.com/',
+    domain: 'example.com',
+    name: '__Secure-y',
+    value: '5',
+    secure: true,
+    sameSite: 'no_restriction',
+    expirationDate: EXPIRES
+  },
+  {
+    url: 'https://widget.example.com/',
+    name: 'chip',
+    value: '6',
+    secure: true,
+    sameSite: 'no_restriction',
+    partitionKey: { topLevelSite: 'https://news.test' }
+  },
+  { url: 'https://example.com/app', name: 'scoped', value: '7', path: '/app', httpOnly: true }
+];
+
+/**
+ * 生成比较用的Cookie属性
+ */
+function attributes(cookie) {
+  return JSON.stringify([
+    cookie.name,
+    cookie.value,
+    cookie.domain,
+    cookie.hostOnly,
+    cookie.path,
+    cookie.secure,
+    cookie.httpOnly,
+    cookie.sameSite,
+    cookie.session,
+    (cookie.partitionKey && cookie.partitionKey.topLevelSite) || ''
+  ]);
+}
+
+async function setup() {
+  const context = loadModules(CORE_MODULES);
+  const { chrome, ConfigManager } = context;
+  const profile = await ConfigManager.createProfile('A', ['example.com']);
+  await ConfigManager.switchProfile(profile.id);
+  for (const details of BROWSER_COOKIES) {
+    assert.ok(await chrome.cookies.set(details), `无法设置测试Cookie ${details.name}`);
+  }
+  const before = (await chrome.cookies.getAll({})).map(attributes).sort();
+  assert.strictEqual(before.length, BROWSER_COOKIES.length);
+  return { ...context, profile, before };
+}
+
+/**
+ * 清空浏览器后写回配置保存的Cookie，返回写回后的Cookie属性
+ */
+async function restore({ chrome, CookieManager, profile }) {
+  chrome.cookies.jar.length = 0;
+  const report = CookieManager.createSwitchReport();
+  await CookieManager.setBrowserCookies(await CookieManager.getProfileCookies(profile.id), '0', { report });
+  assert.strictEqual(JSON.stringify(report.failures), '[]');
+  return (await chrome.cookies.getAll({})).map(attributes).sort();
+}
+
+test('保存当前Cookie后写回浏览器，作用域和属性不变', async () => {
+  const context = await setup();
+
+  await context.CookieManager.saveCurrentProfileCookies('0');
+
+  assert.deepStrictEqual(await restore(context), context.before);
+});
+
+test('记录Cookie变化后写回浏览器，作用域和属性不变', async () => {
+  const context = await setup();
+  const { chrome, CookieManager } = context;
+
+  const changes = (await chrome.cookies.getAll({})).map(cookie => ({ cookie, removed: false }));
+  await CookieManager.applyCookieChangesToActiveProfile(changes);
+
+  assert.deepStrictEqual(await restore(context), context.before);
+});
+
+test('保存的Cookie保留仅限主机和分区信息', async () => {
+  const context = await setup();
+  const { CookieManager, profile } = context;
+
+  await CookieManager.saveCurrentProfileCookies('0');
+  const saved = CookieManager.flattenCookies(await CookieManager.getProfileCookies(profile.id));
+  const find = (name, hostOnly) => saved.find(c => c.name === name && (hostOnly === undefined || c.hostOnly === hostOnly));
+
+  assert.strictEqual(find('sid', true).domain, 'example.com');
+  assert.strictEqual(find('sid', false).domain, '.example.com');
+  assert.strictEqual(find('__Host-x').hostOnly, true);
+  assert.strictEqual(find('dom').sameSite, 'unspecified');
+  assert.strictEqual(find('chip').partitionKey.topLevelSite, 'https://news.test');
+});
+
+test('清除Cookie时删除所有作用域的Cookie', async () => {
+  const { chrome, CookieManager } = await setup();
+
+  const report = CookieManager.createSwitchReport();
+  await CookieManager.removeBrowserCookies(await chrome.cookies.getAll({}), '0', report);
+
+  assert.strictEqual(chrome.cookies.jar.length, 0);
+  assert.strictEqual(JSON.stringify(report.failures), '[]');
+  assert.strictEqual(report.domains['example.com'].cleared, BROWSER_COOKIES.length - 1);
+});
+
+test('浏览器未删除Cookie时在切换报告中记录失败', async () => {
+  const { chrome, CookieManager } = await setup();
+  const cookies = await chrome.cookies.getAll({});
+  chrome.cookies.remove = async () => null;
+
+  const report = CookieManager.createSwitchReport();
+  await CookieManager.removeBrowserCookies(cookies, '0', report);
+
+  assert.strictEqual(report.domains['example.com'].cleared, 0);
+  assert.strictEqual(report.failures.length, cookies.length);
+  assert.ok(report.failures.every(f => f.operation === 'clear' && f.reason === '浏览器未能删除该Cookie'));
+});
@@ -0,0 +1,36 @@
+/**
+ * 删除配置测试
+ * 删除配置时一起删除该配置保存的Cookie、快照和删除记录
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CORE_MODULES, loadModules } = require('./helpers/sw-env.js');
+
+test('删除配置时删除其数据，保留其他配置的数据', async () => {
+  const { chrome, ConfigManager, CookieManager, StorageUtils } = loadModules(CORE_MODULES);
+  const removed = await ConfigManager.createProfile('A');
+  const kept = await ConfigManager.createProfile('B');
+  await ConfigManager.switchProfile(removed.id);
+
+  for (const profile of [removed, kept]) {
+    await CookieManager.addCookie(profile.id, 'example.com', { name: 'sid', value: '1', domain: 'example.com' });
+    await StorageUtils.setStorage({ [CookieManager.getSnapshotStorageKey(profile.id)]: [] });
+    await StorageUtils.withStorageLock(() =>
+      CookieManager.appendRemovalHistory(profile.id, [{ domain: 'example.com', name: 'old', path: '/' }]));
+  }
+
+  await ConfigManager.deleteProfile(removed.id, CookieManager.getProfileStorageKeys(removed.id));
+
+  const keys = Object.keys(chrome.storage.local.data);
+  for (const key of CookieManager.getProfileStorageKeys(removed.id)) {
+    assert.ok(!keys.includes(key), `${key}未被删除`);
+  }
+  for (const key of CookieManager.getProfileStorageKeys(kept.id)) {
+    assert.ok(keys.includes(key), `${key}被误删`);
+  }
+  assert.deepStrictEqual((await ConfigManager.getProfiles()).map(p => p.name), ['B']);
+  assert.strictEqual(await ConfigManager.getActiveProfileId(), null);
+});
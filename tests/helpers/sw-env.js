@@ -0,0 +1,220 @@
+/**
+ * 测试环境 - 在Node的vm上下文中加载Service Worker模块
+ * 提供chrome.storage和chrome.cookies的内存实现，只覆盖被测模块用到的接口
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * 复制存储的值，模拟chrome.storage的序列化行为
+ * @param {*} value - 值
+ * @returns {*} 复制后的值
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 创建内存中的chrome.storage区域（同时支持回调和Promise两种调用方式）
+ * @returns {object} 存储区域
+ */
+function createStorageArea() {
+  const data = {};
+
+  function respond(result, callback) {
+    if (callback) {
+      setTimeout(() => callback(result), 0);
+      return undefined;
+    }
+    return Promise.resolve(result);
+  }
+
+  return {
+    data,
+    get(keys, callback) {
+      let names;
+      if (keys === null || keys === undefined) {
+        names = Object.keys(data);
+      } else if (typeof keys === 'object' && !Array.isArray(keys)) {
+        names = Object.keys(keys);
+      } else {
+        names = [].concat(keys);
+      }
+      const result = {};
+      for (const name of names) {
+        if (name in data) {
+          result[name] = clone(data[name]);
+        }
+      }
+      return respond(result, callback);
+    },
+    set(items, callback) {
+      for (const [key, value] of Object.entries(items)) {
+        data[key] = clone(value);
+      }
+      return respond(undefined, callback);
+    },
+    remove(keys, callback) {
+      for (const key of [].concat(keys)) {
+        delete data[key];
+      }
+      return respond(undefined, callback);
+    },
+    clear(callback) {
+      for (const key of Object.keys(data)) {
+        delete data[key];
+      }
+      return respond(undefined, callback);
+    }
+  };
+}
+
+/**
+ * 判断浏览器是否会拒绝写入该Cookie
+ * @param {object} details - chrome.cookies.set的参数
+ * @param {URL} url - Cookie的网址
+ * @returns {boolean} 是否拒绝
+ */
+function rejectsCookie(details, url) {
+  const name = details.name || '';
+  if (details.secure && url.protocol !== 'https:') {
+    return true;
+  }
+  if (details.domain) {
+    const domain = details.domain.replace(/^\./, '');
+    if (url.hostname !== domain && !url.hostname.endsWith('.' + domain)) {
+      return true;
+    }
+  }
+  if (name.startsWith('__Secure-') && !details.secure) {
+    return true;
+  }
+  if (name.startsWith('__Host-') && (!details.secure || (details.path || '/') !== '/' || details.domain)) {
+    return true;
+  }
+  return (details.sameSite === 'no_restriction' || details.partitionKey) && !details.secure;
+}
+
+/**
+ * 创建内存中的chrome.cookies，按浏览器的规则以域名、名称、路径、存储和分区区分Cookie
+ * @returns {object} chrome.cookies
+ */
+function createCookies() {
+  const jar = [];
+  const partitionOf = cookie => (cookie.partitionKey && cookie.partitionKey.topLevelSite) || '';
+  const isSame = (a, b) => a.name === b.name && a.domain === b.domain && a.path === b.path &&
+    a.storeId === b.storeId && partitionOf(a) === partitionOf(b);
+
+  return {
+    jar,
+    onChanged: { addListener() {} },
+    async getAll(filter = {}) {
+      return jar
+        .filter(c => c.storeId === (filter.storeId || '0'))
+        .filter(c => !filter.domain || c.domain.replace(/^\./, '').endsWith(filter.domain))
+        .map(clone);
+    },
+    async set(details) {
+      const url = new URL(details.url);
+      // 与浏览器一样拒绝不满足安全要求的Cookie，返回null
+      if (rejectsCookie(details, url)) {
+        return null;
+      }
+      const cookie = {
+        name: details.name,
+        value: details.value,
+        domain: details.domain ? '.' + details.domain.replace(/^\./, '') : url.hostname,
+        hostOnly: !details.domain,
+        path: details.path || '/',
+        secure: !!details.secure,
+        httpOnly: !!details.httpOnly,
+        sameSite: details.sameSite || 'unspecified',
+        session: !details.expirationDate,
+        storeId: details.storeId || '0'
+      };
+      if (details.expirationDate) {
+        cookie.expirationDate = details.expirationDate;
+      }
+      if (details.partitionKey) {
+        cookie.partitionKey = clone(details.partitionKey);
+      }
+      const index = jar.findIndex(c => isSame(c, cookie));
+      if (index >= 0) {
+        jar[index] = cookie;
+      } else {
+        jar.push(cookie);
+      }
+      return clone(cookie);
+    },
+    async remove(details) {
+      const url = new URL(details.url);
+      const index = jar.findIndex(c => c.name === details.name &&
+        c.domain.replace(/^\./, '') === url.hostname &&
+        c.storeId === (details.storeId || '0') &&
+        partitionOf(c) === partitionOf(details));
+      // 与浏览器一样在没有删除任何Cookie时返回null
+      if (index < 0) {
+        return null;
+      }
+      const [removed] = jar.splice(index, 1);
+      return { name: removed.name, url: details.url, storeId: removed.storeId };
+    },
+    async getAllCookieStores() {
+      return [{ id: '0', tabIds: [] }];
+    }
+  };
+}
+
+/**
+ * 在新的vm上下文中按顺序加载Service Worker模块
+ * @param {string[]} files - 相对仓库根目录的文件路径，顺序与importScripts一致
+ * @returns {object} 上下文（模块导出的全局对象和chrome都挂在上面）
+ */
+function loadModules(files) {
+  const listener = { addListener() {} };
+  const chrome = {
+    runtime: { lastError: null, onMessage: listener, onInstalled: listener, onStartup: listener },
+    storage: { local: createStorageArea(), session: createStorageArea(), onChanged: listener },
+    cookies: createCookies()
+  };
+  const context = {
+    chrome,
+    console,
+    crypto: globalThis.crypto,
+    btoa,
+    atob,
+    TextEncoder,
+    TextDecoder,
+    setTimeout,
+    clearTimeout,
+    URL,
+    // 不提供navigator.locks，存储锁退化为上下文内的队列
+    navigator: {},
+    importScripts() {}
+  };
+  context.self = context;
+  vm.createContext(context);
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+  return context;
+}
+
+// Cookie相关测试需要的基础模块
+const CORE_MODULES = [
+  'utils/storage-sw.js',
+  'utils/config-manager-sw.js',
+  'utils/crypto-sw.js',
+  'utils/cookie-manager-sw.js'
+];
+
+module.exports = {
+  CORE_MODULES,
+  loadModules
+};
@@ -0,0 +1,68 @@
+/**
+ * 数据迁移测试
+ * 迁移前备份失败时不能修改数据，并记录失败状态以便重试
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CORE_MODULES, loadModules } = require('./helpers/sw-env.js');
+
+const MODULES = [...CORE_MODULES, 'utils/migrations-sw.js'];
+
+/**
+ * 加载模块并写入旧版本（版本0）的数据
+ */
+function setup() {
+  const context = loadModules(MODULES);
+  Object.assign(context.chrome.storage.local.data, {
+    profiles: [{ id: 'p1', name: 'A', domains: ['example.com'] }],
+    cookieData: { p1: { 'example.com': [{ name: 'sid', value: '1', domain: 'example.com', path: '/' }] } }
+  });
+  return context;
+}
+
+test('迁移成功后记录版本号并删除备份', async () => {
+  const { chrome, Migrations } = setup();
+
+  const status = await Migrations.ensureMigrated();
+
+  assert.strictEqual(status.success, true);
+  assert.strictEqual(await Migrations.getSchemaVersion(), Migrations.CURRENT_VERSION);
+  assert.strictEqual(status.hasBackup, false);
+  assert.ok(!('cookieData' in chrome.storage.local.data));
+});
+
+test('备份失败时不执行迁移并记录失败状态，重试后完成迁移', async () => {
+  const { chrome, Migrations } = setup();
+  const before = JSON.stringify(chrome.storage.local.data);
+
+  const local = chrome.storage.local;
+  const originalSet = local.set;
+  local.set = (items, callback) => {
+    if ('migrationBackup' in items) {
+      throw new Error('存储空间不足');
+    }
+    return originalSet(items, callback);
+  };
+  let status;
+  try {
+    status = await Migrations.ensureMigrated();
+  } finally {
+    local.set = originalSet;
+  }
+
+  assert.strictEqual(status.success, false);
+  assert.strictEqual(status.failedVersion, 1);
+  assert.strictEqual(status.description, '迁移前备份数据');
+  assert.strictEqual(status.error, '存储空间不足');
+  // 除失败状态外数据保持原样
+  const { migrationStatus, ...rest } = chrome.storage.local.data;
+  assert.ok(migrationStatus);
+  assert.strictEqual(JSON.stringify(rest), before);
+
+  const retried = await Migrations.ensureMigrated();
+  assert.strictEqual(retried.success, true);
+  assert.strictEqual(await Migrations.getSchemaVersion(), Migrations.CURRENT_VERSION);
+});
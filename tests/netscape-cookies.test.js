@@ -0,0 +1,59 @@
+/**
+ * cookies.txt导入测试
+ * 导入到新配置失败时不能留下没有Cookie的空配置
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CORE_MODULES, loadModules } = require('./helpers/sw-env.js');
+
+const MODULES = [...CORE_MODULES, 'utils/netscape-cookies-sw.js'];
+
+const TEXT = [
+  '# Netscape HTTP Cookie File',
+  'example.com\tFALSE\t/\tTRUE\t0\tsid\t1',
+  '.example.com\tTRUE\t/\tFALSE\t0\tdom\t2'
+].join('\n');
+
+test('导入到新配置时创建配置并保存Cookie', async () => {
+  const { ConfigManager, CookieManager, NetscapeCookies } = loadModules(MODULES);
+
+  const result = await NetscapeCookies.importToProfile(TEXT, { newProfileName: '导入' });
+
+  assert.strictEqual(result.imported, 2);
+  const profiles = await ConfigManager.getProfiles();
+  assert.deepStrictEqual(profiles.map(p => p.name), ['导入']);
+  const cookies = await CookieManager.getProfileCookies(result.profileId);
+  assert.deepStrictEqual(cookies['example.com'].map(c => c.name).sort(), ['dom', 'sid']);
+});
+
+test('加密数据未解锁时拒绝导入，不创建配置', async () => {
+  const { chrome, ConfigManager, NetscapeCookies } = loadModules(MODULES);
+  chrome.storage.local.data.encryption = { enabled: true };
+
+  await assert.rejects(NetscapeCookies.importToProfile(TEXT, { newProfileName: '导入' }), /请先解锁/);
+
+  assert.strictEqual((await ConfigManager.getProfiles()).length, 0);
+});
+
+test('写入Cookie失败时删除新建的配置', async () => {
+  const { chrome, ConfigManager, NetscapeCookies } = loadModules(MODULES);
+
+  const local = chrome.storage.local;
+  const originalSet = local.set;
+  local.set = (items, callback) => {
+    if (Object.keys(items).some(key => key.startsWith('cookies:'))) {
+      throw new Error('写入失败');
+    }
+    return originalSet(items, callback);
+  };
+  try {
+    await assert.rejects(NetscapeCookies.importToProfile(TEXT, { newProfileName: '导入' }), /写入失败/);
+  } finally {
+    local.set = originalSet;
+  }
+
+  assert.strictEqual((await ConfigManager.getProfiles()).length, 0);
+});
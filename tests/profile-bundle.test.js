@@ -0,0 +1,80 @@
+/**
+ * 配置导入测试
+ * 导入失败时不能留下只写入了一部分的配置或Cookie
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CORE_MODULES, loadModules } = require('./helpers/sw-env.js');
+
+const MODULES = [...CORE_MODULES, 'utils/profile-bundle-sw.js'];
+
+const cookie = { name: 'sid', value: '1', domain: 'example.com', hostOnly: true, path: '/' };
+
+/**
+ * 生成包含一个配置的数据包
+ */
+function createBundle(ProfileBundle, id, name) {
+  return {
+    format: ProfileBundle.BUNDLE_FORMAT,
+    version: ProfileBundle.BUNDLE_VERSION,
+    profiles: [{
+      profile: { id, name, domains: ['example.com'] },
+      cookies: { 'example.com': [cookie] }
+    }]
+  };
+}
+
+test('导入新配置时同时写入配置和Cookie', async () => {
+  const { ConfigManager, CookieManager, ProfileBundle } = loadModules(MODULES);
+
+  const result = await ProfileBundle.importProfiles(createBundle(ProfileBundle, 'imported', '导入'));
+
+  assert.strictEqual(result.created, 1);
+  const profiles = await ConfigManager.getProfiles();
+  assert.deepStrictEqual(profiles.map(p => p.id), ['imported']);
+  const cookies = await CookieManager.getProfileCookies('imported');
+  assert.strictEqual(cookies['example.com'][0].value, '1');
+});
+
+test('加密数据未解锁时拒绝导入，不修改任何数据', async () => {
+  const { chrome, ConfigManager, ProfileBundle } = loadModules(MODULES);
+  const existing = await ConfigManager.createProfile('A', ['example.com']);
+  // 已启用加密但当前会话中没有密钥
+  chrome.storage.local.data.encryption = { enabled: true };
+  const before = JSON.stringify(chrome.storage.local.data);
+
+  await assert.rejects(
+    ProfileBundle.importProfiles(createBundle(ProfileBundle, 'imported', '导入')),
+    /请先解锁/
+  );
+  await assert.rejects(
+    ProfileBundle.importProfiles(createBundle(ProfileBundle, existing.id, 'A'), { 0: 'replace' }),
+    /请先解锁/
+  );
+
+  assert.strictEqual(JSON.stringify(chrome.storage.local.data), before);
+});
+
+test('写入Cookie失败时不保存新的配置列表', async () => {
+  const { chrome, ConfigManager, ProfileBundle } = loadModules(MODULES);
+  await ConfigManager.createProfile('A', ['example.com']);
+  const local = chrome.storage.local;
+  const originalSet = local.set;
+  local.set = (items, callback) => {
+    if (Object.keys(items).some(key => key.startsWith('cookies:'))) {
+      throw new Error('写入失败');
+    }
+    return originalSet(items, callback);
+  };
+  try {
+    await assert.rejects(ProfileBundle.importProfiles(createBundle(ProfileBundle, 'imported', '导入')), /写入失败/);
+  } finally {
+    local.set = originalSet;
+  }
+
+  const profiles = await ConfigManager.getProfiles();
+  assert.deepStrictEqual(profiles.map(p => p.name), ['A']);
+});
@@ -0,0 +1,44 @@
+/**
+ * 配置修改测试
+ * 弹窗发来的配置修改只能写入名称、域名列表和设置字段，并且与导入配置使用相同的校验
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CORE_MODULES, loadModules } = require('./helpers/sw-env.js');
+
+test('忽略不可修改的字段', async () => {
+  const { ConfigManager } = loadModules(CORE_MODULES);
+  const profile = await ConfigManager.createProfile('A', ['example.com']);
+
+  const updated = await ConfigManager.updateProfile(profile.id, ConfigManager.pickProfileUpdates({
+    id: 'hijacked',
+    createdAt: 0,
+    schemaVersion: 99,
+    name: '  B  ',
+    domains: ['example.com', 'example.org'],
+    notes: '备注'
+  }));
+
+  assert.strictEqual(updated.id, profile.id);
+  assert.strictEqual(updated.createdAt, profile.createdAt);
+  assert.strictEqual(updated.schemaVersion, profile.schemaVersion);
+  assert.strictEqual(updated.name, 'B');
+  assert.deepStrictEqual(Array.from(updated.domains), ['example.com', 'example.org']);
+  assert.strictEqual(updated.notes, '备注');
+});
+
+test('校验名称、域名列表和设置字段', () => {
+  const { ConfigManager } = loadModules(CORE_MODULES);
+
+  assert.throws(() => ConfigManager.pickProfileUpdates(null), /配置修改格式错误/);
+  assert.throws(() => ConfigManager.pickProfileUpdates({ name: '  ' }), /请输入配置名称/);
+  assert.throws(() => ConfigManager.pickProfileUpdates({ name: 1 }), /请输入配置名称/);
+  assert.throws(() => ConfigManager.pickProfileUpdates({ domains: 'example.com' }), /域名列表格式错误/);
+  assert.throws(() => ConfigManager.pickProfileUpdates({ domains: [1] }), /域名列表格式错误/);
+  assert.throws(() => ConfigManager.pickProfileUpdates({ switchMode: 'bogus' }), /未知的切换方式/);
+  assert.throws(() => ConfigManager.pickProfileUpdates({ skipSwitchPreview: 'yes' }), /切换预览设置格式错误/);
+  assert.strictEqual(JSON.stringify(ConfigManager.pickProfileUpdates({ tabAction: undefined })), '{}');
+});
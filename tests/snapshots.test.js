@@ -0,0 +1,44 @@
+/**
+ * 快照对比测试
+ * 对比时按完整的Cookie身份匹配，仅限主机的Cookie与整个域的同名Cookie分别比较
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CORE_MODULES, loadModules } = require('./helpers/sw-env.js');
+
+const MODULES = [...CORE_MODULES, 'utils/snapshots-sw.js'];
+
+const hostCookie = { name: 'sid', value: 'host', domain: 'example.com', hostOnly: true, path: '/' };
+const domainCookie = { name: 'sid', value: 'domain', domain: '.example.com', hostOnly: false, path: '/' };
+
+test('对比快照时区分仅限主机的Cookie和整个域的同名Cookie', async () => {
+  const { ConfigManager, CookieManager, Snapshots } = loadModules(MODULES);
+  const profile = await ConfigManager.createProfile('A', ['example.com']);
+  await CookieManager.addCookie(profile.id, 'example.com', hostCookie);
+  const snapshot = await Snapshots.createSnapshot(profile.id, { name: '之前' });
+
+  await CookieManager.addCookie(profile.id, 'example.com', domainCookie);
+  await CookieManager.updateCookie(profile.id, { ...hostCookie, cookieDomain: 'example.com' }, { value: 'host2' });
+
+  const diff = await Snapshots.diffSnapshots(profile.id, snapshot.id, Snapshots.CURRENT_SNAPSHOT_ID);
+  assert.deepStrictEqual(Array.from(diff.added, c => `${c.domain}=${c.value}`), ['.example.com=domain']);
+  assert.deepStrictEqual(Array.from(diff.changed, c => `${c.before.value}->${c.after.value}`), ['host->host2']);
+  assert.strictEqual(diff.removed.length, 0);
+});
+
+test('域名写法不同但身份相同的Cookie视为同一个Cookie', async () => {
+  const { ConfigManager, CookieManager, Snapshots } = loadModules(MODULES);
+  const profile = await ConfigManager.createProfile('A', ['example.com']);
+  // hostOnly与域名写法不一致时以hostOnly为准
+  await CookieManager.saveProfileCookies(profile.id, { 'example.com': [{ ...domainCookie, domain: 'example.com' }] });
+  const snapshot = await Snapshots.createSnapshot(profile.id, { name: '之前' });
+  await CookieManager.saveProfileCookies(profile.id, { 'example.com': [{ ...domainCookie, value: 'changed' }] });
+
+  const diff = await Snapshots.diffSnapshots(profile.id, snapshot.id, Snapshots.CURRENT_SNAPSHOT_ID);
+  assert.strictEqual(diff.added.length, 0);
+  assert.strictEqual(diff.removed.length, 0);
+  assert.deepStrictEqual(Array.from(diff.changed, c => `${c.before.value}->${c.after.value}`), ['domain->changed']);
+});
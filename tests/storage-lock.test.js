@@ -0,0 +1,86 @@
+/**
+ * 存储锁测试
+ * 在存储锁内执行的“读取-修改-写入”交错发起时不能互相覆盖
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CORE_MODULES, loadModules } = require('./helpers/sw-env.js');
+
+const CONCURRENCY = 50;
+
+/**
+ * 等待下一轮事件循环，让其他任务有机会在读取和写入之间执行
+ */
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * 读取计数、等待后写回加一的结果
+ */
+async function incrementCounter(StorageUtils) {
+  const data = await StorageUtils.getStorage('counter');
+  await tick();
+  await StorageUtils.setStorage({ counter: (data.counter || 0) + 1 });
+}
+
+test('不加锁时交错的读取-修改-写入会丢失更新', async () => {
+  const { StorageUtils } = loadModules(CORE_MODULES);
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, () => incrementCounter(StorageUtils)));
+
+  const data = await StorageUtils.getStorage('counter');
+  assert.ok(data.counter < CONCURRENCY, `预期丢失更新，实际计数为${data.counter}`);
+});
+
+test('withStorageLock串行执行交错的读取-修改-写入', async () => {
+  const { StorageUtils } = loadModules(CORE_MODULES);
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, () =>
+    StorageUtils.withStorageLock(() => incrementCounter(StorageUtils))));
+
+  const data = await StorageUtils.getStorage('counter');
+  assert.strictEqual(data.counter, CONCURRENCY);
+});
+
+test('任务失败后存储锁继续执行后面的任务', async () => {
+  const { StorageUtils } = loadModules(CORE_MODULES);
+
+  const failed = StorageUtils.withStorageLock(async () => {
+    await tick();
+    throw new Error('失败');
+  });
+  const next = StorageUtils.withStorageLock(() => incrementCounter(StorageUtils));
+
+  await assert.rejects(failed, /失败/);
+  await next;
+  const data = await StorageUtils.getStorage('counter');
+  assert.strictEqual(data.counter, 1);
+});
+
+test('同时记录Cookie和修改配置时不丢失任何写入', async () => {
+  const { ConfigManager, CookieManager } = loadModules(CORE_MODULES);
+  const profile = await ConfigManager.createProfile('A');
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, (_, i) => Promise.all([
+    CookieManager.updateProfileCookies(profile.id, async cookies => {
+      await tick();
+      cookies['example.com'] = [
+        ...(cookies['example.com'] || []),
+        { name: `burst${i}`, value: String(i), domain: 'example.com', path: '/' }
+      ];
+    }),
+    ConfigManager.updateProfiles(async profiles => {
+      await tick();
+      profiles[0].domains = [...profiles[0].domains, `site${i}.com`];
+    })
+  ])));
+
+  const cookies = await CookieManager.getProfileCookies(profile.id);
+  assert.strictEqual(cookies['example.com'].length, CONCURRENCY);
+  const [saved] = await ConfigManager.getProfiles();
+  assert.strictEqual(saved.domains.length, CONCURRENCY);
+});
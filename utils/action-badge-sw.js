@@ -0,0 +1,104 @@
+/**
+ * 插件图标模块 - Service Worker版本
+ * 在插件图标的标记和提示中显示激活的配置和记录状态，并短暂显示快捷键等操作的结果（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const ConfigManager = global.ConfigManager;
+  if (!ConfigManager) {
+    throw new Error('ConfigManager未加载，请先加载utils/config-manager-sw.js');
+  }
+
+  const TITLE = 'Cookie管理器';
+
+  // 插件已禁用（不记录Cookie）和普通窗口中没有激活配置时的标记
+  const DISABLED_BADGE = { text: 'OFF', color: '#757575' };
+  const INACTIVE_BADGE = { text: '无', color: '#9e9e9e' };
+
+  // 操作结果显示的时长，结束后恢复为激活配置的标记
+  const FEEDBACK_DURATION = 3000;
+  const FEEDBACK_COLORS = { success: '#4CAF50', warning: '#f57c00', error: '#f44336' };
+  let feedbackTimer = null;
+
+  // 状态连续变化时依次更新，避免较早的读取结果覆盖较新的
+  let updatePromise = Promise.resolve();
+
+  /**
+   * 根据插件启用状态和每个Cookie存储中激活的配置生成标记和提示
+   * 标记是全局的，显示普通窗口中激活的配置；提示中列出所有窗口类型激活的配置
+   * @returns {Promise<{text: string, color: string, title: string}>} 标记文字、颜色和提示
+   */
+  async function getBadgeState() {
+    const enabled = await ConfigManager.isPluginEnabled();
+    const profiles = await ConfigManager.getProfiles();
+    const activeProfiles = await ConfigManager.getActiveProfiles();
+
+    const lines = Object.entries(activeProfiles)
+      .map(([storeId, profileId]) => {
+        const profile = profiles.find(p => p.id === profileId);
+        const storeLabel = storeId === ConfigManager.DEFAULT_STORE_ID ? '普通窗口' : '隐身窗口';
+        return profile ? `${storeLabel}: ${profile.name}` : null;
+      })
+      .filter(Boolean);
+    const title = [
+      enabled ? TITLE : `${TITLE}（已禁用，不记录Cookie变化）`,
+      ...(lines.length > 0 ? lines : ['未激活配置'])
+    ].join('\n');
+
+    if (!enabled) {
+      return { ...DISABLED_BADGE, title };
+    }
+    const activeProfile = profiles.find(p => p.id === activeProfiles[ConfigManager.DEFAULT_STORE_ID]);
+    if (!activeProfile) {
+      return { ...INACTIVE_BADGE, title };
+    }
+    return {
+      text: ConfigManager.getBadgeLabel(activeProfile),
+      color: ConfigManager.getBadgeColor(activeProfile),
+      title
+    };
+  }
+
+  /**
+   * 按当前状态更新插件图标的标记和提示（正在显示操作结果时，在结果消失后更新）
+   * @returns {Promise<void>}
+   */
+  function updateActionBadge() {
+    updatePromise = updatePromise.then(async () => {
+      if (feedbackTimer) {
+        return;
+      }
+      const state = await getBadgeState();
+      await chrome.action.setBadgeText({ text: state.text });
+      await chrome.action.setBadgeBackgroundColor({ color: state.color });
+      await chrome.action.setTitle({ title: state.title });
+    }).catch(error => {
+      console.error('更新插件图标失败:', error);
+    });
+    return updatePromise;
+  }
+
+  /**
+   * 在插件图标上短暂显示快捷键或右键菜单操作的结果
+   * @param {string} text - 显示的文字
+   * @param {string} [type] - 结果类型（success、warning、error）
+   * @returns {Promise<void>}
+   */
+  async function showFeedback(text, type = 'success') {
+    clearTimeout(feedbackTimer);
+    feedbackTimer = setTimeout(() => {
+      feedbackTimer = null;
+      updateActionBadge();
+    }, FEEDBACK_DURATION);
+    await chrome.action.setBadgeText({ text });
+    await chrome.action.setBadgeBackgroundColor({ color: FEEDBACK_COLORS[type] });
+  }
+
+  // 导出到全局对象
+  global.ActionBadge = {
+    updateActionBadge,
+    showFeedback
+  };
+})(this);
@@ -0,0 +1,169 @@
+/**
+ * 自动切换模块 - Service Worker版本
+ * 根据配置的URL规则判断打开网页前应切换到的配置，并记录自动切换的结果（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const StorageUtils = global.StorageUtils;
+  if (!StorageUtils) {
+    throw new Error('StorageUtils未加载，请先加载utils/storage-sw.js');
+  }
+
+  const STORAGE_KEY_PAUSED = 'autoSwitchPaused';
+  const STORAGE_KEY_LOG = 'autoSwitchLog';
+  const MAX_LOG_ENTRIES = 50;
+
+  // 同一个Cookie存储两次自动切换的最短间隔，避免网站在不同规则的地址之间跳转时反复切换
+  const COOLDOWN = 10000;
+
+  // 自动切换的结果
+  const RESULT_SWITCHED = 'switched';
+  const RESULT_SKIPPED = 'skipped';
+  const RESULT_FAILED = 'failed';
+
+  // 每个Cookie存储最近一次自动切换的时间
+  const lastSwitchAt = {};
+
+  /**
+   * 将含 * 通配符的路径转换为匹配路径前缀的正则表达式
+   * @param {string} glob - 路径
+   * @returns {RegExp} 正则表达式
+   */
+  function pathToRegExp(glob) {
+    const escaped = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}`);
+  }
+
+  /**
+   * 判断网址是否匹配URL规则
+   * 主机名精确匹配，*.example.com 同时匹配 example.com 和所有子域名；规则带路径时网址的路径需以该路径开头（* 匹配任意字符）
+   * @param {string} url - 网址
+   * @param {string} rule - URL规则
+   * @returns {boolean} 是否匹配
+   */
+  function matchesUrlRule(url, rule) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return false;
+    }
+
+    const slash = rule.indexOf('/');
+    const host = slash === -1 ? rule : rule.substring(0, slash);
+    const path = slash === -1 ? '' : rule.substring(slash);
+
+    const hostname = parsed.hostname;
+    if (host.startsWith('*.')) {
+      const baseDomain = host.substring(2);
+      if (hostname !== baseDomain && !hostname.endsWith('.' + baseDomain)) {
+        return false;
+      }
+    } else if (hostname !== host) {
+      return false;
+    }
+
+    return !path || pathToRegExp(path).test(parsed.pathname);
+  }
+
+  /**
+   * 查找规则匹配网址的配置，多个规则匹配时使用最长（最具体）的规则
+   * @param {Array} profiles - 配置列表
+   * @param {string} url - 网址
+   * @returns {{profile: object, rule: string}|null} 匹配的配置和规则
+   */
+  function findProfileForUrl(profiles, url) {
+    let best = null;
+    for (const profile of profiles) {
+      for (const rule of profile.urlRules || []) {
+        if (matchesUrlRule(url, rule) && (!best || rule.length > best.rule.length)) {
+          best = { profile, rule };
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 检查Cookie存储是否仍在自动切换的冷却时间内，不在时开始新的冷却
+   * @param {string} storeId - Cookie存储ID
+   * @param {number} [now] - 当前时间（毫秒）
+   * @returns {boolean} 是否在冷却时间内
+   */
+  function enterCooldown(storeId, now = Date.now()) {
+    if (lastSwitchAt[storeId] && now - lastSwitchAt[storeId] < COOLDOWN) {
+      return true;
+    }
+    lastSwitchAt[storeId] = now;
+    return false;
+  }
+
+  /**
+   * 自动切换是否已暂停
+   * @returns {Promise<boolean>} 是否暂停
+   */
+  async function isPaused() {
+    const data = await StorageUtils.getStorage(STORAGE_KEY_PAUSED);
+    return data[STORAGE_KEY_PAUSED] === true;
+  }
+
+  /**
+   * 暂停或恢复自动切换
+   * @param {boolean} paused - 是否暂停
+   * @returns {Promise<void>}
+   */
+  async function setPaused(paused) {
+    await StorageUtils.setStorage({ [STORAGE_KEY_PAUSED]: paused });
+  }
+
+  /**
+   * 读取自动切换记录（最新的在前）
+   * @returns {Promise<Array>} 自动切换记录
+   */
+  async function getLog() {
+    const data = await StorageUtils.getStorage(STORAGE_KEY_LOG);
+    return data[STORAGE_KEY_LOG] || [];
+  }
+
+  /**
+   * 添加一条自动切换记录，只保留最近的记录
+   * @param {object} entry - {url, rule, profileId, profileName, fromProfileId, storeId, result, reason}
+   * @returns {Promise<void>}
+   */
+  async function appendLog(entry) {
+    await StorageUtils.withStorageLock(async () => {
+      const log = await getLog();
+      log.unshift({ ...entry, at: Date.now() });
+      await StorageUtils.setStorage({ [STORAGE_KEY_LOG]: log.slice(0, MAX_LOG_ENTRIES) });
+    });
+  }
+
+  /**
+   * 清空自动切换记录
+   * @returns {Promise<void>}
+   */
+  async function clearLog() {
+    await StorageUtils.removeStorage(STORAGE_KEY_LOG);
+  }
+
+  // 导出到全局对象
+  global.AutoSwitch = {
+    RESULT_SWITCHED,
+    RESULT_SKIPPED,
+    RESULT_FAILED,
+    COOLDOWN,
+    matchesUrlRule,
+    findProfileForUrl,
+    enterCooldown,
+    isPaused,
+    setPaused,
+    getLog,
+    appendLog,
+    clearLog
+  };
+})(this);
@@ -0,0 +1,393 @@
+/**
+ * Cookie批量操作模块 - Service Worker版本
+ * 对配置中选中的多个Cookie执行删除、复制、移动、修改属性、导出和写入浏览器，并支持撤销最近一次操作（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const StorageUtils = global.StorageUtils;
+  const ConfigManager = global.ConfigManager;
+  const CookieManager = global.CookieManager;
+  const NetscapeCookies = global.NetscapeCookies;
+  if (!StorageUtils || !ConfigManager || !CookieManager || !NetscapeCookies) {
+    throw new Error('依赖模块未加载，请先加载utils/storage-sw.js、utils/config-manager-sw.js、utils/cookie-manager-sw.js和utils/netscape-cookies-sw.js');
+  }
+
+  // 只保留最近一次批量操作的撤销记录，新的操作会覆盖旧的记录
+  const STORAGE_KEY_UNDO = CookieManager.STORAGE_KEY_BULK_UNDO;
+
+  // 批量操作类型
+  const ACTION_DELETE = 'delete';
+  const ACTION_COPY = 'copy';
+  const ACTION_MOVE = 'move';
+  const ACTION_SET_ATTRIBUTES = 'setAttributes';
+  const ACTION_APPLY_TO_BROWSER = 'applyToBrowser';
+
+  // 撤销的对象：配置保存的Cookie或浏览器中的Cookie
+  const TARGET_PROFILES = 'profiles';
+  const TARGET_BROWSER = 'browser';
+
+  const SAME_SITE_VALUES = ['no_restriction', 'lax', 'strict', 'unspecified'];
+
+  /**
+   * 判断Cookie是否被选中
+   * @param {string} domain - Cookie所在的域名分组
+   * @param {object} cookie - Cookie
+   * @param {Array} selection - 选中的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}
+   * @returns {boolean} 是否被选中
+   */
+  function isSelected(domain, cookie, selection) {
+    return selection.some(item =>
+      item.domain === domain && CookieManager.isSameCookie(cookie, CookieManager.toCookieTarget(item))
+    );
+  }
+
+  /**
+   * 将配置的Cookie数据分为选中的和未选中的两部分
+   * @param {object} profileCookies - 按域名组织的Cookie数据
+   * @param {Array} selection - 选中的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}
+   * @returns {{selected: object, remaining: object, count: number}} 选中和未选中的Cookie数据及选中的数量
+   */
+  function splitSelection(profileCookies, selection) {
+    if (!Array.isArray(selection) || selection.length === 0) {
+      throw new Error('请先选择Cookie');
+    }
+
+    const selected = {};
+    const remaining = {};
+    let count = 0;
+    for (const [domain, cookies] of Object.entries(profileCookies)) {
+      if (!Array.isArray(cookies)) continue;
+
+      for (const cookie of cookies) {
+        const target = isSelected(domain, cookie, selection) ? selected : remaining;
+        if (!target[domain]) {
+          target[domain] = [];
+        }
+        target[domain].push(cookie);
+        if (target === selected) {
+          count++;
+        }
+      }
+    }
+
+    if (count === 0) {
+      throw new Error('选中的Cookie不存在，请刷新后重试');
+    }
+    return { selected, remaining, count };
+  }
+
+  /**
+   * 生成撤销记录的摘要（不含Cookie数据）
+   * @param {object} undo - 撤销记录
+   * @returns {object} 摘要 {action, target, count, profileIds, createdAt}
+   */
+  function toSummary(undo) {
+    return {
+      action: undo.action,
+      target: undo.target,
+      count: undo.count,
+      profileIds: undo.profileIds,
+      createdAt: undo.createdAt
+    };
+  }
+
+  /**
+   * 计算配置Cookie数据的摘要，用于判断批量操作后数据是否又被修改
+   * @param {object} profileCookies - 按域名组织的Cookie数据
+   * @returns {Promise<string>} SHA-256摘要（十六进制）
+   */
+  async function fingerprint(profileCookies) {
+    const json = JSON.stringify(CookieManager.normalizeProfileCookies(profileCookies));
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(json));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 在一次写入中保存批量修改后的配置Cookie和修改前的数据（用于撤销），调用方需持有存储锁
+   * 修改后没有Cookie的配置写入空分片，下次保存该配置的Cookie时由saveProfileCookies删除
+   * @param {object} operation - 操作信息 {action, count}
+   * @param {object} before - 以配置ID为键的修改前Cookie数据
+   * @param {object} after - 以配置ID为键的修改后Cookie数据
+   * @returns {Promise<object>} 撤销记录的摘要
+   */
+  async function commitLocked(operation, before, after) {
+    const undo = {
+      ...operation,
+      target: TARGET_PROFILES,
+      profileIds: Object.keys(before),
+      createdAt: Date.now(),
+      profiles: before,
+      // 修改后数据的摘要，撤销时据此判断配置的Cookie是否又被修改
+      fingerprints: {}
+    };
+    // 修改和撤销记录一起写入，写入失败时两者都保持原样，不会出现与当前数据不符的撤销记录
+    const values = { [STORAGE_KEY_UNDO]: undo };
+    for (const [profileId, cookies] of Object.entries(after)) {
+      values[CookieManager.getCookieStorageKey(profileId)] = cookies;
+      undo.fingerprints[profileId] = await fingerprint(cookies);
+    }
+    await CookieManager.writeProtectedValues(values);
+    return toSummary(undo);
+  }
+
+  /**
+   * 从配置中删除选中的Cookie
+   * @param {string} profileId - 配置ID
+   * @param {Array} selection - 选中的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}
+   * @returns {Promise<object>} 撤销记录的摘要
+   */
+  async function deleteCookies(profileId, selection) {
+    return StorageUtils.withStorageLock(async () => {
+      const before = await CookieManager.getProfileCookies(profileId);
+      const { remaining, count } = splitSelection(before, selection);
+      return commitLocked({ action: ACTION_DELETE, count }, { [profileId]: before }, { [profileId]: remaining });
+    });
+  }
+
+  /**
+   * 将选中的Cookie复制或移动到另一个配置，目标配置中相同的Cookie会被覆盖
+   * @param {string} profileId - 配置ID
+   * @param {Array} selection - 选中的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}
+   * @param {string} targetProfileId - 目标配置ID
+   * @param {boolean} move - 是否从原配置中删除
+   * @returns {Promise<object>} 撤销记录的摘要
+   */
+  async function copyCookies(profileId, selection, targetProfileId, move) {
+    if (!targetProfileId || targetProfileId === profileId) {
+      throw new Error('请选择其他配置');
+    }
+    const profiles = await ConfigManager.getProfiles();
+    if (!profiles.some(p => p.id === targetProfileId)) {
+      throw new Error('目标配置不存在');
+    }
+
+    return StorageUtils.withStorageLock(async () => {
+      const sourceCookies = await CookieManager.getProfileCookies(profileId);
+      const targetCookies = await CookieManager.getProfileCookies(targetProfileId);
+      const { selected, remaining, count } = splitSelection(sourceCookies, selection);
+
+      const before = { [targetProfileId]: targetCookies };
+      const after = { [targetProfileId]: CookieManager.mergeCookieData(targetCookies, selected) };
+      if (move) {
+        before[profileId] = sourceCookies;
+        after[profileId] = remaining;
+      }
+      return commitLocked({ action: move ? ACTION_MOVE : ACTION_COPY, count }, before, after);
+    });
+  }
+
+  /**
+   * 校验要批量设置的Cookie属性
+   * @param {object} attributes - {path, secure, httpOnly, sameSite, expirationDate}，expirationDate为null时改为会话Cookie
+   */
+  function validateAttributes(attributes) {
+    const keys = Object.keys(attributes || {}).filter(key => attributes[key] !== undefined);
+    if (keys.length === 0) {
+      throw new Error('请选择要修改的属性');
+    }
+    const unknown = keys.find(key => !['path', 'secure', 'httpOnly', 'sameSite', 'expirationDate'].includes(key));
+    if (unknown) {
+      throw new Error(`不支持修改的属性: ${unknown}`);
+    }
+    if (attributes.path !== undefined && (typeof attributes.path !== 'string' || !attributes.path.startsWith('/'))) {
+      throw new Error('路径必须以/开头');
+    }
+    if (attributes.secure !== undefined && typeof attributes.secure !== 'boolean') {
+      throw new Error('Secure应为是或否');
+    }
+    if (attributes.httpOnly !== undefined && typeof attributes.httpOnly !== 'boolean') {
+      throw new Error('HttpOnly应为是或否');
+    }
+    if (attributes.sameSite !== undefined && !SAME_SITE_VALUES.includes(attributes.sameSite)) {
+      throw new Error(`未知的SameSite: ${attributes.sameSite}`);
+    }
+    if (attributes.expirationDate !== undefined && attributes.expirationDate !== null &&
+        (!Number.isFinite(attributes.expirationDate) || attributes.expirationDate <= 0)) {
+      throw new Error('无效的过期时间');
+    }
+  }
+
+  /**
+   * 批量设置选中Cookie的属性（修改路径后与同一分组中的其他Cookie重复时不做修改）
+   * @param {string} profileId - 配置ID
+   * @param {Array} selection - 选中的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}
+   * @param {object} attributes - {path, secure, httpOnly, sameSite, expirationDate}，expirationDate为null时改为会话Cookie
+   * @returns {Promise<object>} 撤销记录的摘要
+   */
+  async function setAttributes(profileId, selection, attributes) {
+    validateAttributes(attributes);
+
+    return StorageUtils.withStorageLock(async () => {
+      const before = await CookieManager.getProfileCookies(profileId);
+      const { count } = splitSelection(before, selection);
+      const now = Date.now();
+
+      const after = {};
+      for (const [domain, cookies] of Object.entries(before)) {
+        if (!Array.isArray(cookies)) continue;
+
+        after[domain] = cookies.map(cookie => {
+          if (!isSelected(domain, cookie, selection)) {
+            return cookie;
+          }
+          const updated = { ...cookie };
+          for (const [key, value] of Object.entries(attributes)) {
+            if (value !== undefined) {
+              updated[key] = value;
+            }
+          }
+          // 改为会话Cookie时从现在开始计算是否可能已失效
+          if (attributes.expirationDate === null) {
+            delete updated.expirationDate;
+            updated.capturedAt = now;
+          }
+          return updated;
+        });
+
+        const conflict = after[domain].find((cookie, index) =>
+          after[domain].some((other, i) => i < index && CookieManager.isSameCookie(cookie, other)));
+        if (conflict) {
+          throw new Error(`Cookie已存在: ${conflict.name}（${domain}${conflict.path}）`);
+        }
+      }
+
+      return commitLocked(
+        { action: ACTION_SET_ATTRIBUTES, count },
+        { [profileId]: before },
+        { [profileId]: CookieManager.normalizeProfileCookies(after) }
+      );
+    });
+  }
+
+  /**
+   * 将选中的Cookie导出为cookies.txt
+   * @param {string} profileId - 配置ID
+   * @param {Array} selection - 选中的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}
+   * @returns {Promise<string>} cookies.txt内容
+   */
+  async function exportSelection(profileId, selection) {
+    const profileCookies = await CookieManager.getProfileCookies(profileId);
+    return NetscapeCookies.toNetscape(splitSelection(profileCookies, selection).selected);
+  }
+
+  /**
+   * 将选中的Cookie写入浏览器，写入前记录会被覆盖的浏览器Cookie用于撤销（调用方需暂停记录Cookie变化）
+   * @param {string} profileId - 配置ID
+   * @param {Array} selection - 选中的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}
+   * @param {string} storeId - 写入的Cookie存储ID
+   * @returns {Promise<{undo: object, report: object}>} 撤销记录的摘要和写入结果
+   */
+  async function applyToBrowser(profileId, selection, storeId) {
+    const profileCookies = await CookieManager.getProfileCookies(profileId);
+    const { selected, count } = splitSelection(profileCookies, selection);
+    const keys = new Set(CookieManager.flattenCookies(selected).map(CookieManager.getCookieKey));
+    const liveCookies = await CookieManager.getAllBrowserCookies({ storeId });
+    const overwritten = liveCookies.filter(cookie => keys.has(CookieManager.getCookieKey(cookie)));
+
+    const undo = {
+      action: ACTION_APPLY_TO_BROWSER,
+      target: TARGET_BROWSER,
+      count,
+      profileIds: [profileId],
+      createdAt: Date.now(),
+      storeId,
+      applied: selected,
+      overwritten: CookieManager.groupCookiesByDomain(overwritten)
+    };
+    await StorageUtils.withStorageLock(() => CookieManager.writeProtectedValue(STORAGE_KEY_UNDO, undo));
+
+    const report = CookieManager.createSwitchReport();
+    await CookieManager.setBrowserCookies(selected, storeId, { report });
+    return { undo: toSummary(undo), report };
+  }
+
+  /**
+   * 读取最近一次批量操作的撤销记录
+   * @returns {Promise<object|null>} 撤销记录，没有时返回null
+   */
+  async function getUndo() {
+    return (await CookieManager.readProtectedValue(STORAGE_KEY_UNDO)) || null;
+  }
+
+  /**
+   * 获取最近一次可撤销的批量操作
+   * @returns {Promise<object|null>} 撤销记录的摘要，没有时返回null
+   */
+  async function getUndoSummary() {
+    const undo = await getUndo();
+    return undo ? toSummary(undo) : null;
+  }
+
+  /**
+   * 撤销最近一次批量操作：恢复受影响配置操作前保存的Cookie（已删除的配置跳过），
+   * 或删除写入浏览器的Cookie并写回被覆盖的Cookie（撤销写入浏览器时调用方需暂停记录Cookie变化）
+   * 配置的Cookie在操作后又被修改（例如记录了浏览器中的变化）时拒绝撤销并删除撤销记录，以免覆盖之后的修改
+   * @returns {Promise<object>} 被撤销的操作摘要
+   */
+  async function undoLastOperation() {
+    const undo = await getUndo();
+    if (!undo) {
+      throw new Error('没有可以撤销的操作');
+    }
+
+    if (undo.target === TARGET_BROWSER) {
+      await CookieManager.removeBrowserCookies(CookieManager.flattenCookies(undo.applied), undo.storeId);
+      await CookieManager.setBrowserCookies(undo.overwritten, undo.storeId);
+      await StorageUtils.withStorageLock(() => StorageUtils.removeStorage(STORAGE_KEY_UNDO));
+      return toSummary(undo);
+    }
+
+    await StorageUtils.withStorageLock(async () => {
+      // 读取记录后可能又执行了新的批量操作，以锁内读取的记录为准
+      const current = await getUndo();
+      if (!current || current.createdAt !== undo.createdAt) {
+        throw new Error('撤销记录已变化，请重试');
+      }
+      const profiles = await ConfigManager.getProfiles();
+      const restored = Object.keys(undo.profiles).filter(profileId => profiles.some(p => p.id === profileId));
+      for (const profileId of restored) {
+        const profileCookies = await CookieManager.getProfileCookies(profileId);
+        if (await fingerprint(profileCookies) !== (undo.fingerprints || {})[profileId]) {
+          await StorageUtils.removeStorage(STORAGE_KEY_UNDO);
+          throw new Error('配置的Cookie在批量操作后已变化，无法撤销');
+        }
+      }
+
+      const values = {};
+      const removedKeys = [STORAGE_KEY_UNDO];
+      for (const profileId of restored) {
+        const cookies = undo.profiles[profileId];
+        const storageKey = CookieManager.getCookieStorageKey(profileId);
+        if (Object.keys(cookies).length === 0) {
+          removedKeys.push(storageKey);
+        } else {
+          values[storageKey] = cookies;
+        }
+      }
+      if (Object.keys(values).length > 0) {
+        await CookieManager.writeProtectedValues(values);
+      }
+      await StorageUtils.removeStorage(removedKeys);
+    });
+    return toSummary(undo);
+  }
+
+  // 导出到全局对象
+  global.BulkCookies = {
+    ACTION_DELETE,
+    ACTION_COPY,
+    ACTION_MOVE,
+    ACTION_SET_ATTRIBUTES,
+    ACTION_APPLY_TO_BROWSER,
+    TARGET_BROWSER,
+    deleteCookies,
+    copyCookies,
+    setAttributes,
+    exportSelection,
+    applyToBrowser,
+    getUndoSummary,
+    undoLastOperation
+  };
+})(this);
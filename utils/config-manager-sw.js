@@ -12,9 +12,74 @@
   }
 
   const STORAGE_KEY_PROFILES = 'profiles';
-  const STORAGE_KEY_ACTIVE_PROFILE_ID = 'activeProfileId';
+  // 每个Cookie存储（普通窗口、隐身窗口）分别激活一个配置，保存为 {存储ID: 配置ID}
+  const STORAGE_KEY_ACTIVE_PROFILES = 'activeProfiles';
+  // 旧版本只支持默认存储，激活的配置ID保存在该键中
+  const STORAGE_KEY_LEGACY_ACTIVE_PROFILE_ID = 'activeProfileId';
   const STORAGE_KEY_PLUGIN_ENABLED = 'pluginEnabled';
 
+  // 默认（普通窗口）Cookie存储的ID
+  const DEFAULT_STORE_ID = '0';
+
+  // 域名格式（支持通配符，如 *.example.com）
+  const DOMAIN_PATTERN = /^(\*\.)?([a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]{2,}$/;
+
+  // 自动切换的URL规则格式：主机名（支持 *. 前缀匹配子域名）加可选的路径（支持 * 通配符），如 *.example.com/admin/*
+  const URL_RULE_PATTERN = /^(\*\.)?[a-z0-9]([a-z0-9\-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9\-]*[a-z0-9])?)*(\/\S*)?$/;
+
+  // 切换方式：scoped 只清除切出和切入配置域名下的Cookie，clearAll 清除浏览器中除切入配置域名外的所有Cookie
+  // 没有该字段的旧配置按 clearAll 处理，与之前的行为一致
+  const SWITCH_MODE_SCOPED = 'scoped';
+  const SWITCH_MODE_CLEAR_ALL = 'clearAll';
+  const SWITCH_MODES = [SWITCH_MODE_SCOPED, SWITCH_MODE_CLEAR_ALL];
+
+  // 切换后对受影响标签页的处理方式：刷新、丢弃、在插件图标上标记或不处理
+  // 没有该字段的旧配置按 none 处理，与之前的行为一致
+  const TAB_ACTION_RELOAD = 'reload';
+  const TAB_ACTION_DISCARD = 'discard';
+  const TAB_ACTION_BADGE = 'badge';
+  const TAB_ACTION_NONE = 'none';
+  const TAB_ACTIONS = [TAB_ACTION_RELOAD, TAB_ACTION_DISCARD, TAB_ACTION_BADGE, TAB_ACTION_NONE];
+
+  // 会话Cookie（没有过期时间）的处理方式：恢复为会话Cookie、恢复时设置有效期或不记录
+  // 没有该字段的配置按 session 处理，与之前的行为一致
+  const SESSION_COOKIE_POLICY_SESSION = 'session';
+  const SESSION_COOKIE_POLICY_TTL = 'ttl';
+  const SESSION_COOKIE_POLICY_SKIP = 'skip';
+  const SESSION_COOKIE_POLICIES = [SESSION_COOKIE_POLICY_SESSION, SESSION_COOKIE_POLICY_TTL, SESSION_COOKIE_POLICY_SKIP];
+
+  // 会话Cookie的有效期（小时），同时用于判断记录的会话Cookie是否可能已失效
+  const DEFAULT_SESSION_COOKIE_TTL_HOURS = 24;
+  const MAX_SESSION_COOKIE_TTL_HOURS = 24 * 365;
+
+  // 插件图标上显示的配置标记：最多4个字符，未设置时取配置名称的前两个字符；颜色为 #rrggbb
+  const MAX_BADGE_LABEL_LENGTH = 4;
+  const DEFAULT_BADGE_COLOR = '#1976d2';
+  const BADGE_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+  // 配置备注的最大长度，备注可在配置列表中搜索
+  const MAX_NOTES_LENGTH = 1000;
+
+  // 可通过快捷键直接切换的固定位置数量，配置的pinnedSlot为1到该值之间的整数，null表示未固定
+  const PINNED_SLOT_COUNT = 4;
+
+  // 配置中可由用户修改的设置字段，导入配置和弹窗修改配置时只保留这些字段（弹窗还可以修改名称和域名列表）
+  const PROFILE_SETTING_KEYS = [
+    'switchMode',
+    'tabAction',
+    'skipSwitchPreview',
+    'sessionCookiePolicy',
+    'sessionCookieTtlHours',
+    'pinnedSlot',
+    'urlRules',
+    'badgeLabel',
+    'badgeColor',
+    'notes'
+  ];
+
+  // 当前存储数据结构的版本号，数据结构变化时递增并在utils/migrations-sw.js中添加迁移
+  const SCHEMA_VERSION = 3;
+
   /**
    * 获取所有配置
    * @returns {Promise<Array>} 配置列表
@@ -25,20 +90,65 @@
   }
 
   /**
-   * 获取当前激活的配置ID
+   * 保存完整的配置列表（调用方需持有存储锁）
+   * @param {Array} profiles - 配置列表
+   * @returns {Promise<void>}
+   */
+  async function saveProfiles(profiles) {
+    await StorageUtils.setStorage({ [STORAGE_KEY_PROFILES]: profiles });
+  }
+
+  /**
+   * 在存储锁内读取、修改并保存配置列表
+   * @param {Function} updater - 接收配置列表并返回结果的函数，可以直接修改传入的列表
+   * @returns {Promise<*>} updater的返回值
+   */
+  async function updateProfiles(updater) {
+    return StorageUtils.withStorageLock(async () => {
+      const profiles = await getProfiles();
+      const result = await updater(profiles);
+      await saveProfiles(profiles);
+      return result;
+    });
+  }
+
+  /**
+   * 获取每个Cookie存储中激活的配置ID
+   * @returns {Promise<Object<string, string>>} 以存储ID为键的配置ID
+   */
+  async function getActiveProfiles() {
+    const data = await StorageUtils.getStorage(STORAGE_KEY_ACTIVE_PROFILES);
+    return data[STORAGE_KEY_ACTIVE_PROFILES] || {};
+  }
+
+  /**
+   * 获取Cookie存储中激活的配置ID
+   * @param {string} [storeId] - Cookie存储ID
    * @returns {Promise<string|null>} 激活的配置ID
    */
-  async function getActiveProfileId() {
-    const data = await StorageUtils.getStorage(STORAGE_KEY_ACTIVE_PROFILE_ID);
-    return data[STORAGE_KEY_ACTIVE_PROFILE_ID] || null;
+  async function getActiveProfileId(storeId = DEFAULT_STORE_ID) {
+    const activeProfiles = await getActiveProfiles();
+    return activeProfiles[storeId] || null;
   }
 
   /**
-   * 获取当前激活的配置
+   * 获取配置激活所在的Cookie存储
+   * @param {string} profileId - 配置ID
+   * @returns {Promise<string|null>} 存储ID，未激活时返回null
+   */
+  async function getProfileStoreId(profileId) {
+    const activeProfiles = await getActiveProfiles();
+    const entry = Object.entries(activeProfiles).find(([, id]) => id === profileId);
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * 获取Cookie存储中激活的配置
+   * @param {string} [storeId] - Cookie存储ID
    * @returns {Promise<object|null>} 激活的配置对象
    */
-  async function getActiveProfile() {
-    const activeId = await getActiveProfileId();
+  async function getActiveProfile(storeId = DEFAULT_STORE_ID) {
+    const activeId = await getActiveProfileId(storeId);
     if (!activeId) return null;
     
     const profiles = await getProfiles();
@@ -63,6 +173,172 @@
     await StorageUtils.setStorage({ [STORAGE_KEY_PLUGIN_ENABLED]: enabled });
   }
 
+  /**
+   * 生成新的配置ID
+   * @returns {string} 配置ID
+   */
+  function generateProfileId() {
+    return `profile-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+  }
+
+  /**
+   * 获取配置的切换方式
+   * @param {object} profile - 配置对象
+   * @returns {string} 切换方式
+   */
+  function getSwitchMode(profile) {
+    return SWITCH_MODES.includes(profile.switchMode) ? profile.switchMode : SWITCH_MODE_CLEAR_ALL;
+  }
+
+  /**
+   * 获取配置切换后对标签页的处理方式
+   * @param {object} profile - 配置对象
+   * @returns {string} 处理方式
+   */
+  function getTabAction(profile) {
+    return TAB_ACTIONS.includes(profile.tabAction) ? profile.tabAction : TAB_ACTION_NONE;
+  }
+
+  /**
+   * 获取配置对会话Cookie的处理方式
+   * @param {object} profile - 配置对象
+   * @returns {string} 处理方式
+   */
+  function getSessionCookiePolicy(profile) {
+    return SESSION_COOKIE_POLICIES.includes(profile.sessionCookiePolicy)
+      ? profile.sessionCookiePolicy
+      : SESSION_COOKIE_POLICY_SESSION;
+  }
+
+  /**
+   * 获取配置的会话Cookie有效期
+   * @param {object} profile - 配置对象
+   * @returns {number} 有效期（小时）
+   */
+  function getSessionCookieTtlHours(profile) {
+    return Number.isInteger(profile.sessionCookieTtlHours)
+      ? profile.sessionCookieTtlHours
+      : DEFAULT_SESSION_COOKIE_TTL_HOURS;
+  }
+
+  /**
+   * 获取配置在插件图标上显示的标记
+   * @param {object} profile - 配置对象
+   * @returns {string} 标记文字
+   */
+  function getBadgeLabel(profile) {
+    return profile.badgeLabel || Array.from(profile.name).slice(0, 2).join('');
+  }
+
+  /**
+   * 获取配置在插件图标上显示的标记颜色
+   * @param {object} profile - 配置对象
+   * @returns {string} 颜色
+   */
+  function getBadgeColor(profile) {
+    return BADGE_COLOR_PATTERN.test(profile.badgeColor || '') ? profile.badgeColor : DEFAULT_BADGE_COLOR;
+  }
+
+  /**
+   * 校验要更新的配置设置
+   * @param {object} changes - 要更新的字段
+   */
+  function validateProfileSettings(changes) {
+    if (changes.skipSwitchPreview !== undefined && typeof changes.skipSwitchPreview !== 'boolean') {
+      throw new Error('切换预览设置格式错误');
+    }
+    if (changes.switchMode !== undefined && !SWITCH_MODES.includes(changes.switchMode)) {
+      throw new Error(`未知的切换方式: ${changes.switchMode}`);
+    }
+    if (changes.tabAction !== undefined && !TAB_ACTIONS.includes(changes.tabAction)) {
+      throw new Error(`未知的标签页处理方式: ${changes.tabAction}`);
+    }
+    if (changes.sessionCookiePolicy !== undefined && !SESSION_COOKIE_POLICIES.includes(changes.sessionCookiePolicy)) {
+      throw new Error(`未知的会话Cookie处理方式: ${changes.sessionCookiePolicy}`);
+    }
+    if (changes.sessionCookieTtlHours !== undefined &&
+        (!Number.isInteger(changes.sessionCookieTtlHours) ||
+         changes.sessionCookieTtlHours < 1 ||
+         changes.sessionCookieTtlHours > MAX_SESSION_COOKIE_TTL_HOURS)) {
+      throw new Error(`会话Cookie有效期应为1到${MAX_SESSION_COOKIE_TTL_HOURS}之间的整数小时`);
+    }
+    if (changes.urlRules !== undefined) {
+      if (!Array.isArray(changes.urlRules)) {
+        throw new Error('URL规则应为列表');
+      }
+      const invalid = changes.urlRules.find(rule => typeof rule !== 'string' || !URL_RULE_PATTERN.test(rule));
+      if (invalid !== undefined) {
+        throw new Error(`无效的URL规则: ${invalid}`);
+      }
+    }
+    if (changes.badgeLabel !== undefined &&
+        (typeof changes.badgeLabel !== 'string' || Array.from(changes.badgeLabel).length > MAX_BADGE_LABEL_LENGTH)) {
+      throw new Error(`图标标记最多${MAX_BADGE_LABEL_LENGTH}个字符`);
+    }
+    if (changes.badgeColor !== undefined && !BADGE_COLOR_PATTERN.test(changes.badgeColor)) {
+      throw new Error(`无效的图标颜色: ${changes.badgeColor}`);
+    }
+    if (changes.notes !== undefined &&
+        (typeof changes.notes !== 'string' || changes.notes.length > MAX_NOTES_LENGTH)) {
+      throw new Error(`备注最多${MAX_NOTES_LENGTH}个字符`);
+    }
+    if (changes.pinnedSlot !== undefined && changes.pinnedSlot !== null &&
+        (!Number.isInteger(changes.pinnedSlot) || changes.pinnedSlot < 1 || changes.pinnedSlot > PINNED_SLOT_COUNT)) {
+      throw new Error(`固定位置应为1到${PINNED_SLOT_COUNT}之间的整数`);
+    }
+  }
+
+  /**
+   * 从配置对象中取出设置字段，忽略其他字段
+   * @param {object} source - 配置对象
+   * @returns {object} 只包含设置字段的对象
+   */
+  function pickProfileSettings(source) {
+    const settings = {};
+    for (const key of PROFILE_SETTING_KEYS) {
+      if (source[key] !== undefined) {
+        settings[key] = source[key];
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * 从弹窗发来的修改中取出可以修改的字段（名称、域名列表和设置字段）并校验，忽略其他字段
+   * @param {object} updates - 要更新的字段
+   * @returns {object} 可以写入配置的字段
+   */
+  function pickProfileUpdates(updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      throw new Error('配置修改格式错误');
+    }
+    const changes = pickProfileSettings(updates);
+    validateProfileSettings(changes);
+    if (updates.name !== undefined) {
+      if (typeof updates.name !== 'string' || !updates.name.trim()) {
+        throw new Error('请输入配置名称');
+      }
+      changes.name = updates.name.trim();
+    }
+    if (updates.domains !== undefined) {
+      if (!Array.isArray(updates.domains) || updates.domains.some(d => typeof d !== 'string')) {
+        throw new Error('域名列表格式错误');
+      }
+      changes.domains = updates.domains.slice();
+    }
+    return changes;
+  }
+
+  /**
+   * 获取固定在指定位置的配置（有多个时取列表中靠前的配置）
+   * @param {Array} profiles - 配置列表
+   * @param {number} slot - 固定位置（从1开始）
+   * @returns {object|null} 配置对象
+   */
+  function getPinnedProfile(profiles, slot) {
+    return profiles.find(p => p.pinnedSlot === slot) || null;
+  }
+
   /**
    * 创建新配置
    * @param {string} name - 配置名称
@@ -70,83 +346,253 @@
    * @returns {Promise<object>} 创建的配置对象
    */
   async function createProfile(name, domains = []) {
-    const profiles = await getProfiles();
+    if (!name || !name.trim()) {
+      throw new Error('请输入配置名称');
+    }
+    
     const newProfile = {
-      id: `profile-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+      id: generateProfileId(),
       name: name.trim(),
       domains: domains,
       enabled: true,
-      createdAt: Date.now()
+      switchMode: SWITCH_MODE_SCOPED,
+      tabAction: TAB_ACTION_NONE,
+      createdAt: Date.now(),
+      schemaVersion: SCHEMA_VERSION
     };
     
-    profiles.push(newProfile);
-    await StorageUtils.setStorage({ [STORAGE_KEY_PROFILES]: profiles });
+    await updateProfiles(profiles => {
+      profiles.push(newProfile);
+    });
     
     return newProfile;
   }
 
   /**
-   * 删除配置
+   * 删除配置，并在同一把锁内删除该配置的数据
    * @param {string} profileId - 配置ID
+   * @param {string[]} [dataKeys] - 配置数据的存储键（见CookieManager.getProfileStorageKeys）
    * @returns {Promise<void>}
    */
-  async function deleteProfile(profileId) {
-    const profiles = await getProfiles();
-    const filtered = profiles.filter(p => p.id !== profileId);
-    await StorageUtils.setStorage({ [STORAGE_KEY_PROFILES]: filtered });
-    
-    // 如果删除的是当前激活的配置，清空激活状态
-    const activeId = await getActiveProfileId();
-    if (activeId === profileId) {
-      await StorageUtils.setStorage({ [STORAGE_KEY_ACTIVE_PROFILE_ID]: null });
-    }
+  async function deleteProfile(profileId, dataKeys = []) {
+    await StorageUtils.withStorageLock(async () => {
+      const profiles = await getProfiles();
+      const items = { [STORAGE_KEY_PROFILES]: profiles.filter(p => p.id !== profileId) };
+      
+      // 如果删除的是某个存储中激活的配置，清空该存储的激活状态
+      const activeProfiles = await getActiveProfiles();
+      const remaining = Object.fromEntries(Object.entries(activeProfiles).filter(([, id]) => id !== profileId));
+      if (Object.keys(remaining).length !== Object.keys(activeProfiles).length) {
+        items[STORAGE_KEY_ACTIVE_PROFILES] = remaining;
+      }
+      
+      await StorageUtils.setStorage(items);
+      if (dataKeys.length > 0) {
+        await StorageUtils.removeStorage(dataKeys);
+      }
+    });
   }
 
   /**
-   * 切换激活配置
+   * 切换Cookie存储中激活的配置
+   * 同一个配置不能同时在多个存储中激活，以免不同存储的Cookie记录到同一个配置中
    * @param {string} profileId - 要激活的配置ID
+   * @param {string} [storeId] - Cookie存储ID
    * @returns {Promise<void>}
    */
-  async function switchProfile(profileId) {
-    const profiles = await getProfiles();
-    const profile = profiles.find(p => p.id === profileId);
-    if (!profile) {
-      throw new Error('配置不存在');
+  async function switchProfile(profileId, storeId = DEFAULT_STORE_ID) {
+    await StorageUtils.withStorageLock(async () => {
+      const profiles = await getProfiles();
+      const profile = profiles.find(p => p.id === profileId);
+      if (!profile) {
+        throw new Error('配置不存在');
+      }
+      
+      const activeProfiles = await getActiveProfiles();
+      const otherStore = Object.keys(activeProfiles).find(id => id !== storeId && activeProfiles[id] === profileId);
+      if (otherStore) {
+        throw new Error('该配置已在其他Cookie存储中激活');
+      }
+      
+      await StorageUtils.setStorage({ [STORAGE_KEY_ACTIVE_PROFILES]: { ...activeProfiles, [storeId]: profileId } });
+    });
+  }
+
+  /**
+   * 取消Cookie存储中激活的配置
+   * @param {string} [storeId] - Cookie存储ID
+   * @returns {Promise<void>}
+   */
+  async function clearActiveProfile(storeId = DEFAULT_STORE_ID) {
+    await StorageUtils.withStorageLock(async () => {
+      const activeProfiles = await getActiveProfiles();
+      delete activeProfiles[storeId];
+      await StorageUtils.setStorage({ [STORAGE_KEY_ACTIVE_PROFILES]: activeProfiles });
+    });
+  }
+
+  /**
+   * 将旧版本的activeProfileId转换为按Cookie存储保存的activeProfiles（一次性迁移）
+   * @returns {Promise<boolean>} 是否执行了迁移
+   */
+  async function migrateActiveProfileId() {
+    const data = await StorageUtils.getStorage(STORAGE_KEY_LEGACY_ACTIVE_PROFILE_ID);
+    if (!(STORAGE_KEY_LEGACY_ACTIVE_PROFILE_ID in data)) {
+      return false;
     }
     
-    await StorageUtils.setStorage({ [STORAGE_KEY_ACTIVE_PROFILE_ID]: profileId });
+    const legacyId = data[STORAGE_KEY_LEGACY_ACTIVE_PROFILE_ID];
+    const activeProfiles = await getActiveProfiles();
+    if (legacyId && !activeProfiles[DEFAULT_STORE_ID]) {
+      activeProfiles[DEFAULT_STORE_ID] = legacyId;
+    }
+    await StorageUtils.setStorage({ [STORAGE_KEY_ACTIVE_PROFILES]: activeProfiles });
+    await StorageUtils.removeStorage(STORAGE_KEY_LEGACY_ACTIVE_PROFILE_ID);
+    return true;
   }
 
   /**
    * 更新配置
    * @param {string} profileId - 配置ID
-   * @param {object} updates - 要更新的字段
+   * @param {object|Function} updates - 要更新的字段，或接收当前配置并返回要更新字段的函数
    * @returns {Promise<object>} 更新后的配置对象
    */
   async function updateProfile(profileId, updates) {
-    const profiles = await getProfiles();
-    const index = profiles.findIndex(p => p.id === profileId);
-    if (index === -1) {
-      throw new Error('配置不存在');
+    return updateProfiles(profiles => {
+      const index = profiles.findIndex(p => p.id === profileId);
+      if (index === -1) {
+        throw new Error('配置不存在');
+      }
+      
+      const changes = typeof updates === 'function' ? updates(profiles[index]) : updates;
+      validateProfileSettings(changes);
+      // 一个固定位置只对应一个配置，占用该位置的其他配置取消固定
+      if (changes.pinnedSlot) {
+        profiles.forEach((profile, i) => {
+          if (i !== index && profile.pinnedSlot === changes.pinnedSlot) {
+            profiles[i] = { ...profile, pinnedSlot: null };
+          }
+        });
+      }
+      profiles[index] = { ...profiles[index], ...changes };
+      return profiles[index];
+    });
+  }
+
+  /**
+   * 添加域名到配置
+   * @param {string} profileId - 配置ID
+   * @param {string} domain - 要添加的域名
+   * @returns {Promise<object>} 更新后的配置对象
+   */
+  async function addDomainToProfile(profileId, domain) {
+    const trimmed = (domain || '').trim();
+    if (!DOMAIN_PATTERN.test(trimmed)) {
+      throw new Error('请输入有效的域名（支持通配符，如 *.example.com）');
     }
     
-    profiles[index] = { ...profiles[index], ...updates };
-    await StorageUtils.setStorage({ [STORAGE_KEY_PROFILES]: profiles });
+    return updateProfile(profileId, profile => {
+      const domains = profile.domains || [];
+      if (domains.includes(trimmed)) {
+        throw new Error('域名已存在');
+      }
+      return { domains: [...domains, trimmed] };
+    });
+  }
+
+  /**
+   * 从配置中删除域名
+   * @param {string} profileId - 配置ID
+   * @param {string} domain - 要删除的域名
+   * @returns {Promise<object>} 更新后的配置对象
+   */
+  async function removeDomainFromProfile(profileId, domain) {
+    return updateProfile(profileId, profile => ({
+      domains: (profile.domains || []).filter(d => d !== domain)
+    }));
+  }
+
+  /**
+   * 添加自动切换的URL规则到配置（忽略协议，主机名统一为小写）
+   * @param {string} profileId - 配置ID
+   * @param {string} rule - URL规则，如 admin.example.com 或 *.example.com/admin/*
+   * @returns {Promise<object>} 更新后的配置对象
+   */
+  async function addUrlRuleToProfile(profileId, rule) {
+    const trimmed = (rule || '').trim().replace(/^https?:\/\//i, '');
+    const slash = trimmed.indexOf('/');
+    const normalized = slash === -1
+      ? trimmed.toLowerCase()
+      : trimmed.substring(0, slash).toLowerCase() + trimmed.substring(slash);
+    if (!URL_RULE_PATTERN.test(normalized)) {
+      throw new Error('请输入有效的URL规则（如 admin.example.com 或 *.example.com/admin/*）');
+    }
     
-    return profiles[index];
+    return updateProfile(profileId, profile => {
+      const urlRules = profile.urlRules || [];
+      if (urlRules.includes(normalized)) {
+        throw new Error('URL规则已存在');
+      }
+      return { urlRules: [...urlRules, normalized] };
+    });
+  }
+
+  /**
+   * 从配置中删除自动切换的URL规则
+   * @param {string} profileId - 配置ID
+   * @param {string} rule - URL规则
+   * @returns {Promise<object>} 更新后的配置对象
+   */
+  async function removeUrlRuleFromProfile(profileId, rule) {
+    return updateProfile(profileId, profile => ({
+      urlRules: (profile.urlRules || []).filter(r => r !== rule)
+    }));
   }
 
   // 导出到全局对象
   global.ConfigManager = {
+    SCHEMA_VERSION,
+    DEFAULT_STORE_ID,
+    SWITCH_MODE_SCOPED,
+    SWITCH_MODE_CLEAR_ALL,
+    TAB_ACTION_RELOAD,
+    TAB_ACTION_DISCARD,
+    TAB_ACTION_BADGE,
+    TAB_ACTION_NONE,
+    SESSION_COOKIE_POLICY_SESSION,
+    SESSION_COOKIE_POLICY_TTL,
+    SESSION_COOKIE_POLICY_SKIP,
+    PINNED_SLOT_COUNT,
     getProfiles,
+    saveProfiles,
+    updateProfiles,
+    generateProfileId,
+    getSwitchMode,
+    getTabAction,
+    getSessionCookiePolicy,
+    getSessionCookieTtlHours,
+    getPinnedProfile,
+    validateProfileSettings,
+    pickProfileSettings,
+    pickProfileUpdates,
+    getBadgeLabel,
+    getBadgeColor,
+    getActiveProfiles,
     getActiveProfileId,
+    getProfileStoreId,
     getActiveProfile,
     isPluginEnabled,
     setPluginEnabled,
     createProfile,
     deleteProfile,
     switchProfile,
-    updateProfile
+    clearActiveProfile,
+    migrateActiveProfileId,
+    updateProfile,
+    addDomainToProfile,
+    removeDomainFromProfile,
+    addUrlRuleToProfile,
+    removeUrlRuleFromProfile
   };
 })(this);
 
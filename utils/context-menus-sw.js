@@ -0,0 +1,124 @@
+/**
+ * 右键菜单模块 - Service Worker版本
+ * 根据配置列表创建针对当前网页和链接的右键菜单（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const ConfigManager = global.ConfigManager;
+  if (!ConfigManager) {
+    throw new Error('ConfigManager未加载，请先加载utils/config-manager-sw.js');
+  }
+
+  // 一级菜单，每个菜单下为每个配置创建一个子菜单
+  const MENU_ADD_DOMAIN = 'addDomain';
+  const MENU_CAPTURE_COOKIES = 'captureCookies';
+  const MENU_SWITCH_PROFILE = 'switchProfile';
+  const MENU_OPEN_LINK = 'openLink';
+  const MENUS = [
+    { id: MENU_ADD_DOMAIN, title: '将此网站的域名添加到配置', contexts: ['page'] },
+    { id: MENU_CAPTURE_COOKIES, title: '将此网站的Cookie保存到配置', contexts: ['page'] },
+    { id: MENU_SWITCH_PROFILE, title: '切换到配置', contexts: ['page'] },
+    { id: MENU_OPEN_LINK, title: '切换到配置后打开链接', contexts: ['link'] }
+  ];
+
+  // 只在网页和指向网页的链接上显示菜单
+  const URL_PATTERNS = ['http://*/*', 'https://*/*'];
+
+  // 子菜单ID为"一级菜单ID:配置ID"
+  const MENU_ID_SEPARATOR = ':';
+
+  // 配置连续变化时依次重建，避免同时创建相同ID的菜单
+  let rebuildPromise = Promise.resolve();
+
+  /**
+   * 创建菜单项
+   * @param {object} properties - chrome.contextMenus.create的参数
+   * @returns {Promise<void>}
+   */
+  function createMenuItem(properties) {
+    return new Promise((resolve, reject) => {
+      chrome.contextMenus.create(properties, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * 删除所有菜单并按当前的配置列表重新创建
+   * @returns {Promise<void>}
+   */
+  async function buildMenus() {
+    await chrome.contextMenus.removeAll();
+    const profiles = await ConfigManager.getProfiles();
+
+    for (const menu of MENUS) {
+      const patterns = menu.contexts.includes('link')
+        ? { targetUrlPatterns: URL_PATTERNS }
+        : { documentUrlPatterns: URL_PATTERNS };
+      await createMenuItem({ id: menu.id, title: menu.title, contexts: menu.contexts, ...patterns });
+
+      if (profiles.length === 0) {
+        await createMenuItem({
+          id: `${menu.id}${MENU_ID_SEPARATOR}`,
+          parentId: menu.id,
+          title: '还没有配置',
+          contexts: menu.contexts,
+          enabled: false
+        });
+      }
+      for (const profile of profiles) {
+        await createMenuItem({
+          id: `${menu.id}${MENU_ID_SEPARATOR}${profile.id}`,
+          parentId: menu.id,
+          title: profile.name,
+          contexts: menu.contexts
+        });
+      }
+    }
+  }
+
+  /**
+   * 重建右键菜单（配置列表变化时调用）
+   * @returns {Promise<void>}
+   */
+  function rebuildMenus() {
+    rebuildPromise = rebuildPromise.then(buildMenus).catch(error => {
+      console.error('创建右键菜单失败:', error);
+    });
+    return rebuildPromise;
+  }
+
+  /**
+   * 解析被点击的子菜单
+   * @param {string|number} menuItemId - 菜单ID
+   * @returns {{menu: string, profileId: string}|null} 一级菜单ID和配置ID，不是配置子菜单时返回null
+   */
+  function parseMenuItemId(menuItemId) {
+    const id = String(menuItemId);
+    const index = id.indexOf(MENU_ID_SEPARATOR);
+    if (index === -1 || index === id.length - 1) {
+      return null;
+    }
+    const menu = id.substring(0, index);
+    if (!MENUS.some(m => m.id === menu)) {
+      return null;
+    }
+    return { menu, profileId: id.substring(index + 1) };
+  }
+
+  // 导出到全局对象
+  global.ContextMenus = {
+    MENU_ADD_DOMAIN,
+    MENU_CAPTURE_COOKIES,
+    MENU_SWITCH_PROFILE,
+    MENU_OPEN_LINK,
+    rebuildMenus,
+    parseMenuItemId
+  };
+})(this);
@@ -0,0 +1,125 @@
+/**
+ * 过期Cookie清理模块 - Service Worker版本
+ * 通过chrome.alarms定期从所有配置中移除已过期的Cookie（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const StorageUtils = global.StorageUtils;
+  const ConfigManager = global.ConfigManager;
+  const CryptoUtils = global.CryptoUtils;
+  const CookieManager = global.CookieManager;
+  if (!StorageUtils || !ConfigManager || !CryptoUtils || !CookieManager) {
+    throw new Error('依赖模块未加载，请先加载utils/storage-sw.js、utils/config-manager-sw.js、utils/crypto-sw.js和utils/cookie-manager-sw.js');
+  }
+
+  const ALARM_NAME = 'cleanupExpiredCookies';
+  // 清理间隔（分钟）
+  const CLEANUP_PERIOD_MINUTES = 60;
+
+  // 每个配置最近一次清理的结果，保存为 {配置ID: {cleanedAt, removedCount}}
+  const STORAGE_KEY_CLEANUP_STATUS = 'cookieCleanup';
+
+  // 删除记录中表示被定期清理移除的原因
+  const CLEANUP_CAUSE = 'cleanup';
+
+  /**
+   * 创建定期清理的闹钟（已存在时不重复创建）
+   * @returns {Promise<void>}
+   */
+  async function scheduleCleanup() {
+    const alarm = await chrome.alarms.get(ALARM_NAME);
+    if (!alarm) {
+      await chrome.alarms.create(ALARM_NAME, {
+        delayInMinutes: 1,
+        periodInMinutes: CLEANUP_PERIOD_MINUTES
+      });
+    }
+  }
+
+  /**
+   * 读取每个配置最近一次清理的结果
+   * @returns {Promise<Object<string, {cleanedAt: number, removedCount: number}>>} 以配置ID为键的清理结果
+   */
+  async function getCleanupStatus() {
+    const data = await StorageUtils.getStorage(STORAGE_KEY_CLEANUP_STATUS);
+    return data[STORAGE_KEY_CLEANUP_STATUS] || {};
+  }
+
+  /**
+   * 移除配置中已过期的Cookie并记入删除记录（调用方需持有存储锁）
+   * @param {string} profileId - 配置ID
+   * @param {number} now - 当前时间（毫秒）
+   * @returns {Promise<number>} 移除的Cookie数量
+   */
+  async function cleanupProfile(profileId, now) {
+    const profileCookies = await CookieManager.getProfileCookies(profileId);
+    const removals = [];
+
+    for (const [domain, cookies] of Object.entries(profileCookies)) {
+      if (!Array.isArray(cookies)) continue;
+
+      const kept = cookies.filter(cookie => {
+        if (!CookieManager.isCookieExpired(cookie, now)) {
+          return true;
+        }
+        removals.push({ ...CookieManager.toCookieSummary(cookie), cause: CLEANUP_CAUSE, removedAt: now });
+        return false;
+      });
+      if (kept.length === 0) {
+        delete profileCookies[domain];
+      } else {
+        profileCookies[domain] = kept;
+      }
+    }
+
+    if (removals.length > 0) {
+      await CookieManager.saveProfileCookies(profileId, profileCookies);
+      await CookieManager.appendRemovalHistory(profileId, removals);
+    }
+    return removals.length;
+  }
+
+  /**
+   * 清理所有配置中已过期的Cookie，并记录每个配置的清理结果
+   * 已启用加密但未解锁时无法读写Cookie数据，跳过本次清理
+   * @returns {Promise<Object<string, {cleanedAt: number, removedCount: number}>|null>} 清理结果，跳过时返回null
+   */
+  async function cleanupAllProfiles() {
+    if (await CryptoUtils.isLocked()) {
+      console.log('Cookie数据未解锁，跳过过期Cookie清理');
+      return null;
+    }
+
+    return StorageUtils.withStorageLock(async () => {
+      const profiles = await ConfigManager.getProfiles();
+      const now = Date.now();
+      const status = {};
+      let total = 0;
+
+      for (const profile of profiles) {
+        try {
+          const removedCount = await cleanupProfile(profile.id, now);
+          status[profile.id] = { cleanedAt: now, removedCount };
+          total += removedCount;
+        } catch (error) {
+          console.error(`清理配置 ${profile.id} 的过期Cookie失败:`, error);
+        }
+      }
+
+      // 只保留现有配置的清理结果
+      await StorageUtils.setStorage({ [STORAGE_KEY_CLEANUP_STATUS]: status });
+      console.log(`已清理过期Cookie: ${total} 个`);
+      return status;
+    });
+  }
+
+  // 导出到全局对象
+  global.CookieCleanup = {
+    ALARM_NAME,
+    scheduleCleanup,
+    getCleanupStatus,
+    cleanupAllProfiles
+  };
+})(this);
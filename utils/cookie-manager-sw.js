@@ -8,28 +8,547 @@
 
   const StorageUtils = global.StorageUtils;
   const ConfigManager = global.ConfigManager;
-  if (!StorageUtils || !ConfigManager) {
-    throw new Error('依赖模块未加载，请先加载utils/storage-sw.js和utils/config-manager-sw.js');
+  const CryptoUtils = global.CryptoUtils;
+  if (!StorageUtils || !ConfigManager || !CryptoUtils) {
+    throw new Error('依赖模块未加载，请先加载utils/storage-sw.js、utils/config-manager-sw.js和utils/crypto-sw.js');
   }
 
-  const STORAGE_KEY_COOKIE_DATA = 'cookieData';
+  // 旧版本把所有配置的Cookie保存在同一个键中，现在每个配置单独保存在 cookies:<配置ID> 键下
+  const STORAGE_KEY_LEGACY_COOKIE_DATA = 'cookieData';
+  const STORAGE_KEY_PREFIX_COOKIES = 'cookies:';
+  // 每个配置的Cookie删除记录保存在 removalHistory:<配置ID> 键下，只保留最近的记录
+  const STORAGE_KEY_PREFIX_REMOVAL_HISTORY = 'removalHistory:';
+  const MAX_REMOVAL_HISTORY = 200;
+  // 每个配置的快照保存在 snapshots:<配置ID> 键下
+  const STORAGE_KEY_PREFIX_SNAPSHOTS = 'snapshots:';
+  // 切换配置期间记录切换前浏览器Cookie的日志，切换完成后删除
+  const STORAGE_KEY_SWITCH_JOURNAL = 'switchJournal';
+  // 最近一次批量操作前的Cookie数据，用于撤销
+  const STORAGE_KEY_BULK_UNDO = 'bulkUndo';
+  // 数据迁移前的备份，可能包含旧版本的明文Cookie，启用加密时直接删除
+  const STORAGE_KEY_MIGRATION_BACKUP = 'migrationBackup';
+  // 启用加密后以这些前缀开头的存储值都会被加密（更换口令时一起重新加密）
+  const ENCRYPTED_KEY_PREFIXES = [
+    STORAGE_KEY_PREFIX_COOKIES,
+    STORAGE_KEY_PREFIX_SNAPSHOTS,
+    STORAGE_KEY_SWITCH_JOURNAL,
+    STORAGE_KEY_BULK_UNDO
+  ];
+
+  // 浏览器允许的Cookie名称和值的最大总长度
+  const MAX_COOKIE_SIZE = 4096;
+
+  /**
+   * 获取配置Cookie数据的存储键
+   * @param {string} profileId - 配置ID
+   * @returns {string} 存储键
+   */
+  function getCookieStorageKey(profileId) {
+    return STORAGE_KEY_PREFIX_COOKIES + profileId;
+  }
+
+  /**
+   * 获取配置快照的存储键
+   * @param {string} profileId - 配置ID
+   * @returns {string} 存储键
+   */
+  function getSnapshotStorageKey(profileId) {
+    return STORAGE_KEY_PREFIX_SNAPSHOTS + profileId;
+  }
+
+  /**
+   * 获取配置自身数据（Cookie、快照和删除记录）的所有存储键，删除配置时一起删除
+   * @param {string} profileId - 配置ID
+   * @returns {string[]} 存储键列表
+   */
+  function getProfileStorageKeys(profileId) {
+    return [getCookieStorageKey(profileId), getSnapshotStorageKey(profileId), getRemovalHistoryKey(profileId)];
+  }
+
+  /**
+   * 获取当前会话中已解锁的密钥，未解锁时抛出错误
+   * @returns {Promise<CryptoKey>} 密钥
+   */
+  async function requireSessionKey() {
+    const key = await CryptoUtils.getSessionKey();
+    if (!key) {
+      throw new Error('Cookie数据已加密，请先解锁');
+    }
+    return key;
+  }
+
+  /**
+   * 获取写入时使用的密钥
+   * @returns {Promise<CryptoKey|null>} 密钥，未启用加密时返回null
+   */
+  async function getWriteKey() {
+    if (!(await CryptoUtils.getEncryptionSettings())) {
+      return null;
+    }
+    return requireSessionKey();
+  }
+
+  /**
+   * 解密存储的值（未加密的数据原样返回）
+   * @param {*} value - 存储中的值
+   * @param {CryptoKey} [key] - 密钥，不传时使用当前会话中已解锁的密钥
+   * @returns {Promise<*>} 解密后的值
+   */
+  async function decodeStoredValue(value, key) {
+    if (!CryptoUtils.isEncryptedPayload(value)) {
+      return value;
+    }
+    return CryptoUtils.decryptValue(key || await requireSessionKey(), value);
+  }
+
+  /**
+   * 加密要存储的值
+   * @param {*} value - 要存储的值
+   * @param {CryptoKey|null} key - 密钥，为null时不加密
+   * @returns {Promise<*>} 用于存储的值
+   */
+  async function encodeStoredValue(value, key) {
+    return key ? CryptoUtils.encryptValue(key, value) : value;
+  }
 
   /**
-   * 获取Cookie数据存储
-   * @returns {Promise<object>} Cookie数据对象
+   * 读取需要加密保存的值（已启用加密时自动解密）
+   * @param {string} storageKey - 存储键
+   * @returns {Promise<*>} 存储的值，不存在时返回undefined
    */
-  async function getCookieData() {
-    const data = await StorageUtils.getStorage(STORAGE_KEY_COOKIE_DATA);
-    return data[STORAGE_KEY_COOKIE_DATA] || {};
+  async function readProtectedValue(storageKey) {
+    const data = await StorageUtils.getStorage(storageKey);
+    return data[storageKey] === undefined ? undefined : decodeStoredValue(data[storageKey]);
   }
 
   /**
-   * 保存Cookie数据
-   * @param {object} cookieData - Cookie数据对象
+   * 写入需要加密保存的值（已启用加密时自动加密，调用方需持有存储锁）
+   * @param {string} storageKey - 存储键
+   * @param {*} value - 要存储的值
    * @returns {Promise<void>}
    */
-  async function saveCookieData(cookieData) {
-    await StorageUtils.setStorage({ [STORAGE_KEY_COOKIE_DATA]: cookieData });
+  async function writeProtectedValue(storageKey, value) {
+    const key = await getWriteKey();
+    await StorageUtils.setStorage({ [storageKey]: await encodeStoredValue(value, key) });
+  }
+
+  /**
+   * 在一次写入中保存多个需要加密保存的值（已启用加密时自动加密，调用方需持有存储锁）
+   * @param {object} values - 以存储键为键的明文值
+   * @returns {Promise<void>}
+   */
+  async function writeProtectedValues(values) {
+    await StorageUtils.setStorage(await buildProtectedItems(values, await getWriteKey()));
+  }
+
+  /**
+   * 解密单个配置存储的Cookie数据（未加密的数据原样返回）
+   * @param {*} value - 存储中的值
+   * @param {CryptoKey} [key] - 密钥，不传时使用当前会话中已解锁的密钥
+   * @returns {Promise<object>} 按域名组织的Cookie数据
+   */
+  async function decodeProfileCookies(value, key) {
+    if (!value) {
+      return {};
+    }
+    return normalizeProfileCookies(await decodeStoredValue(value, key));
+  }
+
+  /**
+   * 读取所有配置的Cookie分片（未解密）
+   * @returns {Promise<object>} 以配置ID为键的存储值
+   */
+  async function getStoredShards() {
+    const all = await StorageUtils.getAllStorage();
+    const shards = {};
+    for (const [storageKey, value] of Object.entries(all)) {
+      if (storageKey.startsWith(STORAGE_KEY_PREFIX_COOKIES)) {
+        shards[storageKey.substring(STORAGE_KEY_PREFIX_COOKIES.length)] = value;
+      }
+    }
+    return shards;
+  }
+
+  /**
+   * 获取所有配置的Cookie数据（已启用加密时自动解密）
+   * @param {CryptoKey} [key] - 密钥，不传时使用当前会话中已解锁的密钥
+   * @returns {Promise<object>} 以配置ID为键的Cookie数据
+   */
+  async function getCookieData(key) {
+    const shards = await getStoredShards();
+    const cookieData = {};
+    for (const [profileId, value] of Object.entries(shards)) {
+      cookieData[profileId] = await decodeProfileCookies(value, key);
+    }
+    return cookieData;
+  }
+
+  /**
+   * 获取指定配置的Cookie数据
+   * @param {string} profileId - 配置ID
+   * @returns {Promise<object>} Cookie数据对象，按域名组织
+   */
+  async function getProfileCookies(profileId) {
+    const storageKey = getCookieStorageKey(profileId);
+    const data = await StorageUtils.getStorage(storageKey);
+    return decodeProfileCookies(data[storageKey]);
+  }
+
+  /**
+   * 保存指定配置的Cookie数据（只写入该配置的分片，已启用加密时自动加密，调用方需持有存储锁）
+   * @param {string} profileId - 配置ID
+   * @param {object} cookies - 按域名组织的Cookie数据
+   * @returns {Promise<void>}
+   */
+  async function saveProfileCookies(profileId, cookies) {
+    const storageKey = getCookieStorageKey(profileId);
+    if (Object.keys(cookies).length === 0) {
+      await StorageUtils.removeStorage(storageKey);
+      return;
+    }
+    await writeProtectedValue(storageKey, cookies);
+  }
+
+  /**
+   * 在存储锁内读取、修改并保存指定配置的Cookie数据
+   * @param {string} profileId - 配置ID
+   * @param {Function} updater - 接收Cookie数据的函数，可以直接修改传入的对象，也可以返回新的对象
+   * @returns {Promise<object>} 保存后的Cookie数据
+   */
+  async function updateProfileCookies(profileId, updater) {
+    return StorageUtils.withStorageLock(async () => {
+      const profileCookies = await getProfileCookies(profileId);
+      const updated = (await updater(profileCookies)) || profileCookies;
+      await saveProfileCookies(profileId, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * 读取并解密所有需要加密保存的值（Cookie分片和快照）
+   * @param {CryptoKey} [key] - 密钥，不传时使用当前会话中已解锁的密钥
+   * @returns {Promise<object>} 以存储键为键的明文值
+   */
+  async function getProtectedValues(key) {
+    const all = await StorageUtils.getAllStorage();
+    const values = {};
+    for (const [storageKey, value] of Object.entries(all)) {
+      if (ENCRYPTED_KEY_PREFIXES.some(prefix => storageKey.startsWith(prefix))) {
+        values[storageKey] = await decodeStoredValue(value, key);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * 用指定密钥生成所有需要加密保存的值的存储项
+   * @param {object} values - 以存储键为键的明文值
+   * @param {CryptoKey|null} key - 密钥，为null时不加密
+   * @returns {Promise<object>} 存储项
+   */
+  async function buildProtectedItems(values, key) {
+    const items = {};
+    for (const [storageKey, value] of Object.entries(values)) {
+      items[storageKey] = await encodeStoredValue(value, key);
+    }
+    return items;
+  }
+
+  /**
+   * 将旧版本的cookieData拆分为按配置保存的分片（一次性迁移）
+   * @returns {Promise<boolean>} 是否执行了迁移
+   */
+  async function migrateLegacyCookieData() {
+    const data = await StorageUtils.getStorage(STORAGE_KEY_LEGACY_COOKIE_DATA);
+    const legacy = data[STORAGE_KEY_LEGACY_COOKIE_DATA];
+    if (!legacy) {
+      return false;
+    }
+    
+    // 加密数据本来就按配置分别加密，可以原样搬到分片中
+    // 已存在分片的配置以分片为准（上次迁移可能在删除旧数据前中断）
+    const shards = await getStoredShards();
+    const items = {};
+    for (const [profileId, value] of Object.entries(legacy)) {
+      if (!(profileId in shards)) {
+        items[getCookieStorageKey(profileId)] = value;
+      }
+    }
+    if (Object.keys(items).length > 0) {
+      await StorageUtils.setStorage(items);
+    }
+    await StorageUtils.removeStorage(STORAGE_KEY_LEGACY_COOKIE_DATA);
+    return true;
+  }
+
+  /**
+   * 启用加密：用口令派生的密钥加密所有已保存的Cookie
+   * @param {string} passphrase - 口令
+   * @returns {Promise<void>}
+   */
+  async function enableEncryption(passphrase) {
+    await StorageUtils.withStorageLock(async () => {
+      if (await CryptoUtils.getEncryptionSettings()) {
+        throw new Error('已启用加密');
+      }
+      const values = await getProtectedValues();
+      const { settings, key } = await CryptoUtils.createSettings(passphrase);
+      // 加密设置与加密后的数据一次写入，避免中途失败导致两者不一致
+      await StorageUtils.setStorage({
+        [CryptoUtils.STORAGE_KEY_ENCRYPTION]: settings,
+        ...await buildProtectedItems(values, key)
+      });
+      await StorageUtils.removeStorage(STORAGE_KEY_MIGRATION_BACKUP);
+      await CryptoUtils.setSessionKey(key);
+    });
+  }
+
+  /**
+   * 更换口令：用新口令派生的密钥重新加密所有已保存的Cookie
+   * @param {string} oldPassphrase - 当前口令
+   * @param {string} newPassphrase - 新口令
+   * @returns {Promise<void>}
+   */
+  async function changePassphrase(oldPassphrase, newPassphrase) {
+    await StorageUtils.withStorageLock(async () => {
+      const oldKey = await CryptoUtils.verifyPassphrase(oldPassphrase);
+      const values = await getProtectedValues(oldKey);
+      const { settings, key } = await CryptoUtils.createSettings(newPassphrase);
+      await StorageUtils.setStorage({
+        [CryptoUtils.STORAGE_KEY_ENCRYPTION]: settings,
+        ...await buildProtectedItems(values, key)
+      });
+      await CryptoUtils.setSessionKey(key);
+    });
+  }
+
+  /**
+   * 关闭加密：解密所有已保存的Cookie并以明文保存
+   * @param {string} passphrase - 当前口令
+   * @returns {Promise<void>}
+   */
+  async function disableEncryption(passphrase) {
+    await StorageUtils.withStorageLock(async () => {
+      const key = await CryptoUtils.verifyPassphrase(passphrase);
+      const values = await getProtectedValues(key);
+      await StorageUtils.setStorage({
+        [CryptoUtils.STORAGE_KEY_ENCRYPTION]: { enabled: false },
+        ...await buildProtectedItems(values, null)
+      });
+      await CryptoUtils.lock();
+    });
+  }
+
+  /**
+   * 合并两份按域名组织的Cookie数据，相同的Cookie（见isSameCookie）以导入数据为准
+   * @param {object} existing - 现有Cookie数据
+   * @param {object} incoming - 导入的Cookie数据
+   * @returns {object} 合并后的Cookie数据
+   */
+  function mergeCookieData(existing, incoming) {
+    const merged = {};
+    for (const [domain, list] of Object.entries(existing || {})) {
+      merged[domain] = Array.isArray(list) ? list.slice() : [];
+    }
+    for (const [domain, list] of Object.entries(incoming || {})) {
+      if (!merged[domain]) {
+        merged[domain] = [];
+      }
+      for (const cookie of list) {
+        const index = merged[domain].findIndex(c => isSameCookie(c, cookie));
+        if (index >= 0) {
+          merged[domain][index] = cookie;
+        } else {
+          merged[domain].push(cookie);
+        }
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * 获取分区Cookie（CHIPS）的顶级站点
+   * @param {object} cookie - Cookie
+   * @returns {string} 顶级站点，未分区的Cookie返回空字符串
+   */
+  function getPartitionSite(cookie) {
+    return (cookie.partitionKey && cookie.partitionKey.topLevelSite) || '';
+  }
+
+  /**
+   * 判断Cookie是否仅限设置它的主机（旧数据没有hostOnly时按域名是否以.开头推断）
+   * @param {object} cookie - Cookie
+   * @returns {boolean} 是否仅限当前主机
+   */
+  function isHostOnlyCookie(cookie) {
+    return typeof cookie.hostOnly === 'boolean' ? cookie.hostOnly : !cookie.domain.startsWith('.');
+  }
+
+  /**
+   * 生成标识Cookie的键
+   * 与浏览器一致，域名（不含前导点）、是否仅限当前主机、名称、路径和分区都相同才是同一个Cookie，
+   * 例如 example.com 上仅限当前主机的sid与 .example.com 的sid是两个Cookie
+   * @param {object} cookie - Cookie
+   * @returns {string} 键
+   */
+  function getCookieKey(cookie) {
+    return JSON.stringify([
+      cookie.domain.replace(/^\./, ''),
+      isHostOnlyCookie(cookie),
+      cookie.name,
+      cookie.path || '/',
+      getPartitionSite(cookie)
+    ]);
+  }
+
+  /**
+   * 判断两个Cookie是否为同一个Cookie（见getCookieKey）
+   * @param {object} a - Cookie
+   * @param {object} b - Cookie
+   * @returns {boolean} 是否相同
+   */
+  function isSameCookie(a, b) {
+    return getCookieKey(a) === getCookieKey(b);
+  }
+
+  /**
+   * 将按域名组织的Cookie数据展开为列表
+   * @param {object} profileCookies - 按域名组织的Cookie数据
+   * @returns {Array} Cookie列表
+   */
+  function flattenCookies(profileCookies) {
+    return Object.values(profileCookies).filter(Array.isArray).flat();
+  }
+
+  /**
+   * 将弹窗中选中的Cookie转换为可以用isSameCookie比较的对象
+   * @param {object} ref - 选中的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}，domain为分组域名
+   * @returns {object} Cookie
+   */
+  function toCookieTarget(ref) {
+    return {
+      name: ref.name,
+      domain: ref.cookieDomain || ref.domain,
+      hostOnly: ref.hostOnly,
+      path: ref.path,
+      partitionKey: ref.topLevelSite ? { topLevelSite: ref.topLevelSite } : undefined
+    };
+  }
+
+  /**
+   * 生成用于展示的Cookie摘要
+   * @param {object} cookie - Cookie
+   * @returns {{domain: string, name: string, path: string, topLevelSite?: string}} Cookie摘要
+   */
+  function toCookieSummary(cookie) {
+    const summary = { domain: cookie.domain, name: cookie.name, path: cookie.path || '/' };
+    if (getPartitionSite(cookie)) {
+      summary.topLevelSite = getPartitionSite(cookie);
+    }
+    return summary;
+  }
+
+  /**
+   * 读取Cookie存储中的Cookie（包括分区Cookie）
+   * 不指定partitionKey时chrome.cookies.getAll只返回未分区的Cookie，传入空对象时返回全部
+   * @param {object} [filter] - chrome.cookies.getAll的过滤条件
+   * @returns {Promise<Array>} 浏览器Cookie列表
+   */
+  function getAllBrowserCookies(filter = {}) {
+    return chrome.cookies.getAll({ ...filter, partitionKey: {} });
+  }
+
+  /**
+   * 补全存储Cookie缺失的字段（兼容旧版本保存的数据）
+   * @param {object} cookie - 存储的Cookie
+   * @returns {object} 补全后的Cookie
+   */
+  function normalizeStoredCookie(cookie) {
+    const normalized = {
+      ...cookie,
+      value: cookie.value || '',
+      hostOnly: isHostOnlyCookie(cookie),
+      path: cookie.path || '/',
+      secure: !!cookie.secure,
+      httpOnly: !!cookie.httpOnly,
+      sameSite: cookie.sameSite || 'unspecified',
+      storeId: cookie.storeId || ConfigManager.DEFAULT_STORE_ID
+    };
+    if (normalized.expirationDate === undefined) {
+      delete normalized.expirationDate;
+    }
+    return normalized;
+  }
+
+  /**
+   * 补全配置中所有Cookie缺失的字段
+   * @param {object} profileCookies - 按域名组织的Cookie数据
+   * @returns {object} 补全后的Cookie数据
+   */
+  function normalizeProfileCookies(profileCookies) {
+    const normalized = {};
+    for (const [domain, cookies] of Object.entries(profileCookies)) {
+      normalized[domain] = Array.isArray(cookies) ? cookies.map(normalizeStoredCookie) : cookies;
+    }
+    return normalized;
+  }
+
+  /**
+   * 将chrome.cookies返回的Cookie转换为统一的存储格式
+   * @param {object} cookie - chrome.cookies.Cookie对象
+   * @returns {object} 存储的Cookie
+   */
+  function toStoredCookie(cookie) {
+    const stored = {
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      hostOnly: cookie.hostOnly,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite,
+      expirationDate: cookie.expirationDate,
+      storeId: cookie.storeId
+    };
+    if (cookie.partitionKey) {
+      stored.partitionKey = cookie.partitionKey;
+    }
+    // 会话Cookie没有过期时间，记录捕获时间以便判断是否可能已失效
+    if (!cookie.expirationDate) {
+      stored.capturedAt = Date.now();
+    }
+    return normalizeStoredCookie(stored);
+  }
+
+  /**
+   * 判断配置是否记录该Cookie（配置设置为不记录会话Cookie时跳过会话Cookie）
+   * @param {object} profile - 配置对象
+   * @param {object} cookie - chrome.cookies.Cookie对象
+   * @returns {boolean} 是否记录
+   */
+  function shouldCaptureCookie(profile, cookie) {
+    return !!cookie.expirationDate ||
+      ConfigManager.getSessionCookiePolicy(profile) !== ConfigManager.SESSION_COOKIE_POLICY_SKIP;
+  }
+
+  /**
+   * 将chrome.cookies返回的Cookie按域名（不含前导点）分组并转换为存储格式
+   * @param {Array} cookies - chrome.cookies.Cookie对象列表
+   * @returns {object} 按域名组织的Cookie数据
+   */
+  function groupCookiesByDomain(cookies) {
+    const cookiesByDomain = {};
+    for (const cookie of cookies) {
+      const domain = cookie.domain.startsWith('.') 
+        ? cookie.domain.substring(1) 
+        : cookie.domain;
+      if (!cookiesByDomain[domain]) {
+        cookiesByDomain[domain] = [];
+      }
+      cookiesByDomain[domain].push(toStoredCookie(cookie));
+    }
+    return cookiesByDomain;
   }
 
   /**
@@ -92,37 +611,20 @@
 
   /**
    * 保存指定域名的所有Cookie到配置
-   * @param {string} profileId - 配置ID
+   * @param {object} profile - 配置对象
    * @param {string} domain - 域名
+   * @param {string} [storeId] - Cookie存储ID
    * @returns {Promise<void>}
    */
-  async function saveCookies(profileId, domain) {
+  async function saveCookies(profile, domain, storeId = ConfigManager.DEFAULT_STORE_ID) {
     try {
       // 获取该域名的所有Cookie
-      const cookies = await chrome.cookies.getAll({ domain });
-      
-      // 获取当前Cookie数据
-      const cookieData = await getCookieData();
-      
-      // 初始化配置的Cookie数据
-      if (!cookieData[profileId]) {
-        cookieData[profileId] = {};
-      }
+      const cookies = await getAllBrowserCookies({ domain, storeId });
       
       // 保存Cookie（需要保存完整属性）
-      cookieData[profileId][domain] = cookies.map(cookie => ({
-        name: cookie.name,
-        value: cookie.value,
-        domain: cookie.domain,
-        path: cookie.path,
-        secure: cookie.secure,
-        httpOnly: cookie.httpOnly,
-        sameSite: cookie.sameSite,
-        expirationDate: cookie.expirationDate,
-        storeId: cookie.storeId
-      }));
-      
-      await saveCookieData(cookieData);
+      await updateProfileCookies(profile.id, profileCookies => {
+        profileCookies[domain] = cookies.filter(cookie => shouldCaptureCookie(profile, cookie)).map(toStoredCookie);
+      });
     } catch (error) {
       console.error('保存Cookie失败:', error);
       throw error;
@@ -130,11 +632,30 @@
   }
 
   /**
-   * 保存当前所有匹配域名的Cookie到激活配置
+   * 将访问指定网址时会发送的Cookie（任意路径）合并到配置，相同的Cookie以浏览器中的为准
+   * @param {object} profile - 配置对象
+   * @param {string} url - 网页地址
+   * @param {string} [storeId] - Cookie存储ID
+   * @returns {Promise<number>} 保存的Cookie数量
+   */
+  async function captureSiteCookies(profile, url, storeId = ConfigManager.DEFAULT_STORE_ID) {
+    const hostname = new URL(url).hostname;
+    const cookies = (await getAllBrowserCookies({ storeId })).filter(cookie =>
+      (cookie.hostOnly ? cookie.domain === hostname : isDomainMatch(hostname, cookie.domain)) &&
+      shouldCaptureCookie(profile, cookie));
+    
+    await updateProfileCookies(profile.id, profileCookies =>
+      mergeCookieData(profileCookies, groupCookiesByDomain(cookies)));
+    return cookies.length;
+  }
+
+  /**
+   * 保存当前所有匹配域名的Cookie到该Cookie存储中激活的配置
+   * @param {string} [storeId] - Cookie存储ID
    * @returns {Promise<void>}
    */
-  async function saveCurrentProfileCookies() {
-    const activeProfile = await ConfigManager.getActiveProfile();
+  async function saveCurrentProfileCookies(storeId = ConfigManager.DEFAULT_STORE_ID) {
+    const activeProfile = await ConfigManager.getActiveProfile(storeId);
     if (!activeProfile) {
       return;
     }
@@ -142,37 +663,12 @@
     // 如果没有配置域名，保存所有Cookie
     if (!activeProfile.domains || activeProfile.domains.length === 0) {
       try {
-        const allCookies = await chrome.cookies.getAll({});
-        const cookieData = await getCookieData();
-        
-        if (!cookieData[activeProfile.id]) {
-          cookieData[activeProfile.id] = {};
-        }
+        const allCookies = await getAllBrowserCookies({ storeId });
         
         // 按域名分组保存Cookie
-        const cookiesByDomain = {};
-        for (const cookie of allCookies) {
-          const domain = cookie.domain.startsWith('.') 
-            ? cookie.domain.substring(1) 
-            : cookie.domain;
-          if (!cookiesByDomain[domain]) {
-            cookiesByDomain[domain] = [];
-          }
-          cookiesByDomain[domain].push({
-            name: cookie.name,
-            value: cookie.value,
-            domain: cookie.domain,
-            path: cookie.path,
-            secure: cookie.secure,
-            httpOnly: cookie.httpOnly,
-            sameSite: cookie.sameSite,
-            expirationDate: cookie.expirationDate,
-            storeId: cookie.storeId
-          });
-        }
+        const cookiesByDomain = groupCookiesByDomain(allCookies.filter(cookie => shouldCaptureCookie(activeProfile, cookie)));
         
-        cookieData[activeProfile.id] = cookiesByDomain;
-        await saveCookieData(cookieData);
+        await updateProfileCookies(activeProfile.id, () => cookiesByDomain);
       } catch (error) {
         console.error('保存所有Cookie失败:', error);
         throw error;
@@ -187,94 +683,54 @@
         const baseDomain = domain.substring(2);
         try {
           // 获取基础域名及其所有子域名的Cookie
-          const allCookies = await chrome.cookies.getAll({});
+          const allCookies = await getAllBrowserCookies({ storeId });
           const matchedCookies = allCookies.filter(cookie => {
             const cookieDomain = cookie.domain.startsWith('.') 
               ? cookie.domain.substring(1) 
               : cookie.domain;
-            return cookieDomain === baseDomain || cookieDomain.endsWith('.' + baseDomain);
+            return (cookieDomain === baseDomain || cookieDomain.endsWith('.' + baseDomain)) &&
+              shouldCaptureCookie(activeProfile, cookie);
           });
           
-          const cookieData = await getCookieData();
-          if (!cookieData[activeProfile.id]) {
-            cookieData[activeProfile.id] = {};
-          }
-          
           // 按实际域名分组保存
-          for (const cookie of matchedCookies) {
-            const cookieDomain = cookie.domain.startsWith('.') 
-              ? cookie.domain.substring(1) 
-              : cookie.domain;
-            if (!cookieData[activeProfile.id][cookieDomain]) {
-              cookieData[activeProfile.id][cookieDomain] = [];
+          await updateProfileCookies(activeProfile.id, profileCookies => {
+            for (const cookie of matchedCookies) {
+              const cookieDomain = cookie.domain.startsWith('.') 
+                ? cookie.domain.substring(1) 
+                : cookie.domain;
+              if (!profileCookies[cookieDomain]) {
+                profileCookies[cookieDomain] = [];
+              }
+              profileCookies[cookieDomain].push(toStoredCookie(cookie));
             }
-            cookieData[activeProfile.id][cookieDomain].push({
-              name: cookie.name,
-              value: cookie.value,
-              domain: cookie.domain,
-              path: cookie.path,
-              secure: cookie.secure,
-              httpOnly: cookie.httpOnly,
-              sameSite: cookie.sameSite,
-              expirationDate: cookie.expirationDate,
-              storeId: cookie.storeId
-            });
-          }
-          await saveCookieData(cookieData);
+          });
         } catch (error) {
           console.error(`保存通配符域名 ${domain} 的Cookie失败:`, error);
         }
       } else {
-        await saveCookies(activeProfile.id, domain);
+        await saveCookies(activeProfile, domain, storeId);
       }
     }
   }
 
   /**
-   * 恢复指定配置的Cookie
+   * 将指定配置的Cookie恢复到Cookie存储
+   * 配置设置了会话Cookie有效期时，会话Cookie恢复为在该有效期后过期的持久Cookie
    * @param {string} profileId - 配置ID
+   * @param {string} [storeId] - Cookie存储ID
+   * @param {object} [report] - 记录结果的切换报告
    * @returns {Promise<void>}
    */
-  async function loadCookies(profileId) {
+  async function loadCookies(profileId, storeId = ConfigManager.DEFAULT_STORE_ID, report) {
     try {
-      const cookieData = await getCookieData();
-      const profileCookies = cookieData[profileId];
-      
-      if (!profileCookies) {
-        return;
+      const profile = (await ConfigManager.getProfiles()).find(p => p.id === profileId);
+      const options = { report };
+      if (profile && ConfigManager.getSessionCookiePolicy(profile) === ConfigManager.SESSION_COOKIE_POLICY_TTL) {
+        options.sessionCookieTtl = ConfigManager.getSessionCookieTtlHours(profile) * 3600;
       }
       
-      // 遍历所有域名的Cookie并恢复
-      for (const [domain, cookies] of Object.entries(profileCookies)) {
-        if (!Array.isArray(cookies)) continue;
-        
-        for (const cookie of cookies) {
-          try {
-            // 构建Cookie设置参数
-            const cookieDetails = {
-              url: `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path || '/'}`,
-              name: cookie.name,
-              value: cookie.value,
-              path: cookie.path || '/',
-              secure: cookie.secure || false,
-              httpOnly: cookie.httpOnly || false,
-              sameSite: cookie.sameSite || 'no_restriction'
-            };
-            
-            // 如果有过期时间，添加过期时间
-            if (cookie.expirationDate) {
-              cookieDetails.expirationDate = cookie.expirationDate;
-            }
-            
-            // 注意：httpOnly的Cookie无法通过JavaScript设置，需要特殊处理
-            // 这里尝试设置，如果失败会捕获错误
-            await chrome.cookies.set(cookieDetails);
-          } catch (error) {
-            // 某些Cookie可能无法设置（如httpOnly），记录但不中断流程
-            console.warn(`无法设置Cookie ${cookie.name}:`, error);
-          }
-        }
-      }
+      const profileCookies = await getProfileCookies(profileId);
+      await setBrowserCookies(profileCookies, storeId, options);
     } catch (error) {
       console.error('恢复Cookie失败:', error);
       throw error;
@@ -282,115 +738,572 @@
   }
 
   /**
-   * 清空所有Cookie
-   * @param {string[]} excludeDomains - 排除的域名列表（可选）
-   * @returns {Promise<void>}
+   * 构建chrome.cookies.set的参数，使写回的Cookie与记录时的作用域和属性完全一致
+   * 仅限当前主机的Cookie不能传domain（传入后会变成对子域名生效的Cookie），域Cookie必须传domain
+   * @param {object} cookie - 保存的Cookie
+   * @param {string} [storeId] - 写入的Cookie存储ID，不传时使用Cookie记录时所在的存储
+   * @returns {object} Cookie设置参数
    */
-  async function clearAllCookies(excludeDomains = []) {
+  function buildSetDetails(cookie, storeId) {
+    const normalized = normalizeStoredCookie(cookie);
+    const host = normalized.domain.startsWith('.') ? normalized.domain.substring(1) : normalized.domain;
+    const cookieDetails = {
+      url: `http${normalized.secure ? 's' : ''}://${host}${normalized.path}`,
+      name: normalized.name,
+      value: normalized.value,
+      path: normalized.path,
+      secure: normalized.secure,
+      httpOnly: normalized.httpOnly,
+      sameSite: normalized.sameSite,
+      storeId: storeId || normalized.storeId
+    };
+    
+    if (!normalized.hostOnly) {
+      cookieDetails.domain = normalized.domain;
+    }
+    
+    // 如果有过期时间，添加过期时间
+    if (normalized.expirationDate) {
+      cookieDetails.expirationDate = normalized.expirationDate;
+    }
+    
+    // 分区Cookie需要写回原来的分区
+    if (normalized.partitionKey) {
+      cookieDetails.partitionKey = { ...normalized.partitionKey };
+    }
+    
+    return cookieDetails;
+  }
+
+  /**
+   * 判断保存的Cookie是否已过期
+   * @param {object} cookie - 保存的Cookie
+   * @param {number} now - 当前时间（毫秒）
+   * @returns {boolean} 是否已过期
+   */
+  function isCookieExpired(cookie, now = Date.now()) {
+    return !!cookie.expirationDate && cookie.expirationDate * 1000 <= now;
+  }
+
+  /**
+   * 预测chrome.cookies.set会拒绝该Cookie的原因
+   * @param {object} details - Cookie设置参数
+   * @returns {string|null} 拒绝原因，预计可以设置时返回null
+   */
+  function getSetRejectionReason(details) {
+    if (!details.name && !details.value) {
+      return '名称和值都为空';
+    }
+    if ((details.name || '').length + (details.value || '').length > MAX_COOKIE_SIZE) {
+      return `名称和值超过${MAX_COOKIE_SIZE}字节`;
+    }
     try {
-      // 获取所有Cookie
-      const allCookies = await chrome.cookies.getAll({});
+      new URL(details.url);
+    } catch (error) {
+      return '域名无法组成有效的URL';
+    }
+    if (details.sameSite === 'no_restriction' && !details.secure) {
+      return 'SameSite=None的Cookie必须设置Secure';
+    }
+    if (details.name.startsWith('__Secure-') && !details.secure) {
+      return '__Secure-前缀的Cookie必须设置Secure';
+    }
+    if (details.name.startsWith('__Host-') && (!details.secure || details.path !== '/')) {
+      return '__Host-前缀的Cookie必须设置Secure且路径为/';
+    }
+    if (details.name.startsWith('__Host-') && details.domain) {
+      return '__Host-前缀的Cookie必须仅限当前主机，不能对子域名生效';
+    }
+    if (details.partitionKey && !details.secure) {
+      return '分区Cookie必须设置Secure';
+    }
+    return null;
+  }
+
+  /**
+   * 创建切换报告，记录每个域名清除、恢复、跳过（已过期）和失败的Cookie数量以及每个失败的原因
+   * @returns {{domains: object, failures: Array}} 切换报告
+   */
+  function createSwitchReport() {
+    return { domains: {}, failures: [] };
+  }
+
+  /**
+   * 在切换报告中记录一个Cookie的处理结果
+   * @param {object|undefined} report - 切换报告，未传入时不记录
+   * @param {object} cookie - Cookie
+   * @param {string} result - 处理结果（cleared、restored、expired、failed）
+   * @param {object} [failure] - 失败时的 {operation, reason}
+   */
+  function recordSwitchResult(report, cookie, result, failure) {
+    if (!report) {
+      return;
+    }
+    const domain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+    if (!report.domains[domain]) {
+      report.domains[domain] = { cleared: 0, restored: 0, expired: 0, failed: 0 };
+    }
+    report.domains[domain][result]++;
+    if (failure) {
+      report.failures.push({ ...toCookieSummary(cookie), ...failure });
+    }
+  }
+
+  /**
+   * 将按域名组织的Cookie数据写入浏览器
+   * @param {object} profileCookies - 按域名组织的Cookie数据
+   * @param {string} [storeId] - 写入的Cookie存储ID，不传时写回每个Cookie记录时所在的存储
+   * @param {object} [options] - {sessionCookieTtl: 会话Cookie的有效期（秒），不传时恢复为会话Cookie；report: 记录结果的切换报告}
+   * @returns {Promise<void>}
+   */
+  async function setBrowserCookies(profileCookies, storeId, options = {}) {
+    const now = Date.now();
+    // 遍历所有域名的Cookie并恢复
+    for (const [domain, cookies] of Object.entries(profileCookies)) {
+      if (!Array.isArray(cookies)) continue;
       
-      // 删除每个Cookie
-      for (const cookie of allCookies) {
-        // 如果域名在排除列表中，跳过
-        if (excludeDomains.some(domain => isDomainMatch(cookie.domain, domain))) {
+      for (const cookie of cookies) {
+        // 已过期的Cookie写入后会被浏览器立即删除，直接跳过
+        if (isCookieExpired(cookie, now)) {
+          recordSwitchResult(options.report, cookie, 'expired');
+          continue;
+        }
+        const details = buildSetDetails(cookie, storeId);
+        if (options.sessionCookieTtl && !details.expirationDate) {
+          details.expirationDate = Math.floor(now / 1000) + options.sessionCookieTtl;
+        }
+        // 预计会被浏览器拒绝的Cookie（如不满足__Host-、__Secure-前缀要求）直接跳过并说明原因
+        const reason = getSetRejectionReason(details);
+        if (reason) {
+          console.warn(`跳过Cookie ${cookie.name}（${domain}）: ${reason}`);
+          recordSwitchResult(options.report, cookie, 'failed', { operation: 'restore', reason });
           continue;
         }
-        
         try {
-          const url = `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path || '/'}`;
-          await chrome.cookies.remove({
-            url: url,
-            name: cookie.name
-          });
+          // 这里尝试设置，如果失败会捕获错误；浏览器拒绝写入时返回null
+          const result = await chrome.cookies.set(details);
+          if (!result) {
+            throw new Error('浏览器拒绝写入该Cookie');
+          }
+          recordSwitchResult(options.report, cookie, 'restored');
         } catch (error) {
-          console.warn(`无法删除Cookie ${cookie.name}:`, error);
+          // 某些Cookie可能无法设置，记录但不中断流程
+          console.warn(`无法设置Cookie ${cookie.name}:`, error);
+          recordSwitchResult(options.report, cookie, 'failed', { operation: 'restore', reason: error.message });
         }
       }
+    }
+  }
+
+  /**
+   * 获取清空时会被删除的浏览器Cookie
+   * @param {string[]} excludeDomains - 排除的域名列表（可选）
+   * @param {string} [storeId] - Cookie存储ID
+   * @returns {Promise<Array>} 浏览器Cookie列表
+   */
+  async function getCookiesToClear(excludeDomains = [], storeId = ConfigManager.DEFAULT_STORE_ID) {
+    const allCookies = await getAllBrowserCookies({ storeId });
+    // 如果域名在排除列表中，跳过
+    return allCookies.filter(cookie => !excludeDomains.some(domain => isDomainMatch(cookie.domain, domain)));
+  }
+
+  /**
+   * 获取属于指定域名列表的浏览器Cookie
+   * @param {string[]} domains - 域名列表（支持通配符）
+   * @param {string} [storeId] - Cookie存储ID
+   * @returns {Promise<Array>} 浏览器Cookie列表
+   */
+  async function getCookiesInDomains(domains, storeId = ConfigManager.DEFAULT_STORE_ID) {
+    if (domains.length === 0) {
+      return [];
+    }
+    const allCookies = await getAllBrowserCookies({ storeId });
+    return allCookies.filter(cookie => domains.some(domain => isDomainMatch(cookie.domain, domain)));
+  }
+
+  /**
+   * 从浏览器删除Cookie
+   * @param {Array} cookies - 浏览器Cookie列表
+   * @param {string} [storeId] - Cookie存储ID，不传时使用每个Cookie所在的存储
+   * @param {object} [report] - 记录结果的切换报告
+   * @returns {Promise<void>}
+   */
+  async function removeBrowserCookies(cookies, storeId, report) {
+    for (const cookie of cookies) {
+      try {
+        // 网址中的主机名不能带有整个域Cookie的前导点
+        const host = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+        const url = `http${cookie.secure ? 's' : ''}://${host}${cookie.path || '/'}`;
+        const details = {
+          url: url,
+          name: cookie.name,
+          storeId: storeId || cookie.storeId || ConfigManager.DEFAULT_STORE_ID
+        };
+        // 分区Cookie只能通过分区键删除
+        if (cookie.partitionKey) {
+          details.partitionKey = { ...cookie.partitionKey };
+        }
+        const result = await chrome.cookies.remove(details);
+        if (!result) {
+          throw new Error('浏览器未能删除该Cookie');
+        }
+        recordSwitchResult(report, cookie, 'cleared');
+      } catch (error) {
+        console.warn(`无法删除Cookie ${cookie.name}:`, error);
+        recordSwitchResult(report, cookie, 'failed', { operation: 'clear', reason: error.message });
+      }
+    }
+  }
+
+  /**
+   * 清空Cookie存储中的所有Cookie
+   * @param {string[]} excludeDomains - 排除的域名列表（可选）
+   * @param {string} [storeId] - Cookie存储ID
+   * @param {object} [report] - 记录结果的切换报告
+   * @returns {Promise<void>}
+   */
+  async function clearAllCookies(excludeDomains = [], storeId = ConfigManager.DEFAULT_STORE_ID, report) {
+    try {
+      await removeBrowserCookies(await getCookiesToClear(excludeDomains, storeId), storeId, report);
     } catch (error) {
       console.error('清空Cookie失败:', error);
       throw error;
     }
   }
 
+  /**
+   * 预览恢复Cookie的结果（不修改浏览器）
+   * @param {object} profileCookies - 按域名组织的Cookie数据
+   * @returns {{restored: Array, expired: Array, rejected: Array}} 预计恢复、已过期和预计被拒绝的Cookie
+   */
+  function previewSetBrowserCookies(profileCookies) {
+    const now = Date.now();
+    const preview = { restored: [], expired: [], rejected: [] };
+    
+    for (const cookies of Object.values(profileCookies)) {
+      if (!Array.isArray(cookies)) continue;
+      
+      for (const cookie of cookies) {
+        const summary = toCookieSummary(cookie);
+        if (isCookieExpired(cookie, now)) {
+          preview.expired.push({ ...summary, expirationDate: cookie.expirationDate });
+          continue;
+        }
+        const reason = getSetRejectionReason(buildSetDetails(cookie));
+        if (reason) {
+          preview.rejected.push({ ...summary, reason });
+        } else {
+          preview.restored.push(summary);
+        }
+      }
+    }
+    
+    return preview;
+  }
+
   /**
    * 清空指定配置的所有Cookie数据
    * @param {string} profileId - 配置ID
    * @returns {Promise<void>}
    */
   async function clearProfileCookies(profileId) {
-    const cookieData = await getCookieData();
-    if (cookieData[profileId]) {
-      delete cookieData[profileId];
-      await saveCookieData(cookieData);
-    }
+    await StorageUtils.withStorageLock(() => StorageUtils.removeStorage(getCookieStorageKey(profileId)));
   }
 
   /**
-   * 保存单个Cookie到当前激活配置
-   * @param {object} cookie - Cookie对象
+   * 获取配置Cookie删除记录的存储键
+   * @param {string} profileId - 配置ID
+   * @returns {string} 存储键
+   */
+  function getRemovalHistoryKey(profileId) {
+    return STORAGE_KEY_PREFIX_REMOVAL_HISTORY + profileId;
+  }
+
+  /**
+   * 获取配置的Cookie删除记录（最新的在前）
+   * @param {string} profileId - 配置ID
+   * @returns {Promise<Array>} 删除记录列表
+   */
+  async function getRemovalHistory(profileId) {
+    const storageKey = getRemovalHistoryKey(profileId);
+    const data = await StorageUtils.getStorage(storageKey);
+    return data[storageKey] || [];
+  }
+
+  /**
+   * 追加配置的Cookie删除记录，只保留最近的记录（调用方需持有存储锁）
+   * @param {string} profileId - 配置ID
+   * @param {Array} entries - 删除记录列表，按发生顺序排列
    * @returns {Promise<void>}
    */
-  async function saveCookieToActiveProfile(cookie) {
-    const activeProfile = await ConfigManager.getActiveProfile();
-    if (!activeProfile) {
-      return;
-    }
-    
-    // 检查Cookie是否属于配置的域名列表（如果没有配置域名，则对所有域名生效）
-    if (!isCookieInDomains(cookie, activeProfile.domains)) {
-      return;
+  async function appendRemovalHistory(profileId, entries) {
+    // 删除记录只包含名称、域名和路径，不包含Cookie值
+    const history = await getRemovalHistory(profileId);
+    await StorageUtils.setStorage({
+      [getRemovalHistoryKey(profileId)]: entries.slice().reverse().concat(history).slice(0, MAX_REMOVAL_HISTORY)
+    });
+  }
+
+  /**
+   * 清空配置的Cookie删除记录
+   * @param {string} profileId - 配置ID
+   * @returns {Promise<void>}
+   */
+  async function clearRemovalHistory(profileId) {
+    await StorageUtils.withStorageLock(() => StorageUtils.removeStorage(getRemovalHistoryKey(profileId)));
+  }
+
+  /**
+   * 批量应用Cookie变化到各Cookie存储中激活的配置
+   * 不同存储（如普通窗口和隐身窗口）的变化分别写入各自激活的配置，互不混合
+   * @param {Array<{cookie: object, removed: boolean, cause: string}>} changes - Cookie变化列表，按发生顺序排列
+   * @returns {Promise<number>} 实际应用的变化数量
+   */
+  async function applyCookieChangesToActiveProfile(changes) {
+    const changesByStore = new Map();
+    for (const change of changes) {
+      const storeId = change.cookie.storeId || ConfigManager.DEFAULT_STORE_ID;
+      if (!changesByStore.has(storeId)) {
+        changesByStore.set(storeId, []);
+      }
+      changesByStore.get(storeId).push(change);
     }
     
-    // 获取Cookie的实际域名（用作存储key）
-    const cookieDomain = cookie.domain.startsWith('.') 
-      ? cookie.domain.substring(1) 
-      : cookie.domain;
-    
-    // 获取当前Cookie数据
-    const cookieData = await getCookieData();
-    if (!cookieData[activeProfile.id]) {
-      cookieData[activeProfile.id] = {};
-    }
-    if (!cookieData[activeProfile.id][cookieDomain]) {
-      cookieData[activeProfile.id][cookieDomain] = [];
+    let applied = 0;
+    for (const [storeId, storeChanges] of changesByStore) {
+      const activeProfile = await ConfigManager.getActiveProfile(storeId);
+      if (activeProfile) {
+        applied += await applyCookieChangesToProfile(activeProfile, storeChanges);
+      }
     }
-    
-    // 检查是否已存在同名Cookie，如果存在则更新，否则添加
-    const existingIndex = cookieData[activeProfile.id][cookieDomain].findIndex(
-      c => c.name === cookie.name && c.path === cookie.path
+    return applied;
+  }
+
+  /**
+   * 批量应用Cookie变化到配置（只读写一次存储）
+   * 设置的Cookie会被保存或更新，删除和过期的Cookie会从配置中移除并记入删除记录
+   * @param {object} activeProfile - 配置对象
+   * @param {Array<{cookie: object, removed: boolean, cause: string}>} changes - Cookie变化列表，按发生顺序排列
+   * @returns {Promise<number>} 实际应用的变化数量
+   */
+  async function applyCookieChangesToProfile(activeProfile, changes) {
+    // 检查Cookie是否属于配置的域名列表（如果没有配置域名，则对所有域名生效），并跳过配置不记录的会话Cookie
+    const matched = changes.filter(change =>
+      isCookieInDomains(change.cookie, activeProfile.domains) &&
+      (change.removed || shouldCaptureCookie(activeProfile, change.cookie))
     );
+    if (matched.length === 0) {
+      return 0;
+    }
     
-    const cookieToSave = {
-      name: cookie.name,
-      value: cookie.value,
-      domain: cookie.domain,
-      path: cookie.path,
-      secure: cookie.secure,
-      httpOnly: cookie.httpOnly,
-      sameSite: cookie.sameSite,
-      expirationDate: cookie.expirationDate,
-      storeId: cookie.storeId
-    };
-    
-    if (existingIndex >= 0) {
-      cookieData[activeProfile.id][cookieDomain][existingIndex] = cookieToSave;
-    } else {
-      cookieData[activeProfile.id][cookieDomain].push(cookieToSave);
+    return StorageUtils.withStorageLock(async () => {
+      const profileCookies = await getProfileCookies(activeProfile.id);
+      const removals = [];
+      
+      for (const { cookie, removed, cause } of matched) {
+        // 获取Cookie的实际域名（用作存储key）
+        const cookieDomain = cookie.domain.startsWith('.') 
+          ? cookie.domain.substring(1) 
+          : cookie.domain;
+        const list = profileCookies[cookieDomain] || [];
+        
+        if (removed) {
+          const index = list.findIndex(c => isSameCookie(c, cookie));
+          if (index === -1) {
+            continue;
+          }
+          list.splice(index, 1);
+          if (list.length === 0) {
+            delete profileCookies[cookieDomain];
+          }
+          removals.push({
+            ...toCookieSummary(cookie),
+            cause,
+            removedAt: Date.now()
+          });
+          continue;
+        }
+        
+        // 检查是否已存在同名Cookie，如果存在则更新，否则添加
+        const existingIndex = list.findIndex(c => isSameCookie(c, cookie));
+        
+        const cookieToSave = toStoredCookie(cookie);
+        
+        if (existingIndex >= 0) {
+          list[existingIndex] = cookieToSave;
+        } else {
+          list.push(cookieToSave);
+        }
+        profileCookies[cookieDomain] = list;
+      }
+      
+      await saveProfileCookies(activeProfile.id, profileCookies);
+      
+      if (removals.length > 0) {
+        await appendRemovalHistory(activeProfile.id, removals);
+      }
+      
+      return matched.length;
+    });
+  }
+
+  /**
+   * 保存单个Cookie到其所在Cookie存储中激活的配置
+   * @param {object} cookie - Cookie对象
+   * @returns {Promise<void>}
+   */
+  async function saveCookieToActiveProfile(cookie) {
+    await applyCookieChangesToActiveProfile([{ cookie, removed: false }]);
+  }
+
+  /**
+   * 更新配置中的Cookie（名称、域名或路径改变时会检查是否与其他Cookie冲突）
+   * @param {string} profileId - 配置ID
+   * @param {object} ref - 要更新的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}，domain为分组域名
+   * @param {object} updates - 要更新的字段
+   * @returns {Promise<void>}
+   */
+  async function updateCookie(profileId, ref, updates) {
+    await updateProfileCookies(profileId, profileCookies => {
+      const cookies = profileCookies[ref.domain];
+      if (!cookies) {
+        throw new Error('Cookie不存在');
+      }
+      
+      const target = toCookieTarget(ref);
+      const index = cookies.findIndex(c => isSameCookie(c, target));
+      if (index === -1) {
+        throw new Error('Cookie不存在');
+      }
+      
+      const updated = { ...cookies[index], ...updates };
+      // 修改域名时按是否以.开头重新判断是否仅限当前主机
+      if (updates.domain !== undefined && updates.domain !== cookies[index].domain) {
+        updated.hostOnly = !updated.domain.startsWith('.');
+      }
+      const conflict = cookies.some((c, i) => i !== index && isSameCookie(c, updated));
+      if (conflict) {
+        throw new Error('Cookie已存在');
+      }
+      
+      cookies[index] = normalizeStoredCookie(updated);
+    });
+  }
+
+  /**
+   * 删除配置中的Cookie
+   * @param {string} profileId - 配置ID
+   * @param {object} ref - 要删除的Cookie {domain, cookieDomain, hostOnly, name, path, topLevelSite}，domain为分组域名
+   * @returns {Promise<void>}
+   */
+  async function deleteCookie(profileId, ref) {
+    await updateProfileCookies(profileId, profileCookies => {
+      if (!profileCookies[ref.domain]) {
+        throw new Error('Cookie不存在');
+      }
+      
+      const cookies = profileCookies[ref.domain];
+      const target = toCookieTarget(ref);
+      const filtered = cookies.filter(c => !isSameCookie(c, target));
+      
+      if (filtered.length === 0) {
+        delete profileCookies[ref.domain];
+      } else {
+        profileCookies[ref.domain] = filtered;
+      }
+    });
+  }
+
+  /**
+   * 添加Cookie到配置
+   * @param {string} profileId - 配置ID
+   * @param {string} domain - 域名
+   * @param {object} cookie - Cookie对象
+   * @returns {Promise<void>}
+   */
+  async function addCookie(profileId, domain, cookie) {
+    if (!cookie || !cookie.name) {
+      throw new Error('请输入Cookie名称');
     }
     
-    await saveCookieData(cookieData);
+    await updateProfileCookies(profileId, profileCookies => {
+      if (!profileCookies[domain]) {
+        profileCookies[domain] = [];
+      }
+      
+      const newCookie = normalizeStoredCookie({
+        name: cookie.name,
+        value: cookie.value || '',
+        domain: cookie.domain || domain,
+        path: cookie.path || '/',
+        secure: cookie.secure || false,
+        httpOnly: cookie.httpOnly || false,
+        sameSite: cookie.sameSite || 'unspecified',
+        expirationDate: cookie.expirationDate,
+        storeId: cookie.storeId
+      });
+      
+      // 检查是否已存在
+      if (profileCookies[domain].some(c => isSameCookie(c, newCookie))) {
+        throw new Error('Cookie已存在');
+      }
+      
+      profileCookies[domain].push(newCookie);
+    });
   }
 
   // 导出到全局对象
   global.CookieManager = {
+    STORAGE_KEY_SWITCH_JOURNAL,
+    STORAGE_KEY_BULK_UNDO,
+    STORAGE_KEY_MIGRATION_BACKUP,
+    getCookieData,
+    getProfileCookies,
+    saveProfileCookies,
+    updateProfileCookies,
+    getStoredShards,
+    getCookieStorageKey,
+    getSnapshotStorageKey,
+    getProfileStorageKeys,
+    readProtectedValue,
+    writeProtectedValue,
+    writeProtectedValues,
+    normalizeProfileCookies,
+    groupCookiesByDomain,
+    getAllBrowserCookies,
+    getPartitionSite,
+    getCookieKey,
+    isSameCookie,
+    flattenCookies,
+    toCookieTarget,
+    isDomainMatch,
+    migrateLegacyCookieData,
+    mergeCookieData,
     saveCookies,
+    captureSiteCookies,
     saveCurrentProfileCookies,
     loadCookies,
+    previewSetBrowserCookies,
+    createSwitchReport,
+    getCookiesToClear,
+    getCookiesInDomains,
+    removeBrowserCookies,
+    setBrowserCookies,
     clearAllCookies,
     clearProfileCookies,
-    saveCookieToActiveProfile
+    saveCookieToActiveProfile,
+    applyCookieChangesToActiveProfile,
+    isCookieExpired,
+    toCookieSummary,
+    getRemovalHistory,
+    appendRemovalHistory,
+    clearRemovalHistory,
+    updateCookie,
+    deleteCookie,
+    addCookie,
+    enableEncryption,
+    changePassphrase,
+    disableEncryption
   };
 })(this);
 
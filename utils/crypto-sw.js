@@ -0,0 +1,256 @@
+/**
+ * 加密工具模块 - Service Worker版本
+ * 基于口令派生密钥（PBKDF2）并使用AES-GCM加密保存的Cookie（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const StorageUtils = global.StorageUtils;
+  if (!StorageUtils) {
+    throw new Error('StorageUtils未加载，请先加载utils/storage-sw.js');
+  }
+
+  const STORAGE_KEY_ENCRYPTION = 'encryption';
+  // 解锁后的密钥只保存在chrome.storage.session中（仅存于内存，浏览器关闭后失效）
+  const SESSION_KEY_ENCRYPTION_KEY = 'encryptionKey';
+
+  const PBKDF2_ITERATIONS = 600000;
+  const CHECK_TEXT = 'cookie-manager';
+
+  let cachedRawKey = null;
+  let cachedKey = null;
+
+  /**
+   * 字节数组转Base64
+   * @param {Uint8Array} bytes - 字节数组
+   * @returns {string} Base64字符串
+   */
+  function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Base64转字节数组
+   * @param {string} base64 - Base64字符串
+   * @returns {Uint8Array} 字节数组
+   */
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * 获取加密设置
+   * @returns {Promise<object|null>} 加密设置，未启用时返回null
+   */
+  async function getEncryptionSettings() {
+    const data = await StorageUtils.getStorage(STORAGE_KEY_ENCRYPTION);
+    const settings = data[STORAGE_KEY_ENCRYPTION];
+    return settings && settings.enabled ? settings : null;
+  }
+
+  /**
+   * 由口令派生AES-GCM密钥
+   * @param {string} passphrase - 口令
+   * @param {Uint8Array} salt - 盐
+   * @param {number} iterations - 迭代次数
+   * @returns {Promise<CryptoKey>} 派生的密钥
+   */
+  async function deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * 加密任意可JSON序列化的值
+   * @param {CryptoKey} key - 密钥
+   * @param {*} value - 要加密的值
+   * @returns {Promise<object>} 加密后的数据 {encrypted, iv, data}
+   */
+  async function encryptValue(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return {
+      encrypted: true,
+      iv: bytesToBase64(iv),
+      data: bytesToBase64(new Uint8Array(ciphertext))
+    };
+  }
+
+  /**
+   * 解密由encryptValue生成的数据
+   * @param {CryptoKey} key - 密钥
+   * @param {object} payload - 加密后的数据
+   * @returns {Promise<*>} 解密后的值
+   */
+  async function decryptValue(key, payload) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+      key,
+      base64ToBytes(payload.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * 判断存储的值是否为加密数据
+   * @param {*} value - 存储的值
+   * @returns {boolean} 是否为加密数据
+   */
+  function isEncryptedPayload(value) {
+    return !!value && value.encrypted === true && typeof value.data === 'string';
+  }
+
+  /**
+   * 获取当前会话中已解锁的密钥
+   * @returns {Promise<CryptoKey|null>} 密钥，未解锁时返回null
+   */
+  async function getSessionKey() {
+    const data = await chrome.storage.session.get(SESSION_KEY_ENCRYPTION_KEY);
+    const rawKey = data[SESSION_KEY_ENCRYPTION_KEY];
+    if (!rawKey) {
+      return null;
+    }
+    if (rawKey !== cachedRawKey) {
+      cachedKey = await crypto.subtle.importKey(
+        'raw',
+        base64ToBytes(rawKey),
+        { name: 'AES-GCM' },
+        true,
+        ['encrypt', 'decrypt']
+      );
+      cachedRawKey = rawKey;
+    }
+    return cachedKey;
+  }
+
+  /**
+   * 将密钥保存到当前会话
+   * @param {CryptoKey} key - 密钥
+   * @returns {Promise<void>}
+   */
+  async function setSessionKey(key) {
+    const rawKey = bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+    await chrome.storage.session.set({ [SESSION_KEY_ENCRYPTION_KEY]: rawKey });
+  }
+
+  /**
+   * 获取加密状态
+   * @returns {Promise<{enabled: boolean, unlocked: boolean}>} 加密状态
+   */
+  async function getStatus() {
+    const settings = await getEncryptionSettings();
+    if (!settings) {
+      return { enabled: false, unlocked: true };
+    }
+    return { enabled: true, unlocked: !!(await getSessionKey()) };
+  }
+
+  /**
+   * 是否已启用加密但尚未解锁
+   * @returns {Promise<boolean>} 是否处于锁定状态
+   */
+  async function isLocked() {
+    const status = await getStatus();
+    return status.enabled && !status.unlocked;
+  }
+
+  /**
+   * 为新口令生成加密设置和对应的密钥
+   * @param {string} passphrase - 口令
+   * @returns {Promise<{settings: object, key: CryptoKey}>} 加密设置和密钥
+   */
+  async function createSettings(passphrase) {
+    if (!passphrase || passphrase.length < 8) {
+      throw new Error('口令长度至少为8位');
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const settings = {
+      enabled: true,
+      salt: bytesToBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      check: await encryptValue(key, CHECK_TEXT)
+    };
+    return { settings, key };
+  }
+
+  /**
+   * 校验口令并返回派生的密钥
+   * @param {string} passphrase - 口令
+   * @returns {Promise<CryptoKey>} 密钥
+   */
+  async function verifyPassphrase(passphrase) {
+    const settings = await getEncryptionSettings();
+    if (!settings) {
+      throw new Error('未启用加密');
+    }
+    const key = await deriveKey(passphrase || '', base64ToBytes(settings.salt), settings.iterations);
+    try {
+      if (await decryptValue(key, settings.check) === CHECK_TEXT) {
+        return key;
+      }
+    } catch (error) {
+      // AES-GCM校验失败说明口令错误
+    }
+    throw new Error('口令错误');
+  }
+
+  /**
+   * 使用口令解锁
+   * @param {string} passphrase - 口令
+   * @returns {Promise<void>}
+   */
+  async function unlock(passphrase) {
+    const key = await verifyPassphrase(passphrase);
+    await setSessionKey(key);
+  }
+
+  /**
+   * 锁定（清除会话中的密钥）
+   * @returns {Promise<void>}
+   */
+  async function lock() {
+    await chrome.storage.session.remove(SESSION_KEY_ENCRYPTION_KEY);
+  }
+
+  // 导出到全局对象
+  global.CryptoUtils = {
+    STORAGE_KEY_ENCRYPTION,
+    getEncryptionSettings,
+    encryptValue,
+    decryptValue,
+    isEncryptedPayload,
+    getSessionKey,
+    setSessionKey,
+    getStatus,
+    isLocked,
+    createSettings,
+    verifyPassphrase,
+    unlock,
+    lock
+  };
+})(this);
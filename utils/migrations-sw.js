@@ -0,0 +1,233 @@
+/**
+ * 数据迁移模块 - Service Worker版本
+ * 记录存储数据结构的版本号，按顺序执行迁移并在迁移前备份数据（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const StorageUtils = global.StorageUtils;
+  const ConfigManager = global.ConfigManager;
+  const CookieManager = global.CookieManager;
+  if (!StorageUtils || !ConfigManager || !CookieManager) {
+    throw new Error('依赖模块未加载，请先加载utils/storage-sw.js、utils/config-manager-sw.js和utils/cookie-manager-sw.js');
+  }
+
+  const STORAGE_KEY_SCHEMA_VERSION = 'schemaVersion';
+  const STORAGE_KEY_MIGRATION_BACKUP = CookieManager.STORAGE_KEY_MIGRATION_BACKUP;
+  const STORAGE_KEY_MIGRATION_STATUS = 'migrationStatus';
+
+  /**
+   * 迁移列表，按版本号升序排列
+   * 每个迁移把数据从 version - 1 升级到 version，必须可以安全地重复执行
+   */
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: '将cookieData拆分为按配置保存的分片',
+      migrate: async () => {
+        await CookieManager.migrateLegacyCookieData();
+      }
+    },
+    {
+      version: 2,
+      description: '为配置添加版本号，补全Cookie的hostOnly、storeId等字段',
+      migrate: async () => {
+        const profiles = await ConfigManager.getProfiles();
+        await ConfigManager.saveProfiles(profiles.map(profile => ({
+          ...profile,
+          domains: profile.domains || [],
+          schemaVersion: 2
+        })));
+
+        // 加密的分片在锁定状态下无法改写，读取时会自动补全
+        const shards = await CookieManager.getStoredShards();
+        const items = {};
+        for (const [profileId, value] of Object.entries(shards)) {
+          if (value && value.encrypted !== true) {
+            items[CookieManager.getCookieStorageKey(profileId)] = CookieManager.normalizeProfileCookies(value);
+          }
+        }
+        if (Object.keys(items).length > 0) {
+          await StorageUtils.setStorage(items);
+        }
+      }
+    },
+    {
+      version: 3,
+      description: '按Cookie存储分别记录激活的配置',
+      migrate: async () => {
+        await ConfigManager.migrateActiveProfileId();
+        const profiles = await ConfigManager.getProfiles();
+        await ConfigManager.saveProfiles(profiles.map(profile => ({ ...profile, schemaVersion: 3 })));
+      }
+    }
+  ];
+
+  const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+  if (CURRENT_VERSION !== ConfigManager.SCHEMA_VERSION) {
+    throw new Error(`迁移列表的版本(${CURRENT_VERSION})与ConfigManager.SCHEMA_VERSION(${ConfigManager.SCHEMA_VERSION})不一致`);
+  }
+
+  let runningMigration = null;
+
+  /**
+   * 获取存储的数据结构版本号
+   * @returns {Promise<number>} 版本号，旧版本没有记录时为0
+   */
+  async function getSchemaVersion() {
+    const data = await StorageUtils.getStorage(STORAGE_KEY_SCHEMA_VERSION);
+    return data[STORAGE_KEY_SCHEMA_VERSION] || 0;
+  }
+
+  /**
+   * 获取最近一次迁移的状态
+   * @returns {Promise<object|null>} 迁移状态
+   */
+  async function getMigrationStatus() {
+    const data = await StorageUtils.getStorage([STORAGE_KEY_MIGRATION_STATUS, STORAGE_KEY_MIGRATION_BACKUP]);
+    const status = data[STORAGE_KEY_MIGRATION_STATUS] || null;
+    if (!status) {
+      return null;
+    }
+    return { ...status, hasBackup: !!data[STORAGE_KEY_MIGRATION_BACKUP] };
+  }
+
+  /**
+   * 备份迁移前的所有数据
+   * @param {number} fromVersion - 迁移前的版本号
+   * @returns {Promise<void>}
+   */
+  async function backupData(fromVersion) {
+    const all = await StorageUtils.getAllStorage();
+    delete all[STORAGE_KEY_MIGRATION_BACKUP];
+    delete all[STORAGE_KEY_MIGRATION_STATUS];
+
+    if (Object.keys(all).length === 0) {
+      return;
+    }
+
+    await StorageUtils.setStorage({
+      [STORAGE_KEY_MIGRATION_BACKUP]: {
+        fromVersion,
+        createdAt: Date.now(),
+        data: all
+      }
+    });
+  }
+
+  /**
+   * 记录迁移失败的状态，弹窗据此提示并提供重试
+   * @param {number} fromVersion - 迁移前的版本号
+   * @param {number} failedVersion - 未能完成的迁移版本号
+   * @param {string} description - 失败步骤的说明
+   * @param {Error} error - 错误
+   * @returns {Promise<object>} 迁移状态
+   */
+  async function saveFailureStatus(fromVersion, failedVersion, description, error) {
+    await StorageUtils.setStorage({
+      [STORAGE_KEY_MIGRATION_STATUS]: {
+        success: false,
+        fromVersion,
+        failedVersion,
+        description,
+        error: error.message,
+        at: Date.now()
+      }
+    });
+    return getMigrationStatus();
+  }
+
+  /**
+   * 执行所有待执行的迁移
+   * @returns {Promise<object>} 迁移状态
+   */
+  async function runMigrations() {
+    const fromVersion = await getSchemaVersion();
+
+    if (fromVersion > CURRENT_VERSION) {
+      console.warn(`存储数据版本(${fromVersion})高于当前插件支持的版本(${CURRENT_VERSION})，跳过迁移`);
+      return getMigrationStatus();
+    }
+
+    const pending = MIGRATIONS.filter(m => m.version > fromVersion);
+    if (pending.length === 0) {
+      return getMigrationStatus();
+    }
+
+    // 备份失败时不执行任何迁移，记录失败状态以便在弹窗中重试
+    try {
+      await backupData(fromVersion);
+    } catch (error) {
+      console.error('迁移前备份数据失败:', error);
+      return saveFailureStatus(fromVersion, pending[0].version, '迁移前备份数据', error);
+    }
+
+    for (const migration of pending) {
+      try {
+        await migration.migrate();
+        // 每完成一步就记录版本号，失败后重试时从失败的那一步继续
+        await StorageUtils.setStorage({ [STORAGE_KEY_SCHEMA_VERSION]: migration.version });
+      } catch (error) {
+        console.error(`数据迁移到版本 ${migration.version} 失败:`, error);
+        return saveFailureStatus(fromVersion, migration.version, migration.description, error);
+      }
+    }
+
+    const status = {
+      success: true,
+      fromVersion,
+      toVersion: CURRENT_VERSION,
+      at: Date.now()
+    };
+    await StorageUtils.setStorage({ [STORAGE_KEY_MIGRATION_STATUS]: status });
+    // 迁移成功后不再需要备份，备份中可能有旧版本的明文Cookie
+    await StorageUtils.removeStorage(STORAGE_KEY_MIGRATION_BACKUP);
+    console.log(`数据已从版本 ${fromVersion} 迁移到版本 ${CURRENT_VERSION}`);
+    return getMigrationStatus();
+  }
+
+  /**
+   * 确保迁移已执行（同一时间只执行一次）
+   * @returns {Promise<object>} 迁移状态
+   */
+  function ensureMigrated() {
+    if (!runningMigration) {
+      // 迁移期间持有存储锁，其他写入操作会等待迁移完成
+      runningMigration = StorageUtils.withStorageLock(runMigrations).finally(() => {
+        runningMigration = null;
+      });
+    }
+    return runningMigration;
+  }
+
+  /**
+   * 从迁移前的备份恢复数据
+   * @returns {Promise<void>}
+   */
+  async function restoreBackup() {
+    await StorageUtils.withStorageLock(async () => {
+      const data = await StorageUtils.getStorage(STORAGE_KEY_MIGRATION_BACKUP);
+      const backup = data[STORAGE_KEY_MIGRATION_BACKUP];
+      if (!backup) {
+        throw new Error('没有可恢复的备份');
+      }
+
+      await StorageUtils.clearStorage();
+      await StorageUtils.setStorage({
+        ...backup.data,
+        [STORAGE_KEY_MIGRATION_BACKUP]: backup
+      });
+    });
+  }
+
+  // 导出到全局对象
+  global.Migrations = {
+    CURRENT_VERSION,
+    getSchemaVersion,
+    getMigrationStatus,
+    runMigrations,
+    ensureMigrated,
+    restoreBackup
+  };
+})(this);
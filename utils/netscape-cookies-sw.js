@@ -0,0 +1,226 @@
+/**
+ * Netscape cookies.txt 转换模块 - Service Worker版本
+ * 在配置保存的Cookie与curl/wget/yt-dlp使用的cookies.txt格式之间转换（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const ConfigManager = global.ConfigManager;
+  const CryptoUtils = global.CryptoUtils;
+  const CookieManager = global.CookieManager;
+  if (!ConfigManager || !CryptoUtils || !CookieManager) {
+    throw new Error('依赖模块未加载，请先加载utils/config-manager-sw.js、utils/crypto-sw.js和utils/cookie-manager-sw.js');
+  }
+
+  const FILE_HEADER = '# Netscape HTTP Cookie File';
+  const HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+  /**
+   * 将配置的Cookie数据转换为cookies.txt文本
+   * @param {object} profileCookies - 按域名组织的Cookie数据
+   * @returns {string} cookies.txt内容
+   */
+  function toNetscape(profileCookies) {
+    const lines = [
+      FILE_HEADER,
+      '# Generated by Cookie管理器. Edit at your own risk.',
+      ''
+    ];
+
+    for (const cookies of Object.values(profileCookies || {})) {
+      if (!Array.isArray(cookies)) continue;
+
+      for (const cookie of cookies) {
+        // 不是仅限当前主机的Cookie对所有子域名生效，cookies.txt中以.开头的域名表示
+        const includeSubdomains = typeof cookie.hostOnly === 'boolean' ? !cookie.hostOnly : cookie.domain.startsWith('.');
+        const bareDomain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+        const expiry = cookie.expirationDate ? Math.floor(cookie.expirationDate) : 0;
+
+        lines.push([
+          (cookie.httpOnly ? HTTP_ONLY_PREFIX : '') + (includeSubdomains ? '.' : '') + bareDomain,
+          includeSubdomains ? 'TRUE' : 'FALSE',
+          cookie.path || '/',
+          cookie.secure ? 'TRUE' : 'FALSE',
+          String(expiry),
+          cookie.name,
+          cookie.value || ''
+        ].join('\t'));
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 解析布尔字段
+   * @param {string} text - 字段内容
+   * @returns {boolean|null} 解析结果，无法识别时返回null
+   */
+  function parseFlag(text) {
+    const upper = text.toUpperCase();
+    if (upper === 'TRUE') return true;
+    if (upper === 'FALSE') return false;
+    return null;
+  }
+
+  /**
+   * 解析cookies.txt文本
+   * @param {string} text - cookies.txt内容
+   * @returns {{cookies: Array, errors: Array}} 解析出的Cookie和无法解析的行
+   */
+  function parseNetscape(text) {
+    const cookies = [];
+    const errors = [];
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      let line = rawLine.trim();
+      if (!line) return;
+
+      let httpOnly = false;
+      if (line.startsWith(HTTP_ONLY_PREFIX)) {
+        httpOnly = true;
+        line = line.substring(HTTP_ONLY_PREFIX.length);
+      } else if (line.startsWith('#')) {
+        return;
+      }
+
+      const lineNumber = index + 1;
+      const fail = (reason) => errors.push({ line: lineNumber, text: rawLine, reason });
+
+      // 标准格式使用制表符分隔，部分工具导出的文件使用空格，此时值字段取剩余全部内容
+      let fields = line.split('\t');
+      if (fields.length < 7) {
+        const parts = line.split(/\s+/);
+        fields = parts.length >= 7 ? [...parts.slice(0, 6), parts.slice(6).join(' ')] : parts;
+      }
+      if (fields.length === 6) {
+        // 值为空时部分工具会省略最后一个分隔符
+        fields.push('');
+      }
+      if (fields.length !== 7) {
+        fail(`字段数量应为7个，实际为${fields.length}个`);
+        return;
+      }
+
+      const [domain, flagText, path, secureText, expiryText, name, value] = fields;
+      const includeSubdomains = parseFlag(flagText);
+      const secure = parseFlag(secureText);
+      const expiry = Number(expiryText);
+
+      if (!domain) {
+        fail('缺少域名');
+        return;
+      }
+      if (includeSubdomains === null) {
+        fail(`子域名标志无效: ${flagText}`);
+        return;
+      }
+      if (secure === null) {
+        fail(`Secure标志无效: ${secureText}`);
+        return;
+      }
+      if (!Number.isFinite(expiry) || expiry < 0) {
+        fail(`过期时间无效: ${expiryText}`);
+        return;
+      }
+      if (!name) {
+        fail('缺少Cookie名称');
+        return;
+      }
+
+      const bareDomain = domain.startsWith('.') ? domain.substring(1) : domain;
+      const cookie = {
+        name,
+        value,
+        domain: includeSubdomains ? '.' + bareDomain : bareDomain,
+        hostOnly: !includeSubdomains,
+        path: path || '/',
+        secure,
+        httpOnly,
+        sameSite: 'unspecified'
+      };
+      if (expiry > 0) {
+        cookie.expirationDate = expiry;
+      }
+      cookies.push(cookie);
+    });
+
+    return { cookies, errors };
+  }
+
+  /**
+   * 导出配置的Cookie为cookies.txt
+   * @param {string} profileId - 配置ID
+   * @returns {Promise<string>} cookies.txt内容
+   */
+  async function exportProfile(profileId) {
+    const profileCookies = await CookieManager.getProfileCookies(profileId);
+    return toNetscape(profileCookies);
+  }
+
+  /**
+   * 导入cookies.txt到配置
+   * @param {string} text - cookies.txt内容
+   * @param {object} target - 目标配置，{profileId} 表示现有配置，{newProfileName} 表示新建配置
+   * @returns {Promise<object>} 导入结果，包含目标配置ID、导入数量和无法解析的行
+   */
+  async function importToProfile(text, target) {
+    const { cookies, errors } = parseNetscape(text);
+    if (cookies.length === 0) {
+      return { profileId: null, imported: 0, errors };
+    }
+
+    // 加密数据未解锁时无法写入Cookie，在新建配置前拒绝导入
+    if (await CryptoUtils.isLocked()) {
+      throw new Error('Cookie数据已加密，请先解锁');
+    }
+
+    let profileId = target.profileId;
+    let createdProfileId = null;
+    if (profileId) {
+      const profiles = await ConfigManager.getProfiles();
+      if (!profiles.some(p => p.id === profileId)) {
+        throw new Error('配置不存在');
+      }
+    } else {
+      const name = (target.newProfileName || '').trim();
+      if (!name) {
+        throw new Error('请输入配置名称');
+      }
+      const profile = await ConfigManager.createProfile(name, []);
+      profileId = profile.id;
+      createdProfileId = profile.id;
+    }
+
+    // 按去掉前导点的域名分组，与其他保存路径保持一致
+    const incoming = {};
+    for (const cookie of cookies) {
+      const key = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+      if (!incoming[key]) {
+        incoming[key] = [];
+      }
+      incoming[key].push(cookie);
+    }
+
+    try {
+      await CookieManager.updateProfileCookies(profileId, existing => CookieManager.mergeCookieData(existing, incoming));
+    } catch (error) {
+      // 写入失败时删除本次新建的配置，不留下没有Cookie的空配置
+      if (createdProfileId) {
+        await ConfigManager.deleteProfile(createdProfileId, CookieManager.getProfileStorageKeys(createdProfileId));
+      }
+      throw error;
+    }
+
+    return { profileId, imported: cookies.length, errors };
+  }
+
+  // 导出到全局对象
+  global.NetscapeCookies = {
+    toNetscape,
+    parseNetscape,
+    exportProfile,
+    importToProfile
+  };
+})(this);
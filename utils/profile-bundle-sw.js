@@ -0,0 +1,366 @@
+/**
+ * 配置导入导出模块 - Service Worker版本
+ * 将配置定义及其保存的Cookie打包为带版本号的JSON文件，并支持导入（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const StorageUtils = global.StorageUtils;
+  const ConfigManager = global.ConfigManager;
+  const CryptoUtils = global.CryptoUtils;
+  const CookieManager = global.CookieManager;
+  if (!StorageUtils || !ConfigManager || !CryptoUtils || !CookieManager) {
+    throw new Error('依赖模块未加载，请先加载utils/storage-sw.js、utils/config-manager-sw.js、utils/crypto-sw.js和utils/cookie-manager-sw.js');
+  }
+
+  const BUNDLE_FORMAT = 'cookie-manager-profiles';
+  const BUNDLE_VERSION = 1;
+
+  // 导入时遇到同名或同ID配置的处理方式
+  const IMPORT_STRATEGIES = ['merge', 'replace', 'new', 'skip'];
+
+  // chrome.cookies支持的SameSite取值
+  const SAME_SITE_VALUES = ['no_restriction', 'lax', 'strict', 'unspecified'];
+
+  /**
+   * 导出配置
+   * @param {string[]} [profileIds] - 要导出的配置ID列表，为空时导出全部配置
+   * @returns {Promise<object>} 导出的数据包
+   */
+  async function exportProfiles(profileIds) {
+    const profiles = await ConfigManager.getProfiles();
+    const cookieData = await CookieManager.getCookieData();
+
+    const selected = profileIds && profileIds.length > 0
+      ? profiles.filter(p => profileIds.includes(p.id))
+      : profiles;
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      profiles: selected.map(profile => ({
+        profile: { ...profile },
+        cookies: cookieData[profile.id] || {}
+      }))
+    };
+  }
+
+  /**
+   * 检查单个Cookie的字段类型，缺少域名等字段的Cookie写入配置后会导致后续读取出错
+   * @param {object} cookie - 待导入的Cookie
+   * @returns {boolean} 是否有效
+   */
+  function isValidCookie(cookie) {
+    if (!cookie || typeof cookie !== 'object') {
+      return false;
+    }
+    if (typeof cookie.name !== 'string' || typeof (cookie.value ?? '') !== 'string') {
+      return false;
+    }
+    if (typeof cookie.domain !== 'string' || !cookie.domain) {
+      return false;
+    }
+    if (cookie.path !== undefined && typeof cookie.path !== 'string') {
+      return false;
+    }
+    for (const flag of ['hostOnly', 'secure', 'httpOnly']) {
+      if (cookie[flag] !== undefined && typeof cookie[flag] !== 'boolean') {
+        return false;
+      }
+    }
+    if (cookie.sameSite !== undefined && !SAME_SITE_VALUES.includes(cookie.sameSite)) {
+      return false;
+    }
+    if (cookie.expirationDate !== undefined &&
+        (typeof cookie.expirationDate !== 'number' || !Number.isFinite(cookie.expirationDate))) {
+      return false;
+    }
+    if (cookie.partitionKey !== undefined &&
+        (!cookie.partitionKey || typeof cookie.partitionKey !== 'object' ||
+         typeof cookie.partitionKey.topLevelSite !== 'string')) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 校验数据包格式
+   * @param {object} bundle - 数据包
+   * @returns {string[]} 错误信息列表，为空表示校验通过
+   */
+  function validateBundle(bundle) {
+    const errors = [];
+
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+      return ['文件内容不是有效的JSON对象'];
+    }
+    if (bundle.format !== BUNDLE_FORMAT) {
+      return ['不是Cookie管理器导出的配置文件'];
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+      return ['缺少有效的版本号'];
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+      return [`文件版本 ${bundle.version} 高于当前支持的版本 ${BUNDLE_VERSION}，请升级插件`];
+    }
+    if (!Array.isArray(bundle.profiles)) {
+      return ['缺少配置列表'];
+    }
+
+    bundle.profiles.forEach((entry, index) => {
+      const label = `第 ${index + 1} 个配置`;
+      const profile = entry && entry.profile;
+
+      if (!profile || typeof profile !== 'object') {
+        errors.push(`${label}缺少配置定义`);
+        return;
+      }
+      if (typeof profile.id !== 'string' || !profile.id) {
+        errors.push(`${label}缺少ID`);
+      }
+      if (typeof profile.name !== 'string' || !profile.name.trim()) {
+        errors.push(`${label}缺少名称`);
+      }
+      if (profile.domains !== undefined &&
+          (!Array.isArray(profile.domains) || profile.domains.some(d => typeof d !== 'string'))) {
+        errors.push(`${label}的域名列表格式错误`);
+      }
+      if (profile.enabled !== undefined && typeof profile.enabled !== 'boolean') {
+        errors.push(`${label}的启用状态格式错误`);
+      }
+      if (profile.createdAt !== undefined && !Number.isFinite(profile.createdAt)) {
+        errors.push(`${label}的创建时间格式错误`);
+      }
+      try {
+        ConfigManager.validateProfileSettings(ConfigManager.pickProfileSettings(profile));
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+
+      const cookies = entry.cookies;
+      if (cookies === undefined) {
+        return;
+      }
+      if (!cookies || typeof cookies !== 'object' || Array.isArray(cookies)) {
+        errors.push(`${label}的Cookie数据格式错误`);
+        return;
+      }
+      for (const [domain, list] of Object.entries(cookies)) {
+        if (!Array.isArray(list) || !list.every(isValidCookie)) {
+          errors.push(`${label}中域名 ${domain} 的Cookie格式错误`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * 统计Cookie数量
+   * @param {object} cookies - 按域名组织的Cookie数据
+   * @returns {number} Cookie数量
+   */
+  function countCookies(cookies) {
+    let count = 0;
+    for (const list of Object.values(cookies || {})) {
+      if (Array.isArray(list)) {
+        count += list.length;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 查找与导入配置冲突的现有配置（优先按ID匹配，其次按名称匹配）
+   * @param {Array} profiles - 现有配置列表
+   * @param {object} profile - 待导入的配置
+   * @returns {{type: string, profile: object}|null} 冲突信息
+   */
+  function findConflict(profiles, profile) {
+    const byId = profiles.find(p => p.id === profile.id);
+    if (byId) {
+      return { type: 'id', profile: byId };
+    }
+    const name = profile.name.trim();
+    const byName = profiles.find(p => p.name === name);
+    if (byName) {
+      return { type: 'name', profile: byName };
+    }
+    return null;
+  }
+
+  /**
+   * 预览导入内容
+   * @param {object} bundle - 数据包
+   * @returns {Promise<object>} 预览信息
+   */
+  async function previewImport(bundle) {
+    const errors = validateBundle(bundle);
+    if (errors.length > 0) {
+      throw new Error(errors.join('；'));
+    }
+
+    const profiles = await ConfigManager.getProfiles();
+
+    return {
+      version: bundle.version,
+      exportedAt: bundle.exportedAt || null,
+      profiles: bundle.profiles.map((entry, index) => {
+        const conflict = findConflict(profiles, entry.profile);
+        return {
+          index,
+          id: entry.profile.id,
+          name: entry.profile.name.trim(),
+          domainCount: (entry.profile.domains || []).length,
+          cookieCount: countCookies(entry.cookies),
+          conflict: conflict ? {
+            type: conflict.type,
+            profileId: conflict.profile.id,
+            profileName: conflict.profile.name
+          } : null
+        };
+      })
+    };
+  }
+
+  /**
+   * 生成不与现有配置重名的名称
+   * @param {Array} profiles - 现有配置列表
+   * @param {string} name - 原始名称
+   * @returns {string} 可用的名称
+   */
+  function uniqueName(profiles, name) {
+    if (!profiles.some(p => p.name === name)) {
+      return name;
+    }
+    let suffix = 1;
+    while (profiles.some(p => p.name === `${name} (导入${suffix})`)) {
+      suffix++;
+    }
+    return `${name} (导入${suffix})`;
+  }
+
+  /**
+   * 按白名单构造导入后的配置，数据包中的其他字段不会写入存储
+   * @param {object} incoming - 待导入的配置
+   * @param {object} base - 导入后配置的ID、名称和创建时间
+   * @param {Array} profiles - 现有配置列表
+   * @returns {object} 配置对象
+   */
+  function buildImportedProfile(incoming, base, profiles) {
+    const profile = {
+      ...base,
+      domains: (incoming.domains || []).slice(),
+      enabled: incoming.enabled !== false,
+      schemaVersion: ConfigManager.SCHEMA_VERSION,
+      ...ConfigManager.pickProfileSettings(incoming)
+    };
+    // 固定位置已被其他配置占用时不固定导入的配置，保留现有配置的快捷键
+    if (profile.pinnedSlot &&
+        profiles.some(p => p.id !== base.id && p.pinnedSlot === profile.pinnedSlot)) {
+      profile.pinnedSlot = null;
+    }
+    return profile;
+  }
+
+  /**
+   * 导入配置
+   * @param {object} bundle - 数据包
+   * @param {object} resolutions - 冲突处理方式，键为配置在数据包中的序号，值为merge/replace/new/skip
+   * @returns {Promise<object>} 导入结果统计
+   */
+  async function importProfiles(bundle, resolutions = {}) {
+    const errors = validateBundle(bundle);
+    if (errors.length > 0) {
+      throw new Error(errors.join('；'));
+    }
+
+    // 读取、合并和写入在同一把锁内完成，避免与Cookie记录并发时互相覆盖
+    return StorageUtils.withStorageLock(async () => {
+      // 加密数据未解锁时无法写入Cookie，在修改任何数据前拒绝导入
+      if (await CryptoUtils.isLocked()) {
+        throw new Error('Cookie数据已加密，请先解锁');
+      }
+
+      const profiles = await ConfigManager.getProfiles();
+      // 只记录需要写入的配置Cookie，其他配置的数据不做改动
+      const changedCookies = {};
+      const result = { created: 0, merged: 0, replaced: 0, skipped: 0 };
+
+      for (const [index, entry] of bundle.profiles.entries()) {
+        const incoming = entry.profile;
+        const incomingCookies = entry.cookies || {};
+        const conflict = findConflict(profiles, incoming);
+        const strategy = conflict ? (resolutions[index] || 'skip') : 'new';
+
+        if (!IMPORT_STRATEGIES.includes(strategy)) {
+          throw new Error(`未知的导入方式: ${strategy}`);
+        }
+
+        if (strategy === 'skip') {
+          result.skipped++;
+          continue;
+        }
+
+        if (strategy === 'new') {
+          const idTaken = profiles.some(p => p.id === incoming.id);
+          const newProfile = buildImportedProfile(incoming, {
+            id: idTaken ? ConfigManager.generateProfileId() : incoming.id,
+            name: uniqueName(profiles, incoming.name.trim()),
+            createdAt: incoming.createdAt || Date.now()
+          }, profiles);
+          profiles.push(newProfile);
+          changedCookies[newProfile.id] = incomingCookies;
+          result.created++;
+          continue;
+        }
+
+        const target = conflict.profile;
+        const targetIndex = profiles.indexOf(target);
+
+        if (strategy === 'replace') {
+          profiles[targetIndex] = buildImportedProfile(incoming, {
+            id: target.id,
+            name: target.name,
+            createdAt: target.createdAt
+          }, profiles);
+          changedCookies[target.id] = incomingCookies;
+          result.replaced++;
+          continue;
+        }
+
+        // merge：合并域名列表和Cookie，保留现有配置的ID和名称
+        const domains = (target.domains || []).slice();
+        for (const domain of incoming.domains || []) {
+          if (!domains.includes(domain)) {
+            domains.push(domain);
+          }
+        }
+        profiles[targetIndex] = { ...target, domains };
+        const existing = changedCookies[target.id] || await CookieManager.getProfileCookies(target.id);
+        changedCookies[target.id] = CookieManager.mergeCookieData(existing, incomingCookies);
+        result.merged++;
+      }
+
+      // 先写入Cookie再写入配置列表，写入中途失败时不会出现没有Cookie的新配置
+      for (const [profileId, cookies] of Object.entries(changedCookies)) {
+        await CookieManager.saveProfileCookies(profileId, cookies);
+      }
+      await ConfigManager.saveProfiles(profiles);
+
+      return result;
+    });
+  }
+
+  // 导出到全局对象
+  global.ProfileBundle = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    exportProfiles,
+    validateBundle,
+    previewImport,
+    importProfiles
+  };
+})(this);
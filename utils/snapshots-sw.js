@@ -0,0 +1,234 @@
+/**
+ * 配置快照模块 - Service Worker版本
+ * 保存配置Cookie的时间点快照，支持对比和回滚（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const StorageUtils = global.StorageUtils;
+  const CookieManager = global.CookieManager;
+  if (!StorageUtils || !CookieManager) {
+    throw new Error('依赖模块未加载，请先加载utils/storage-sw.js和utils/cookie-manager-sw.js');
+  }
+
+  // 每个配置最多保留的自动快照数量，手动命名的快照不会被自动清理
+  const MAX_AUTO_SNAPSHOTS = 10;
+
+  // 对比时表示配置当前保存的数据
+  const CURRENT_SNAPSHOT_ID = 'current';
+
+  /**
+   * 读取配置的所有快照（最新的在前）
+   * @param {string} profileId - 配置ID
+   * @returns {Promise<Array>} 快照列表
+   */
+  async function getSnapshots(profileId) {
+    return (await CookieManager.readProtectedValue(CookieManager.getSnapshotStorageKey(profileId))) || [];
+  }
+
+  /**
+   * 保存配置的快照列表（调用方需持有存储锁）
+   * @param {string} profileId - 配置ID
+   * @param {Array} snapshots - 快照列表
+   * @returns {Promise<void>}
+   */
+  async function saveSnapshots(profileId, snapshots) {
+    const storageKey = CookieManager.getSnapshotStorageKey(profileId);
+    if (snapshots.length === 0) {
+      await StorageUtils.removeStorage(storageKey);
+      return;
+    }
+    await CookieManager.writeProtectedValue(storageKey, snapshots);
+  }
+
+  /**
+   * 统计Cookie数量
+   * @param {object} profileCookies - 按域名组织的Cookie数据
+   * @returns {number} Cookie数量
+   */
+  function countCookies(profileCookies) {
+    return Object.values(profileCookies).reduce(
+      (total, cookies) => total + (Array.isArray(cookies) ? cookies.length : 0),
+      0
+    );
+  }
+
+  /**
+   * 获取快照摘要（不含Cookie数据）
+   * @param {object} snapshot - 快照
+   * @returns {object} 快照摘要
+   */
+  function toSummary(snapshot) {
+    return {
+      id: snapshot.id,
+      name: snapshot.name,
+      auto: snapshot.auto,
+      reason: snapshot.reason,
+      createdAt: snapshot.createdAt,
+      cookieCount: countCookies(snapshot.cookies)
+    };
+  }
+
+  /**
+   * 列出配置的快照
+   * @param {string} profileId - 配置ID
+   * @returns {Promise<Array>} 快照摘要列表（最新的在前）
+   */
+  async function listSnapshots(profileId) {
+    const snapshots = await getSnapshots(profileId);
+    return snapshots.map(toSummary);
+  }
+
+  /**
+   * 在已持有存储锁的情况下创建快照
+   * @param {string} profileId - 配置ID
+   * @param {object} options - 快照选项 {name, auto, reason}
+   * @returns {Promise<object|null>} 快照摘要，自动快照与上一个快照相同时返回null
+   */
+  async function createSnapshotLocked(profileId, options) {
+    const cookies = await CookieManager.getProfileCookies(profileId);
+    const snapshots = await getSnapshots(profileId);
+
+    if (options.auto) {
+      // 没有数据或与最近一次快照相同时不创建自动快照
+      if (countCookies(cookies) === 0) {
+        return null;
+      }
+      if (snapshots.length > 0 && JSON.stringify(snapshots[0].cookies) === JSON.stringify(cookies)) {
+        return null;
+      }
+    }
+
+    const snapshot = {
+      id: `snapshot-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+      name: options.name || '',
+      auto: !!options.auto,
+      reason: options.reason || 'manual',
+      createdAt: Date.now(),
+      cookies
+    };
+    snapshots.unshift(snapshot);
+
+    // 超出数量的自动快照从最旧的开始删除
+    let autoCount = 0;
+    const kept = snapshots.filter(item => !item.auto || ++autoCount <= MAX_AUTO_SNAPSHOTS);
+
+    await saveSnapshots(profileId, kept);
+    return toSummary(snapshot);
+  }
+
+  /**
+   * 创建快照
+   * @param {string} profileId - 配置ID
+   * @param {object} options - 快照选项 {name, auto, reason}
+   * @returns {Promise<object|null>} 快照摘要，自动快照与上一个快照相同时返回null
+   */
+  async function createSnapshot(profileId, options = {}) {
+    if (!options.auto && !(options.name || '').trim()) {
+      throw new Error('请输入快照名称');
+    }
+    return StorageUtils.withStorageLock(() => createSnapshotLocked(profileId, {
+      ...options,
+      name: (options.name || '').trim()
+    }));
+  }
+
+  /**
+   * 删除快照
+   * @param {string} profileId - 配置ID
+   * @param {string} snapshotId - 快照ID
+   * @returns {Promise<void>}
+   */
+  async function deleteSnapshot(profileId, snapshotId) {
+    await StorageUtils.withStorageLock(async () => {
+      const snapshots = await getSnapshots(profileId);
+      await saveSnapshots(profileId, snapshots.filter(s => s.id !== snapshotId));
+    });
+  }
+
+  /**
+   * 获取快照中的Cookie数据
+   * @param {string} profileId - 配置ID
+   * @param {string} snapshotId - 快照ID，为'current'时返回配置当前保存的数据
+   * @returns {Promise<object>} 按域名组织的Cookie数据
+   */
+  async function getSnapshotCookies(profileId, snapshotId) {
+    if (snapshotId === CURRENT_SNAPSHOT_ID) {
+      return CookieManager.getProfileCookies(profileId);
+    }
+    const snapshots = await getSnapshots(profileId);
+    const snapshot = snapshots.find(s => s.id === snapshotId);
+    if (!snapshot) {
+      throw new Error('快照不存在');
+    }
+    return snapshot.cookies;
+  }
+
+  /**
+   * 将Cookie数据展开为以Cookie身份（见CookieManager.getCookieKey）为键的映射
+   * @param {object} profileCookies - 按域名组织的Cookie数据
+   * @returns {Map<string, object>} Cookie映射
+   */
+  function indexCookies(profileCookies) {
+    const index = new Map();
+    for (const cookie of CookieManager.flattenCookies(profileCookies)) {
+      index.set(CookieManager.getCookieKey(cookie), cookie);
+    }
+    return index;
+  }
+
+  /**
+   * 对比两个快照
+   * @param {string} profileId - 配置ID
+   * @param {string} fromId - 较早的快照ID（可为'current'）
+   * @param {string} toId - 较新的快照ID（可为'current'）
+   * @returns {Promise<{added: Array, removed: Array, changed: Array}>} 差异
+   */
+  async function diffSnapshots(profileId, fromId, toId) {
+    const before = indexCookies(await getSnapshotCookies(profileId, fromId));
+    const after = indexCookies(await getSnapshotCookies(profileId, toId));
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [key, cookie] of after) {
+      const previous = before.get(key);
+      if (!previous) {
+        diff.added.push(cookie);
+      } else if (JSON.stringify(previous) !== JSON.stringify(cookie)) {
+        diff.changed.push({ before: previous, after: cookie });
+      }
+    }
+    for (const [key, cookie] of before) {
+      if (!after.has(key)) {
+        diff.removed.push(cookie);
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * 将快照恢复到配置保存的数据（恢复前自动为当前数据创建快照）
+   * @param {string} profileId - 配置ID
+   * @param {string} snapshotId - 快照ID
+   * @returns {Promise<void>}
+   */
+  async function restoreToProfile(profileId, snapshotId) {
+    await StorageUtils.withStorageLock(async () => {
+      const cookies = await getSnapshotCookies(profileId, snapshotId);
+      await createSnapshotLocked(profileId, { auto: true, reason: 'restore' });
+      await CookieManager.saveProfileCookies(profileId, cookies);
+    });
+  }
+
+  // 导出到全局对象
+  global.Snapshots = {
+    CURRENT_SNAPSHOT_ID,
+    listSnapshots,
+    createSnapshot,
+    deleteSnapshot,
+    getSnapshotCookies,
+    diffSnapshots,
+    restoreToProfile
+  };
+})(this);
@@ -81,13 +81,33 @@
     return getStorage(null);
   }
 
+  // 所有修改配置和Cookie数据的操作都通过同一把锁串行执行，避免并发的“读取-修改-写入”互相覆盖
+  // 只有Service Worker读写数据，锁只在Service Worker内使用；不支持navigator.locks时退化为当前上下文内的队列
+  const STORAGE_LOCK_NAME = 'cookie-manager-storage';
+  let localLockQueue = Promise.resolve();
+
+  /**
+   * 在存储锁内执行任务（锁不可重入，任务内不要再调用加锁的函数）
+   * @param {Function} task - 异步任务
+   * @returns {Promise<*>} 任务的返回值
+   */
+  async function withStorageLock(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(STORAGE_LOCK_NAME, () => task());
+    }
+    const run = localLockQueue.then(() => task());
+    localLockQueue = run.catch(() => {});
+    return run;
+  }
+
   // 导出到全局对象
   global.StorageUtils = {
     getStorage,
     setStorage,
     removeStorage,
     clearStorage,
-    getAllStorage
+    getAllStorage,
+    withStorageLock
   };
 })(this);
 
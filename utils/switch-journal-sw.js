@@ -0,0 +1,95 @@
+/**
+ * 配置切换日志模块 - Service Worker版本
+ * 切换前记录将被清除或覆盖的浏览器Cookie，切换失败或中断时据此回滚（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const StorageUtils = global.StorageUtils;
+  const ConfigManager = global.ConfigManager;
+  const CookieManager = global.CookieManager;
+  if (!StorageUtils || !ConfigManager || !CookieManager) {
+    throw new Error('依赖模块未加载，请先加载utils/storage-sw.js、utils/config-manager-sw.js和utils/cookie-manager-sw.js');
+  }
+
+  const STORAGE_KEY = CookieManager.STORAGE_KEY_SWITCH_JOURNAL;
+
+  /**
+   * 开始切换：记录切换前的激活配置，以及将被删除或被新配置覆盖的浏览器Cookie
+   * @param {object} options - {storeId, fromProfileId, toProfileId, removedCookies}
+   * @returns {Promise<object>} 写入的切换日志
+   */
+  async function beginSwitch({ storeId = ConfigManager.DEFAULT_STORE_ID, fromProfileId, toProfileId, removedCookies }) {
+    const incomingCookies = CookieManager.flattenCookies(await CookieManager.getProfileCookies(toProfileId));
+    const incomingKeys = new Set(incomingCookies.map(CookieManager.getCookieKey));
+    const removedKeys = new Set(removedCookies.map(CookieManager.getCookieKey));
+    const liveCookies = await CookieManager.getAllBrowserCookies({ storeId });
+    const affected = liveCookies.filter(cookie => {
+      const key = CookieManager.getCookieKey(cookie);
+      return removedKeys.has(key) || incomingKeys.has(key);
+    });
+
+    const journal = {
+      storeId,
+      fromProfileId: fromProfileId || null,
+      toProfileId,
+      startedAt: Date.now(),
+      cookies: CookieManager.groupCookiesByDomain(affected)
+    };
+    await StorageUtils.withStorageLock(() => CookieManager.writeProtectedValue(STORAGE_KEY, journal));
+    return journal;
+  }
+
+  /**
+   * 读取未完成的切换日志
+   * @returns {Promise<object|null>} 切换日志，没有未完成的切换时返回null
+   */
+  async function getJournal() {
+    return (await CookieManager.readProtectedValue(STORAGE_KEY)) || null;
+  }
+
+  /**
+   * 切换完成后删除日志
+   * @returns {Promise<void>}
+   */
+  async function finishSwitch() {
+    await StorageUtils.withStorageLock(() => StorageUtils.removeStorage(STORAGE_KEY));
+  }
+
+  /**
+   * 回滚切换：删除已恢复的新配置Cookie，写回日志中的Cookie，并恢复切换前的激活配置
+   * 调用方需暂停记录Cookie变化
+   * @param {object} journal - 切换日志
+   * @returns {Promise<void>}
+   */
+  async function rollback(journal) {
+    // 旧版本的日志没有记录Cookie存储，均为普通窗口的存储
+    const storeId = journal.storeId || ConfigManager.DEFAULT_STORE_ID;
+    try {
+      const incoming = CookieManager.flattenCookies(await CookieManager.getProfileCookies(journal.toProfileId));
+      await CookieManager.removeBrowserCookies(incoming, storeId);
+    } catch (error) {
+      console.error('删除新配置的Cookie失败:', error);
+    }
+
+    await CookieManager.setBrowserCookies(journal.cookies, storeId);
+
+    const profiles = await ConfigManager.getProfiles();
+    if (journal.fromProfileId && profiles.some(p => p.id === journal.fromProfileId)) {
+      await ConfigManager.switchProfile(journal.fromProfileId, storeId);
+    } else {
+      await ConfigManager.clearActiveProfile(storeId);
+    }
+
+    await finishSwitch();
+  }
+
+  // 导出到全局对象
+  global.SwitchJournal = {
+    beginSwitch,
+    getJournal,
+    finishSwitch,
+    rollback
+  };
+})(this);
@@ -0,0 +1,189 @@
+/**
+ * 标签页处理模块 - Service Worker版本
+ * 切换配置后刷新、丢弃或标记仍在显示旧账号的标签页（非ES6模块格式）
+ */
+
+(function(global) {
+  'use strict';
+
+  const ConfigManager = global.ConfigManager;
+  const CookieManager = global.CookieManager;
+  if (!ConfigManager || !CookieManager) {
+    throw new Error('依赖模块未加载，请先加载utils/config-manager-sw.js和utils/cookie-manager-sw.js');
+  }
+
+  // 被标记的标签页ID保存在会话存储中，Service Worker重启后仍能在页面刷新时清除标记
+  const SESSION_KEY_BADGED_TABS = 'badgedTabs';
+  const BADGE_TEXT = '!';
+  const BADGE_COLOR = '#f57c00';
+
+  // 等待刷新的标签页加载完成的最长时间
+  const RELOAD_SETTLE_TIMEOUT = 10000;
+
+  /**
+   * 获取切换配置影响的域名
+   * @param {object|null} outgoingProfile - 切换前的配置
+   * @param {object} incomingProfile - 切换后的配置
+   * @returns {string[]|null} 域名列表，任一配置对所有域名生效时返回null
+   */
+  function getAffectedDomains(outgoingProfile, incomingProfile) {
+    const incomingDomains = incomingProfile.domains || [];
+    const outgoingDomains = outgoingProfile ? (outgoingProfile.domains || []) : [];
+    if (incomingDomains.length === 0 || (outgoingProfile && outgoingDomains.length === 0)) {
+      return null;
+    }
+    return [...outgoingDomains, ...incomingDomains];
+  }
+
+  /**
+   * 查找使用指定Cookie存储且URL属于指定域名的标签页
+   * @param {string[]|null} domains - 域名列表，为null时返回所有网页标签页
+   * @param {string} [storeId] - Cookie存储ID
+   * @returns {Promise<Array>} 标签页列表
+   */
+  async function findAffectedTabs(domains, storeId = ConfigManager.DEFAULT_STORE_ID) {
+    const stores = await chrome.cookies.getAllCookieStores();
+    const store = stores.find(s => s.id === storeId);
+    const storeTabIds = new Set(store ? store.tabIds : []);
+    const tabs = (await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] }))
+      .filter(tab => storeTabIds.has(tab.id));
+    if (!domains) {
+      return tabs;
+    }
+    return tabs.filter(tab => {
+      try {
+        const hostname = new URL(tab.url).hostname;
+        return domains.some(domain => CookieManager.isDomainMatch(hostname, domain));
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * 读取被标记的标签页ID
+   * @returns {Promise<number[]>} 标签页ID列表
+   */
+  async function getBadgedTabs() {
+    const data = await chrome.storage.session.get(SESSION_KEY_BADGED_TABS);
+    return data[SESSION_KEY_BADGED_TABS] || [];
+  }
+
+  /**
+   * 在标签页的插件图标上显示需要刷新的标记
+   * @param {Array} tabs - 标签页列表
+   * @returns {Promise<void>}
+   */
+  async function badgeTabs(tabs) {
+    for (const tab of tabs) {
+      await chrome.action.setBadgeText({ tabId: tab.id, text: BADGE_TEXT });
+      await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: BADGE_COLOR });
+    }
+    const badged = new Set([...(await getBadgedTabs()), ...tabs.map(tab => tab.id)]);
+    await chrome.storage.session.set({ [SESSION_KEY_BADGED_TABS]: [...badged] });
+  }
+
+  /**
+   * 清除标签页的标记（标签页刷新或跳转时调用）
+   * @param {number} tabId - 标签页ID
+   * @returns {Promise<void>}
+   */
+  async function clearTabBadge(tabId) {
+    const badged = await getBadgedTabs();
+    if (!badged.includes(tabId)) {
+      return;
+    }
+    // text为null时恢复为插件的全局标记
+    await chrome.action.setBadgeText({ tabId, text: null });
+    await chrome.storage.session.set({ [SESSION_KEY_BADGED_TABS]: badged.filter(id => id !== tabId) });
+  }
+
+  /**
+   * 按配置的标签页处理方式处理受影响的标签页
+   * @param {Array} tabs - 标签页列表
+   * @param {string} action - 处理方式（reload、discard、badge、none）
+   * @returns {Promise<void>} 被刷新的标签页全部加载完成（或超时）后完成
+   */
+  async function applyTabAction(tabs, action) {
+    if (action === ConfigManager.TAB_ACTION_BADGE) {
+      await badgeTabs(tabs);
+      return;
+    }
+    if (action !== ConfigManager.TAB_ACTION_RELOAD && action !== ConfigManager.TAB_ACTION_DISCARD) {
+      return;
+    }
+
+    // 当前显示的标签页无法丢弃，改为刷新
+    const toDiscard = action === ConfigManager.TAB_ACTION_DISCARD ? tabs.filter(tab => !tab.active) : [];
+    const toReload = tabs.filter(tab => !toDiscard.includes(tab));
+
+    // 先开始监听再刷新，避免错过加载完成事件
+    const loaded = waitForTabsToLoad(toReload.map(tab => tab.id));
+
+    for (const tab of toDiscard) {
+      try {
+        await chrome.tabs.discard(tab.id);
+      } catch (error) {
+        console.warn(`无法丢弃标签页 ${tab.id}:`, error);
+      }
+    }
+    for (const tab of toReload) {
+      try {
+        await chrome.tabs.reload(tab.id);
+      } catch (error) {
+        console.warn(`无法刷新标签页 ${tab.id}:`, error);
+      }
+    }
+
+    await loaded;
+  }
+
+  /**
+   * 等待标签页加载完成（超时或标签页关闭时同样结束）
+   * @param {number[]} tabIds - 标签页ID列表
+   * @param {number} [timeout] - 最长等待时间（毫秒）
+   * @returns {Promise<void>}
+   */
+  function waitForTabsToLoad(tabIds, timeout = RELOAD_SETTLE_TIMEOUT) {
+    const pending = new Set(tabIds);
+    if (pending.size === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const finish = () => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        chrome.tabs.onRemoved.removeListener(onRemoved);
+        resolve();
+      };
+      const settle = (tabId) => {
+        pending.delete(tabId);
+        if (pending.size === 0) {
+          finish();
+        }
+      };
+      const onUpdated = (tabId, changeInfo) => {
+        if (pending.has(tabId) && changeInfo.status === 'complete') {
+          settle(tabId);
+        }
+      };
+      const onRemoved = (tabId) => {
+        if (pending.has(tabId)) {
+          settle(tabId);
+        }
+      };
+      const timer = setTimeout(finish, timeout);
+      chrome.tabs.onUpdated.addListener(onUpdated);
+      chrome.tabs.onRemoved.addListener(onRemoved);
+    });
+  }
+
+  // 导出到全局对象
+  global.TabActions = {
+    getAffectedDomains,
+    findAffectedTabs,
+    applyTabAction,
+    clearTabBadge
+  };
+})(this);